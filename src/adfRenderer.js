@@ -0,0 +1,449 @@
+import { markdownUtils } from './markdownUtils.js';
+
+/**
+ * Map of Jira panel types to GitHub alert types
+ */
+const PANEL_ALERTS = {
+  info: 'NOTE',
+  note: 'NOTE',
+  success: 'TIP',
+  warning: 'WARNING',
+  error: 'CAUTION'
+};
+
+/**
+ * Order in which marks are applied, innermost first
+ */
+const MARK_ORDER = ['code', 'em', 'strong', 'strike', 'underline', 'subsup', 'link'];
+
+/**
+ * Inline node types that can appear directly inside paragraphs and headings
+ */
+const INLINE_TYPES = new Set([
+  'text',
+  'hardBreak',
+  'mention',
+  'emoji',
+  'status',
+  'date',
+  'inlineCard',
+  'mediaInline',
+  'placeholder',
+  'inlineExtension'
+]);
+
+/**
+ * Renders Atlassian Document Format (ADF) to GitHub-flavored Markdown
+ */
+export class AdfRenderer {
+  constructor() {
+    this.context = {};
+  }
+
+  /**
+   * Render an ADF document
+   * @param {Object} doc ADF document (or any ADF node)
+   * @param {Object} context Render context
+   * @param {Function} context.resolveMedia Resolves a media reference to an attachment
+   * @param {Function} context.resolveMention Resolves a Jira user to a GitHub login
+   * @returns {string} Markdown content
+   */
+  render(doc, context = {}) {
+    if (!doc || typeof doc !== 'object') {
+      return '';
+    }
+
+    this.context = context;
+    const nodes = doc.type === 'doc' ? doc.content || [] : [doc];
+    return this.renderBlocks(nodes).trim();
+  }
+
+  /**
+   * Render a sequence of block nodes separated by blank lines
+   * @param {Array<Object>} nodes ADF block nodes
+   * @returns {string} Markdown content
+   */
+  renderBlocks(nodes = []) {
+    const blocks = [];
+    let inlineRun = [];
+
+    // Inline nodes at block level (seen in some legacy payloads) form an implicit paragraph
+    const flushInline = () => {
+      if (inlineRun.length > 0) {
+        blocks.push(this.renderInline(inlineRun));
+        inlineRun = [];
+      }
+    };
+
+    for (const node of nodes) {
+      if (INLINE_TYPES.has(node?.type)) {
+        inlineRun.push(node);
+        continue;
+      }
+      flushInline();
+      blocks.push(this.renderBlock(node));
+    }
+    flushInline();
+
+    return blocks.filter(block => block && block.trim() !== '').join('\n\n');
+  }
+
+  /**
+   * Render a single block node
+   * @param {Object} node ADF block node
+   * @returns {string} Markdown content
+   */
+  renderBlock(node) {
+    if (!node || typeof node !== 'object') {
+      return '';
+    }
+
+    const attrs = node.attrs || {};
+    const content = node.content || [];
+
+    switch (node.type) {
+    case 'paragraph':
+      return this.renderInline(content);
+
+    case 'heading': {
+      const level = Math.min(Math.max(Number(attrs.level) || 1, 1), 6);
+      const text = this.renderInline(content).replace(/\n/g, ' ');
+      return text ? `${'#'.repeat(level)} ${text}` : '';
+    }
+
+    case 'bulletList':
+    case 'orderedList':
+      return this.renderList(node);
+
+    case 'taskList':
+      return this.renderTaskList(node);
+
+    case 'decisionList':
+      return content
+        .map(item => `- **Decision:** ${this.renderInline(item.content || [])}`)
+        .join('\n');
+
+    case 'codeBlock': {
+      const code = content.map(child => child.text || '').join('');
+      return markdownUtils.codeFence(code, attrs.language);
+    }
+
+    case 'blockquote':
+      return markdownUtils.blockquote(this.renderBlocks(content));
+
+    case 'panel':
+      return this.renderPanel(node);
+
+    case 'rule':
+      return '---';
+
+    case 'table':
+      return this.renderTable(node);
+
+    case 'mediaSingle':
+    case 'mediaGroup':
+      return this.renderMediaContainer(node);
+
+    case 'media':
+      return this.renderMedia(node);
+
+    case 'expand':
+    case 'nestedExpand':
+      return this.renderExpand(node);
+
+    case 'blockCard':
+    case 'embedCard':
+      return attrs.url ? markdownUtils.link(markdownUtils.escapeText(attrs.url), attrs.url) : '';
+
+    case 'extension':
+      return '';
+
+    default:
+      // doc, layoutSection, layoutColumn, bodiedExtension and anything newer
+      return this.renderBlocks(content);
+    }
+  }
+
+  /**
+   * Render inline content (text with marks and inline nodes)
+   * @param {Array<Object>} nodes ADF inline nodes
+   * @returns {string} Markdown content
+   */
+  renderInline(nodes = []) {
+    return nodes.map(node => this.renderInlineNode(node)).join('');
+  }
+
+  /**
+   * Render a single inline node
+   * @param {Object} node ADF inline node
+   * @returns {string} Markdown content
+   */
+  renderInlineNode(node) {
+    if (!node || typeof node !== 'object') {
+      return '';
+    }
+
+    const attrs = node.attrs || {};
+
+    switch (node.type) {
+    case 'text':
+      return this.applyMarks(node.text || '', node.marks || []);
+
+    case 'hardBreak':
+      return '\n';
+
+    case 'mention':
+      return this.renderMention(node);
+
+    case 'emoji':
+      return attrs.text || attrs.shortName || '';
+
+    case 'status':
+      return attrs.text ? markdownUtils.codeSpan(attrs.text.toUpperCase()) : '';
+
+    case 'date': {
+      const timestamp = Number(attrs.timestamp);
+      return Number.isFinite(timestamp) ? new Date(timestamp).toISOString().slice(0, 10) : '';
+    }
+
+    case 'inlineCard': {
+      const url = attrs.url || attrs.data?.url;
+      if (!url) return '';
+      const label = attrs.data?.name || url;
+      return markdownUtils.link(markdownUtils.escapeText(label), url);
+    }
+
+    case 'mediaInline':
+      return this.renderMedia(node);
+
+    case 'placeholder':
+    case 'inlineExtension':
+      return '';
+
+    default:
+      return node.content ? this.renderInline(node.content) : '';
+    }
+  }
+
+  /**
+   * Apply ADF marks to a text run
+   * @param {string} text Raw text
+   * @param {Array<Object>} marks ADF marks
+   * @returns {string} Markdown content
+   */
+  applyMarks(text, marks) {
+    if (!text) return '';
+
+    const markByType = Object.fromEntries(marks.map(mark => [mark.type, mark]));
+    let rendered = markByType.code ? markdownUtils.codeSpan(text) : markdownUtils.escapeText(text);
+
+    // Emphasis delimiters must hug non-whitespace, so keep surrounding spaces outside them
+    const leading = markByType.code ? '' : rendered.match(/^\s*/)[0];
+    const trailing = markByType.code ? '' : rendered.match(/\s*$/)[0];
+    rendered = rendered.trim();
+    if (!rendered) return text;
+
+    for (const type of MARK_ORDER) {
+      const mark = markByType[type];
+      if (!mark) continue;
+
+      switch (type) {
+      case 'em':
+        rendered = `*${rendered}*`;
+        break;
+      case 'strong':
+        rendered = `**${rendered}**`;
+        break;
+      case 'strike':
+        rendered = `~~${rendered}~~`;
+        break;
+      case 'underline':
+        rendered = `<ins>${rendered}</ins>`;
+        break;
+      case 'subsup': {
+        const tag = mark.attrs?.type === 'sup' ? 'sup' : 'sub';
+        rendered = `<${tag}>${rendered}</${tag}>`;
+        break;
+      }
+      case 'link':
+        rendered = markdownUtils.link(rendered, mark.attrs?.href, mark.attrs?.title);
+        break;
+      }
+    }
+
+    return `${leading}${rendered}${trailing}`;
+  }
+
+  /**
+   * Render a user mention as a GitHub @mention when the user is mapped
+   * @param {Object} node ADF mention node
+   * @returns {string} Markdown content
+   */
+  renderMention(node) {
+    const name = (node.attrs?.text || '').replace(/^@/, '') || 'unknown user';
+    const login = this.context.resolveMention?.({ accountId: node.attrs?.id, displayName: name });
+    if (login) {
+      return `@${login}`;
+    }
+
+    // Keep unmapped mentions inert so they can't notify an unrelated GitHub user
+    return markdownUtils.codeSpan(`@${name}`);
+  }
+
+  /**
+   * Render a bullet or ordered list, including nested lists
+   * @param {Object} node ADF list node
+   * @returns {string} Markdown content
+   */
+  renderList(node) {
+    const ordered = node.type === 'orderedList';
+    const start = Number(node.attrs?.order) || 1;
+
+    return (node.content || [])
+      .map((item, index) => {
+        const marker = ordered ? `${start + index}. ` : '- ';
+        const body = this.renderListItemContent(item.content || []);
+        return `${marker}${markdownUtils.indentContinuation(body, marker.length)}`;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Render the blocks of a list item, keeping nested lists tight
+   * @param {Array<Object>} nodes ADF block nodes inside a list item
+   * @returns {string} Markdown content
+   */
+  renderListItemContent(nodes) {
+    let output = '';
+
+    nodes.forEach((child, index) => {
+      const rendered = this.renderBlock(child);
+      if (!rendered) return;
+
+      if (index > 0 && output) {
+        const isList = ['bulletList', 'orderedList', 'taskList'].includes(child.type);
+        output += isList ? '\n' : '\n\n';
+      }
+      output += rendered;
+    });
+
+    return output;
+  }
+
+  /**
+   * Render a task list as GitHub checkboxes
+   * @param {Object} node ADF taskList node
+   * @returns {string} Markdown content
+   */
+  renderTaskList(node) {
+    const lines = [];
+
+    for (const child of node.content || []) {
+      if (child.type === 'taskList') {
+        // Nested task lists hang off the preceding item
+        const nested = this.renderTaskList(child)
+          .split('\n')
+          .map(line => (line ? `  ${line}` : line));
+        lines.push(nested.join('\n'));
+        continue;
+      }
+
+      const checked = child.attrs?.state === 'DONE' ? 'x' : ' ';
+      const text = this.renderInline(child.content || []);
+      lines.push(`- [${checked}] ${markdownUtils.indentContinuation(text, 6)}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render an info/note/warning panel as a GitHub alert
+   * @param {Object} node ADF panel node
+   * @returns {string} Markdown content
+   */
+  renderPanel(node) {
+    const body = this.renderBlocks(node.content || []);
+    const alert = PANEL_ALERTS[node.attrs?.panelType];
+
+    if (!alert) {
+      const emoji = node.attrs?.panelIconText;
+      return markdownUtils.blockquote(emoji ? `${emoji} ${body}` : body);
+    }
+
+    return markdownUtils.blockquote(`[!${alert}]\n${body}`);
+  }
+
+  /**
+   * Render a table
+   * @param {Object} node ADF table node
+   * @returns {string} Markdown content
+   */
+  renderTable(node) {
+    const rows = (node.content || []).filter(row => row.type === 'tableRow');
+    if (rows.length === 0) return '';
+
+    const renderedRows = rows.map(row =>
+      (row.content || []).map(cell => this.renderBlocks(cell.content || []))
+    );
+    const hasHeader = (rows[0].content || []).every(cell => cell.type === 'tableHeader');
+
+    return markdownUtils.table(renderedRows, hasHeader);
+  }
+
+  /**
+   * Render an expand block as a collapsible details element
+   * @param {Object} node ADF expand node
+   * @returns {string} Markdown content
+   */
+  renderExpand(node) {
+    const title = String(node.attrs?.title || 'Details')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+    const body = this.renderBlocks(node.content || []);
+
+    return `<details>\n<summary>${title}</summary>\n\n${body}\n\n</details>`;
+  }
+
+  /**
+   * Render a mediaSingle or mediaGroup wrapper
+   * @param {Object} node ADF media container node
+   * @returns {string} Markdown content
+   */
+  renderMediaContainer(node) {
+    const parts = [];
+
+    for (const child of node.content || []) {
+      if (child.type === 'caption') {
+        const caption = this.renderInline(child.content || []);
+        if (caption) parts.push(`*${caption}*`);
+      } else {
+        parts.push(this.renderMedia(child));
+      }
+    }
+
+    return parts.filter(Boolean).join('\n');
+  }
+
+  /**
+   * Render a media node inline, resolved against the issue's attachments
+   * @param {Object} node ADF media or mediaInline node
+   * @returns {string} Markdown content
+   */
+  renderMedia(node) {
+    const attrs = node.attrs || {};
+
+    if (attrs.type === 'external' && attrs.url) {
+      return markdownUtils.image(attrs.alt || '', attrs.url);
+    }
+
+    const attachment = this.context.resolveMedia?.({ id: attrs.id, filename: attrs.alt });
+    if (attachment) {
+      return markdownUtils.isImage(attachment.filename, attachment.mimeType)
+        ? markdownUtils.image(attrs.alt || attachment.filename, attachment.url)
+        : markdownUtils.link(markdownUtils.escapeText(attachment.filename), attachment.url);
+    }
+
+    return markdownUtils.escapeText(`[${attrs.alt || 'attachment'}]`);
+  }
+}
@@ -2,11 +2,13 @@
 
 import { Command } from 'commander';
 import ora from 'ora';
-import fs from 'fs/promises';
-import path from 'path';
-import os from 'os';
-import { migrator } from './migrator.js';
-import { logger } from './utils.js';
+import { migrator, MAPPING_FILE } from './migrator.js';
+import { loadConfig, validateConfig } from './config.js';
+import { summarizeMapping, printStatus } from './status.js';
+import { createVerifier } from './verifier.js';
+import { createRollback } from './rollback.js';
+import { runInit } from './init.js';
+import { logger, fileUtils } from './utils.js';
 
 const program = new Command();
 
@@ -14,143 +16,87 @@ program
   .name('gitporter')
   .description('Migrate Jira Cloud issues to GitHub issues with AI-powered summaries')
   .version('1.0.0')
-  .option('--dry-run', 'Run without making any API calls to GitHub')
-  .option('--jql <query>', 'Override default JQL query for Jira search')
-  .option('--batch-size <number>', 'Number of issues to process in each batch', '10')
   .option('--config <path>', 'Path to JSON config file')
-  .option('-v, --verbose', 'Enable verbose logging')
-  .parse();
-
-const options = program.opts();
+  .option('-v, --verbose', 'Enable verbose logging');
 
 /**
- * Find configuration file in order of preference
- * @returns {string|null} Path to config file or null if not found
+ * Load and validate configuration for a command
+ * @param {Object} options Command options merged with global options
+ * @param {Array<string>} sections Configuration sections the command needs
+ * @param {Object} loadOptions Options passed to loadConfig
+ * @returns {Promise<Object>} Configuration object
  */
-async function findConfigFile() {
-  const searchPaths = [];
-  
-  // 1. --config flag takes highest priority
-  if (options.config) {
-    searchPaths.push(path.resolve(options.config));
-  }
-  
-  // 2. config.json in current working directory
-  searchPaths.push(path.resolve('./config.json'));
-  
-  // 3. ~/.gitporter/config.json
-  const homeConfigPath = path.join(os.homedir(), '.gitporter', 'config.json');
-  searchPaths.push(homeConfigPath);
-  
-  for (const configPath of searchPaths) {
-    try {
-      await fs.access(configPath);
-      return configPath;
-    } catch {
-      // File doesn't exist, continue searching
-    }
-  }
-  
-  return null;
-}
-
-/**
- * Load configuration from file
- * @returns {Object} Configuration object
- */
-async function loadConfig() {
-  const configPath = await findConfigFile();
-  
-  if (!configPath) {
-    logger.error('No configuration file found. Please create one of:');
-    logger.error('  - ./config.json (current directory)');
-    logger.error('  - ~/.gitporter/config.json (user config)');
-    logger.error('  - Use --config <path> to specify a custom location');
-    logger.error('\nSee README.md for configuration format examples.');
-    process.exit(1);
-  }
+async function prepareConfig(options, sections, loadOptions = {}) {
+  const spinner = ora('Loading configuration...').start();
 
   try {
-    const configData = await fs.readFile(configPath, 'utf8');
-    const config = JSON.parse(configData);
-    
-    // Apply CLI overrides
-    if (options.jql) {
-      config.jira = config.jira || {};
-      config.jira.jql = options.jql;
-    }
-    
-    if (options.batchSize) {
-      config.migration = config.migration || {};
-      config.migration.batchSize = parseInt(options.batchSize, 10);
-    }
-    
-    if (options.dryRun) {
-      config.migration = config.migration || {};
-      config.migration.dryRun = true;
-    }
-    
-    if (options.verbose) {
-      config.migration = config.migration || {};
-      config.migration.verbose = true;
-    }
+    const config = await loadConfig(options, loadOptions);
+    validateConfig(config, sections);
+
+    // Set logger verbosity
+    logger.setVerbose(config.migration.verbose);
 
-    logger.info(`Loaded configuration from ${configPath}`);
+    spinner.succeed('Configuration loaded');
     return config;
   } catch (error) {
-    logger.error(`Failed to load config file ${configPath}: ${error.message}`);
-    process.exit(1);
+    spinner.fail('Invalid configuration');
+    throw error;
   }
 }
 
 /**
- * Validate required configuration
- * @param {Object} config Configuration object
+ * Read the mapping file, failing when there is nothing to work with
+ * @returns {Promise<Object>} Mapping of Jira keys to mapping entries
  */
-function validateConfig(config) {
-  const required = [
-    { path: 'jira.url', name: 'jira.url' },
-    { path: 'jira.email', name: 'jira.email' },
-    { path: 'jira.apiToken', name: 'jira.apiToken' },
-    { path: 'github.token', name: 'github.token' },
-    { path: 'github.repo', name: 'github.repo' }
-  ];
-
-  const missing = required.filter(req => {
-    const value = req.path.split('.').reduce((obj, key) => obj?.[key], config);
-    return !value;
-  });
-
-  if (missing.length > 0) {
-    logger.error('Missing required configuration fields:');
-    missing.forEach(req => {
-      logger.error(`  - ${req.name}`);
-    });
-    logger.error('\nPlease add these fields to your config.json file.');
-    process.exit(1);
-  }
-
-  // Validate GitHub repo format
-  if (!config.github.repo.includes('/')) {
-    logger.error('github.repo must be in format "owner/repo"');
-    process.exit(1);
+async function readMapping() {
+  const mapping = await fileUtils.readJsonFile(MAPPING_FILE);
+  if (!mapping) {
+    throw new Error(`No ${MAPPING_FILE} found in the current directory - nothing has been migrated`);
   }
+  return mapping;
 }
 
 /**
- * Main execution function
+ * Wrap a command action with shared error handling
+ * @param {string} name Command name used in the failure message
+ * @param {Function} action Async action receiving the merged options
+ * @returns {Function} Commander action handler
  */
-async function main() {
-  try {
-    const spinner = ora('Loading configuration...').start();
+function runCommand(name, action) {
+  return async (_options, command) => {
+    const options = command.optsWithGlobals();
 
-    const config = await loadConfig();
-    validateConfig(config);
+    try {
+      await action(options);
+    } catch (error) {
+      ora().fail(`${name} failed`);
+      logger.error(`Error: ${error.message}`);
+      if (options.verbose) {
+        logger.error(error.stack);
+      }
+      process.exit(1);
+    }
+  };
+}
 
-    // Set logger verbosity
-    logger.setVerbose(config.migration.verbose);
+/**
+ * Add the options shared by commands that read issues from Jira
+ * @param {Command} command Commander command
+ * @returns {Command} The command
+ */
+function withJiraOptions(command) {
+  return command
+    .option('--dry-run', 'Run without making any API calls to GitHub')
+    .option('--jql <query>', 'Override default JQL query for Jira search')
+    .option('--batch-size <number>', 'Number of issues to process in each batch', '10')
+    .option('--concurrency <number>', 'Number of issues to process in parallel (default: 1)');
+}
 
-    spinner.succeed('Configuration loaded');
+withJiraOptions(
+  program.command('migrate', { isDefault: true }).description('Migrate Jira issues to GitHub')
+).action(
+  runCommand('Migration', async options => {
+    const config = await prepareConfig(options, ['jira', 'github']);
 
     if (config.migration.dryRun) {
       logger.info('🌵 Running in dry-run mode - no changes will be made to GitHub');
@@ -160,19 +106,121 @@ async function main() {
     logger.info(`Batch size: ${config.migration.batchSize}`);
     logger.info(`JQL: ${config.jira.jql}`);
 
-    // Start migration
     await migrator.migrate(config);
 
     logger.info('✅ Migration completed successfully!');
-  } catch (error) {
-    ora().fail('Migration failed');
-    logger.error(`Error: ${error.message}`);
-    if (options.verbose) {
-      logger.error(error.stack);
+  })
+);
+
+withJiraOptions(
+  program
+    .command('sync')
+    .description('Migrate new Jira issues and update already migrated GitHub issues')
+).action(
+  runCommand('Sync', async options => {
+    const config = await prepareConfig(options, ['jira', 'github']);
+
+    if (config.migration.dryRun) {
+      logger.info('🌵 Running in dry-run mode - no changes will be made to GitHub');
     }
-    process.exit(1);
-  }
-}
+
+    logger.info(`Starting sync from Jira to GitHub (${config.github.repo})`);
+    logger.info(`JQL: ${config.jira.jql}`);
+
+    await migrator.sync(config);
+
+    logger.info('✅ Sync completed successfully!');
+  })
+);
+
+program
+  .command('status')
+  .description(`Summarize ${MAPPING_FILE}`)
+  .action(
+    runCommand('Status', async options => {
+      await prepareConfig(options, [], { required: false });
+      printStatus(summarizeMapping(await readMapping()), MAPPING_FILE);
+    })
+  );
+
+program
+  .command('verify')
+  .description('Check that mapped GitHub issues still exist and reference their Jira issue')
+  .action(
+    runCommand('Verify', async options => {
+      const config = await prepareConfig(options, ['github']);
+      const mapping = await readMapping();
+
+      const result = await createVerifier(config).verify(mapping);
+
+      logger.info(`\n🔎 Verified ${result.checked} issues: ${result.ok} ok`);
+      if (result.rolledBack > 0) {
+        logger.info(`  Skipped ${result.rolledBack} rolled back issues`);
+      }
+      if (result.problems.length > 0) {
+        logger.warn(`⚠️  ${result.problems.length} issues have problems (listed above)`);
+        process.exitCode = 1;
+      }
+    })
+  );
+
+program
+  .command('rollback')
+  .description('Undo a migration run: remove the issues, comments, assets and labels it created')
+  .option('--run <id>', 'Only what this run created (see `gitporter status`)')
+  .option('--since <date>', 'Only what was migrated at or after this date (ISO 8601)')
+  .option('--until <date>', 'Only what was migrated at or before this date (ISO 8601)')
+  .option('--delete', 'Delete issues instead of closing and locking them (needs admin rights)')
+  .option('--labels', 'Also delete labels the run created that no other issue uses')
+  .option('--milestones', 'Also delete milestones the run created that no other issue uses')
+  .option('--dry-run', 'Show what would be rolled back without changing GitHub')
+  .action(
+    runCommand('Rollback', async options => {
+      const config = await prepareConfig(options, ['github']);
+      const mapping = await readMapping();
+
+      const rollback = createRollback(config);
+      logger.info(`Rollback run ID: ${rollback.journal.runId}`);
+
+      const result = await rollback.run(mapping, {
+        runId: options.run,
+        since: options.since,
+        until: options.until,
+        deleteIssues: options.delete,
+        removeLabels: options.labels,
+        removeMilestones: options.milestones,
+        dryRun: options.dryRun,
+        save: () => fileUtils.writeJsonFile(MAPPING_FILE, mapping)
+      });
+
+      logger.info('\n↩️  Rollback Summary:');
+      logger.info(`  Issues Deleted: ${result.deleted}`);
+      logger.info(`  Issues Closed and Locked: ${result.closed}`);
+      logger.info(`  Comments Deleted: ${result.comments}`);
+      logger.info(`  Release Assets Deleted: ${result.assets}`);
+      logger.info(`  Releases Deleted: ${result.releases}`);
+      logger.info(`  Labels Deleted: ${result.labels}`);
+      logger.info(`  Milestones Deleted: ${result.milestones}`);
+      logger.info(`  Errors: ${result.errors}`);
+      if (rollback.journal.filePath) {
+        logger.info(`  GitHub Writes Journaled: ${rollback.journal.entries} (${rollback.journal.filePath})`);
+      }
+      if (result.errors > 0) {
+        process.exitCode = 1;
+      }
+    })
+  );
+
+program
+  .command('init')
+  .description('Interactively generate a configuration file')
+  .option('-o, --output <path>', 'Where to write the configuration', 'config.json')
+  .option('--force', 'Overwrite an existing configuration file')
+  .action(
+    runCommand('Init', async options => {
+      await runInit({ output: options.output, force: options.force });
+    })
+  );
 
 // Handle unhandled rejections and exceptions
 process.on('unhandledRejection', (reason, promise) => {
@@ -186,4 +234,4 @@ process.on('uncaughtException', error => {
 });
 
 // Run the CLI
-main();
+program.parseAsync();
@@ -0,0 +1,199 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { logger } from './utils.js';
+
+/**
+ * Required fields per configuration section
+ */
+const REQUIRED_FIELDS = {
+  jira: ['jira.url', 'jira.email', 'jira.apiToken'],
+  github: ['github.token', 'github.repo']
+};
+
+/**
+ * Ways of creating GitHub issues: the issues endpoint, or the issue import API
+ */
+const BACKENDS = ['issues', 'import'];
+
+/**
+ * Jira deployments: Jira Cloud, or Jira Server / Data Center
+ */
+const DEPLOYMENTS = ['cloud', 'server'];
+
+/**
+ * Numeric options of the `retry` section of the jira, github and openai configuration
+ */
+const RETRY_OPTIONS = ['maxRetries', 'baseDelay', 'maxDelay', 'maxWait'];
+
+/**
+ * Find configuration file in order of preference
+ * @param {string} configPath Path given with --config (optional)
+ * @returns {Promise<string|null>} Path to config file or null if not found
+ */
+export async function findConfigFile(configPath) {
+  const searchPaths = [];
+
+  // 1. --config flag takes highest priority
+  if (configPath) {
+    searchPaths.push(path.resolve(configPath));
+  }
+
+  // 2. config.json in current working directory
+  searchPaths.push(path.resolve('./config.json'));
+
+  // 3. ~/.gitporter/config.json
+  const homeConfigPath = path.join(os.homedir(), '.gitporter', 'config.json');
+  searchPaths.push(homeConfigPath);
+
+  for (const candidate of searchPaths) {
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch {
+      // File doesn't exist, continue searching
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load configuration from file and apply CLI overrides
+ * @param {Object} options Command line options (config, jql, batchSize, dryRun, verbose)
+ * @param {Object} loadOptions Loading options
+ * @param {boolean} loadOptions.required Fail when no config file exists (default true)
+ * @returns {Promise<Object>} Configuration object
+ */
+export async function loadConfig(options = {}, { required = true } = {}) {
+  const configPath = await findConfigFile(options.config);
+
+  let config = {};
+  if (configPath) {
+    try {
+      config = JSON.parse(await fs.readFile(configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load config file ${configPath}: ${error.message}`);
+    }
+    logger.info(`Loaded configuration from ${configPath}`);
+  } else if (required) {
+    throw new Error(
+      [
+        'No configuration file found. Please create one of:',
+        '  - ./config.json (current directory)',
+        '  - ~/.gitporter/config.json (user config)',
+        '  - Use --config <path> to specify a custom location',
+        '  - Run `gitporter init` to generate one',
+        '\nSee README.md for configuration format examples.'
+      ].join('\n')
+    );
+  }
+
+  config.jira = config.jira || {};
+  config.github = config.github || {};
+  config.openai = config.openai || {};
+  config.migration = config.migration || {};
+
+  // Apply CLI overrides
+  if (options.jql) {
+    config.jira.jql = options.jql;
+  }
+
+  if (options.batchSize) {
+    config.migration.batchSize = parseInt(options.batchSize, 10);
+  }
+
+  if (options.concurrency) {
+    config.migration.concurrency = parseInt(options.concurrency, 10);
+  }
+
+  if (options.dryRun) {
+    config.migration.dryRun = true;
+  }
+
+  if (options.verbose) {
+    config.migration.verbose = true;
+  }
+
+  return config;
+}
+
+/**
+ * Validate required configuration
+ * @param {Object} config Configuration object
+ * @param {Array<string>} sections Sections that must be configured ('jira', 'github')
+ * @throws {Error} Listing every missing or invalid field
+ */
+export function validateConfig(config, sections = ['jira', 'github']) {
+  const missing = sections
+    .flatMap(section => REQUIRED_FIELDS[section] || [])
+    .filter(field => !field.split('.').reduce((obj, key) => obj?.[key], config))
+    // Server and Data Center authenticate with a personal access token alone
+    .filter(field => !(field === 'jira.email' && config.jira?.deployment === 'server'));
+
+  if (missing.length > 0) {
+    throw new Error(
+      [
+        'Missing required configuration fields:',
+        ...missing.map(field => `  - ${field}`),
+        '\nPlease add these fields to your config.json file.'
+      ].join('\n')
+    );
+  }
+
+  // Validate the Jira deployment
+  const deployment = config.jira?.deployment;
+  if (deployment !== undefined && !DEPLOYMENTS.includes(deployment)) {
+    throw new Error(`jira.deployment must be one of: ${DEPLOYMENTS.join(', ')}`);
+  }
+
+  // Validate GitHub repo format
+  if (sections.includes('github') && !config.github.repo.includes('/')) {
+    throw new Error('github.repo must be in format "owner/repo"');
+  }
+
+  // Validate the GitHub Projects board, when one is configured
+  if (sections.includes('github') && config.project && !Number.isInteger(config.project.number)) {
+    throw new Error('project.number must be the number of a GitHub project (see its URL)');
+  }
+
+  // Validate custom field mappings
+  if (
+    config.fieldMapping !== undefined &&
+    (!Array.isArray(config.fieldMapping) || config.fieldMapping.some(mapping => !mapping?.field))
+  ) {
+    throw new Error('fieldMapping must be an array of { "field": ..., "target": ... } entries');
+  }
+
+  // Validate the number of issues processed in parallel
+  const concurrency = config.migration?.concurrency;
+  if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency > 0)) {
+    throw new Error('migration.concurrency must be a positive integer');
+  }
+
+  // Validate the retry policies of the API clients
+  for (const section of ['jira', 'github', 'openai']) {
+    const invalid = RETRY_OPTIONS.find(option => {
+      const value = config[section]?.retry?.[option];
+      return value !== undefined && !(Number.isInteger(value) && value >= 0);
+    });
+    if (invalid) {
+      throw new Error(`${section}.retry.${invalid} must be a non-negative integer`);
+    }
+  }
+
+  // Validate the issue creation backend
+  const backend = config.migration?.backend;
+  if (backend !== undefined && !BACKENDS.includes(backend)) {
+    throw new Error(`migration.backend must be one of: ${BACKENDS.join(', ')}`);
+  }
+
+  // Validate label rules
+  const rules = config.migration?.labelRules?.rules;
+  if (
+    rules !== undefined &&
+    (!Array.isArray(rules) || rules.some(rule => !Array.isArray(rule?.labels) || rule.labels.length === 0))
+  ) {
+    throw new Error('labelRules.rules must be an array of { "match": {...}, "labels": [...] } entries');
+  }
+}
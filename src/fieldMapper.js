@@ -0,0 +1,230 @@
+import { logger } from './utils.js';
+
+/**
+ * Where a mapped Jira field can end up on GitHub
+ */
+export const FIELD_TARGETS = ['section', 'metadata', 'label', 'milestone', 'project'];
+
+/**
+ * Field mapping used when the config has none
+ */
+export const DEFAULT_FIELD_MAPPING = [{ field: 'Acceptance Criteria', target: 'section' }];
+
+/**
+ * Turn a value into a label-friendly slug
+ * @param {string} text Text to slugify
+ * @returns {string} Lowercase text with dashes for whitespace
+ */
+function slugify(text) {
+  return String(text).trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Check whether a field value is empty
+ * @param {*} value Jira field value
+ * @returns {boolean} True for null, undefined, empty strings and empty arrays
+ */
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Get the plain text values of a field (one per selected option, user...)
+ * @param {*} value Jira field value
+ * @returns {Array<string|number>} Plain values
+ */
+export function getPlainValues(value) {
+  if (isEmpty(value)) {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap(getPlainValues);
+  }
+  if (typeof value !== 'object') {
+    return [value];
+  }
+
+  const plain = value.value ?? value.displayName ?? value.name ?? value.key;
+  if (plain === undefined) {
+    return [];
+  }
+  return value.child?.value ? [`${plain} / ${value.child.value}`] : [plain];
+}
+
+/**
+ * Format a field value as Markdown according to its Jira schema
+ * @param {*} value Jira field value
+ * @param {Object} schema Jira field schema ({ type, items, custom })
+ * @param {Object} formatters Formatting callbacks
+ * @param {Function} formatters.formatUser Formats a Jira user
+ * @param {Function} formatters.formatDate Formats a Jira timestamp
+ * @param {Function} formatters.toMarkdown Converts rich text (ADF or wiki markup) to Markdown
+ * @returns {string} Markdown, or an empty string for empty values
+ */
+export function formatFieldValue(value, schema = {}, formatters) {
+  if (isEmpty(value)) {
+    return '';
+  }
+
+  if (Array.isArray(value)) {
+    return value
+      .map(item => formatFieldValue(item, { type: schema.items }, formatters))
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  switch (schema.type) {
+  case 'user':
+    return formatters.formatUser(value);
+  case 'datetime':
+    return formatters.formatDate(value);
+  case 'date':
+  case 'number':
+    return String(value);
+  default:
+    break;
+  }
+
+  // Rich text: ADF documents (Jira Cloud) and multi-line text fields (wiki markup)
+  if (value?.type === 'doc' || (typeof value === 'string' && schema.custom?.endsWith(':textarea'))) {
+    return formatters.toMarkdown(value);
+  }
+
+  return getPlainValues(value).join(', ');
+}
+
+/**
+ * Resolves configured Jira fields by display name or id and picks out the
+ * values of each mapping target
+ */
+export class FieldMapper {
+  /**
+   * @param {JiraClient} jiraClient Jira API client (for field metadata)
+   * @param {Array<Object>} mappings Field mappings ({ field, target, heading, prefix, projectField })
+   */
+  constructor(jiraClient, mappings = DEFAULT_FIELD_MAPPING) {
+    this.jiraClient = jiraClient;
+    this.mappings = mappings.filter(mapping => {
+      if (FIELD_TARGETS.includes(mapping.target)) return true;
+      logger.warn(`Ignoring field mapping for "${mapping.field}": unknown target "${mapping.target}"`);
+      return false;
+    });
+    this.resolved = [];
+    this.loaded = false;
+  }
+
+  /**
+   * Check whether any mapping uses a target
+   * @param {string} target Mapping target
+   * @returns {boolean} True if a mapping sends a field to the target
+   */
+  hasTarget(target) {
+    return this.mappings.some(mapping => mapping.target === target);
+  }
+
+  /**
+   * Resolve mapped fields against Jira's field metadata (once per run)
+   * @returns {Promise<Array<Object>>} Resolved mappings with the field id, name and schema
+   */
+  async load() {
+    if (this.loaded || this.mappings.length === 0) {
+      return this.resolved;
+    }
+
+    const fields = await this.jiraClient.getFields();
+    this.resolved = this.mappings
+      .map(mapping => {
+        const wanted = String(mapping.field).toLowerCase();
+        const matches = fields.filter(field => field.id === mapping.field);
+        if (matches.length === 0) {
+          matches.push(...fields.filter(field => field.name?.toLowerCase() === wanted));
+        }
+
+        if (matches.length === 0) {
+          logger.warn(`Jira field "${mapping.field}" not found - it will not be migrated`);
+          return null;
+        }
+        if (matches.length > 1) {
+          logger.warn(
+            `Several Jira fields are named "${mapping.field}" (${matches.map(field => field.id).join(', ')}) - using ${matches[0].id}; map it by id to choose`
+          );
+        }
+
+        const [field] = matches;
+        logger.debug(`Mapped Jira field "${mapping.field}" (${field.id}) to ${mapping.target}`);
+        return { ...mapping, id: field.id, name: field.name, schema: field.schema || {} };
+      })
+      .filter(Boolean);
+    this.loaded = true;
+
+    return this.resolved;
+  }
+
+  /**
+   * Get the ids of the mapped fields, to request them when searching issues
+   * @returns {Array<string>} Jira field ids
+   */
+  getFieldIds() {
+    return [...new Set(this.resolved.map(mapping => mapping.id))];
+  }
+
+  /**
+   * Get the non-empty values an issue has for the mappings of a target
+   * @param {Object} jiraIssue Jira issue object
+   * @param {string} target Mapping target (every mapping when omitted)
+   * @returns {Array<{mapping: Object, value: *}>} Mappings and raw values
+   */
+  getMapped(jiraIssue, target = null) {
+    return this.resolved
+      .filter(mapping => !target || mapping.target === target)
+      .map(mapping => ({ mapping, value: jiraIssue.fields[mapping.id] }))
+      .filter(({ value }) => !isEmpty(value));
+  }
+
+  /**
+   * Get the labels of an issue's label-mapped fields, e.g. `team:platform`
+   * @param {Object} jiraIssue Jira issue object
+   * @returns {Array<string>} Label names
+   */
+  getLabels(jiraIssue) {
+    return this.getMapped(jiraIssue, 'label').flatMap(({ mapping, value }) => {
+      const prefix = mapping.prefix ?? `${slugify(mapping.name)}:`;
+      return getPlainValues(value).map(plain => `${prefix}${slugify(plain)}`);
+    });
+  }
+
+  /**
+   * Get the milestone title from an issue's milestone-mapped field
+   * @param {Object} jiraIssue Jira issue object
+   * @returns {string|null} Milestone title
+   */
+  getMilestoneTitle(jiraIssue) {
+    const [mapped] = this.getMapped(jiraIssue, 'milestone');
+    const [title] = mapped ? getPlainValues(mapped.value) : [];
+    return title !== undefined ? String(title) : null;
+  }
+
+  /**
+   * Get the values of an issue's project-mapped fields by project field name
+   * @param {Object} jiraIssue Jira issue object
+   * @returns {Object} Plain values keyed by project field name
+   */
+  getProjectValues(jiraIssue) {
+    return Object.fromEntries(
+      this.getMapped(jiraIssue, 'project').map(({ mapping, value }) => [
+        mapping.projectField || mapping.name,
+        getPlainValues(value)[0]
+      ])
+    );
+  }
+}
+
+/**
+ * Create a field mapper
+ * @param {JiraClient} jiraClient Jira API client
+ * @param {Object} config Full configuration object
+ * @returns {FieldMapper} Field mapper for `fieldMapping` (acceptance criteria by default)
+ */
+export function createFieldMapper(jiraClient, config) {
+  return new FieldMapper(jiraClient, config.fieldMapping ?? DEFAULT_FIELD_MAPPING);
+}
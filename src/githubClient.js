@@ -1,5 +1,42 @@
+import { setTimeout } from 'timers/promises';
 import { Octokit } from '@octokit/rest';
-import { logger, RateLimiter } from './utils.js';
+import { createRateLimiter, logger } from './utils.js';
+import { scheduler } from './scheduler.js';
+
+/**
+ * Media type of GitHub's issue import API
+ */
+const IMPORT_MEDIA_TYPE = 'application/vnd.github.golden-comet-preview+json';
+
+/**
+ * Get the scheduler service of a request; GitHub budgets search and GraphQL separately
+ * @param {string} url Octokit route
+ * @returns {string} Service name
+ */
+function rateLimitService(url = '') {
+  if (url === '/graphql') {
+    return 'github:graphql';
+  }
+  return url.startsWith('/search/') ? 'github:search' : 'github:core';
+}
+
+/**
+ * Check whether GitHub rejected a request for a primary or secondary rate limit
+ * @param {Error} error Octokit request error
+ * @returns {boolean} True for rate limit errors
+ */
+function isRateLimited(error) {
+  return error.status === 429 || (error.status === 403 && /rate limit/i.test(error.message || ''));
+}
+
+/**
+ * Convert a Jira timestamp (e.g. `2023-10-01T10:00:00.000+0000`) to ISO 8601 in UTC
+ * @param {string} value Timestamp
+ * @returns {string} ISO 8601 timestamp
+ */
+function toIsoDate(value) {
+  return new Date(value).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
 
 /**
  * GitHub API client using Octokit
@@ -7,7 +44,9 @@ import { logger, RateLimiter } from './utils.js';
 export class GitHubClient {
   constructor(config) {
     this.config = config;
-    this.rateLimiter = new RateLimiter();
+    this.rateLimiter = createRateLimiter(config.retry);
+    this.scheduler = scheduler;
+    this.journal = null;
 
     // Parse owner and repo from config
     const [owner, repo] = config.repo.split('/');
@@ -21,24 +60,39 @@ export class GitHubClient {
       timeZone: 'UTC'
     });
 
-    // Add request/response logging
-    this.octokit.hook.before('request', options => {
+    // Add request/response logging, and pace requests by GitHub's rate limit headers
+    this.octokit.hook.before('request', async options => {
+      await this.scheduler.acquire(rateLimitService(options.url));
       logger.debug(`GitHub API: ${options.method} ${options.url}`);
     });
 
-    this.octokit.hook.after('request', (response, options) => {
+    this.octokit.hook.after('request', async (response, options) => {
       logger.debug(`GitHub API: ${options.method} ${options.url} - ${response.status}`);
+      this.scheduler.update(rateLimitService(options.url), response.headers);
+      await this.journal?.recordRequest(options, response);
     });
 
-    this.octokit.hook.error('request', (error, options) => {
+    this.octokit.hook.error('request', async (error, options) => {
       const status = error.response?.status;
       logger.debug(
         `GitHub API Error: ${options.method} ${options.url} - ${status}: ${error.message}`
       );
+      this.scheduler.update(rateLimitService(options.url), error.response?.headers, {
+        limited: isRateLimited(error)
+      });
+      await this.journal?.recordRequest(options, null, error);
       throw error;
     });
   }
 
+  /**
+   * Record every mutating request in a run journal
+   * @param {Journal} journal Journal of the current run
+   */
+  setJournal(journal) {
+    this.journal = journal;
+  }
+
   /**
    * Test authentication with GitHub
    * @returns {Promise<Object>} User information
@@ -76,11 +130,12 @@ export class GitHubClient {
    * @param {Array<string>} issueData.labels Array of label names
    * @param {string} issueData.state Issue state ('open' or 'closed')
    * @param {string} issueData.assignee GitHub username to assign
+   * @param {number} issueData.milestone Milestone number
    * @returns {Promise<Object>} Created issue data
    */
   async createIssue(issueData) {
     return this.rateLimiter.executeWithRetry(async () => {
-      const { title, body, labels = [], state = 'open', assignee } = issueData;
+      const { title, body, labels = [], state = 'open', assignee, milestone } = issueData;
 
       logger.debug(`Creating GitHub issue: ${title}`);
 
@@ -96,7 +151,22 @@ export class GitHubClient {
         createData.assignee = assignee;
       }
 
-      const response = await this.octokit.rest.issues.create(createData);
+      if (milestone) {
+        createData.milestone = milestone;
+      }
+
+      let response;
+      try {
+        response = await this.octokit.rest.issues.create(createData);
+      } catch (error) {
+        // An unassignable login fails the whole request; keep the issue, drop the assignee
+        if (error.status !== 422 || !createData.assignee) {
+          throw error;
+        }
+        logger.warn(`Cannot assign ${createData.assignee} on ${title}, creating unassigned`);
+        delete createData.assignee;
+        response = await this.octokit.rest.issues.create(createData);
+      }
       const issue = response.data;
 
       // Update state if needed (issues are created as 'open' by default)
@@ -106,7 +176,155 @@ export class GitHubClient {
 
       logger.success(`Created GitHub issue #${issue.number}: ${title}`);
       return issue;
-    }, `create issue: ${issueData.title}`);
+    }, `create issue: ${issueData.title}`, { idempotent: false });
+  }
+
+  /**
+   * Create an issue with its comments through GitHub's issue import API, keeping
+   * their original timestamps, and wait for the import to finish
+   * @param {Object} issueData Issue payload ({ title, body, labels, state, assignee,
+   *   milestone, createdAt, updatedAt, closedAt })
+   * @param {Array<Object>} comments Comments as { body, createdAt }
+   * @param {Object} options Import options
+   * @param {number} options.interval Milliseconds between status checks (default 1000)
+   * @param {number} options.timeout Milliseconds to wait for the import (default 120000)
+   * @param {Object} options.pending Import submitted earlier ({ id, url }) to wait for instead of submitting again
+   * @param {Function} options.onSubmit Called with the status of each submitted import, before waiting for it
+   * @returns {Promise<Object>} Created issue data
+   */
+  async importIssue(
+    issueData,
+    comments = [],
+    { interval = 1000, timeout = 120000, pending = null, onSubmit = async () => {} } = {}
+  ) {
+    const { title, body, labels = [], state = 'open', assignee, milestone, createdAt, updatedAt, closedAt } = issueData;
+
+    const issue = {
+      title,
+      body,
+      labels,
+      closed: state === 'closed',
+      ...(assignee && { assignee }),
+      ...(milestone && { milestone }),
+      ...(createdAt && { created_at: toIsoDate(createdAt) }),
+      ...(updatedAt && { updated_at: toIsoDate(updatedAt) }),
+      ...(state === 'closed' && closedAt && { closed_at: toIsoDate(closedAt) })
+    };
+
+    const payload = {
+      issue,
+      comments: comments.map(comment => ({
+        body: comment.body,
+        ...(comment.createdAt && { created_at: toIsoDate(comment.createdAt) })
+      }))
+    };
+
+    const submit = async () => {
+      const status = await this.startImport(payload);
+      await onSubmit(status);
+      return this.waitForImport(status, { interval, timeout });
+    };
+
+    // An import that was still pending when an earlier run gave up may have completed since
+    let result = pending ? await this.waitForImport(await this.getImport(pending.id), { interval, timeout }) : null;
+    if (!result || result.status === 'failed') {
+      if (result) {
+        logger.warn(`Earlier import ${pending.id} of ${title} failed, importing again`);
+      }
+      result = await submit();
+    }
+
+    // An unassignable login fails the whole import; keep the issue, drop the assignee
+    if (result.status === 'failed' && issue.assignee && result.errors?.some(error => error.field === 'assignee')) {
+      logger.warn(`Cannot assign ${issue.assignee} on ${title}, importing unassigned`);
+      delete issue.assignee;
+      result = await submit();
+    }
+
+    if (result.status !== 'imported') {
+      const errors = (result.errors || []).map(error => `${error.field || error.location}: ${error.code || error.message}`);
+      throw new Error(`Import of "${title}" failed${errors.length > 0 ? ` (${errors.join(', ')})` : ''}`);
+    }
+
+    const number = Number(result.issue_url.split('/').pop());
+    const imported = await this.getIssue(number);
+    logger.success(`Imported GitHub issue #${number}: ${title}`);
+    return imported;
+  }
+
+  /**
+   * Submit an issue import
+   * @param {Object} payload Import payload ({ issue, comments })
+   * @returns {Promise<Object>} Import status ({ id, status, url })
+   */
+  async startImport(payload) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      logger.debug(`Importing GitHub issue: ${payload.issue.title}`);
+
+      const response = await this.octokit.request('POST /repos/{owner}/{repo}/import/issues', {
+        owner: this.owner,
+        repo: this.repo,
+        ...payload,
+        headers: { accept: IMPORT_MEDIA_TYPE }
+      });
+      return response.data;
+    }, `import issue: ${payload.issue.title}`, { idempotent: false });
+  }
+
+  /**
+   * Poll an issue import until GitHub has processed it
+   * @param {Object} importStatus Status returned when the import was submitted
+   * @param {Object} options Polling options ({ interval, timeout })
+   * @returns {Promise<Object>} Final status, `imported` (with `issue_url`) or `failed` (with `errors`)
+   * @throws {Error} When the import is still pending after the timeout
+   */
+  async waitForImport(importStatus, { interval, timeout }) {
+    const deadline = Date.now() + timeout;
+    let current = importStatus;
+
+    while (current.status === 'pending') {
+      if (Date.now() >= deadline) {
+        throw new Error(`Issue import ${current.id} still pending after ${timeout / 1000}s (${current.url})`);
+      }
+      await setTimeout(interval);
+
+      current = await this.getImport(current.id);
+    }
+
+    return current;
+  }
+
+  /**
+   * Get the status of an issue import
+   * @param {number} id Import id
+   * @returns {Promise<Object>} Import status ({ id, status, url, issue_url, errors })
+   */
+  async getImport(id) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      const response = await this.octokit.request('GET /repos/{owner}/{repo}/import/issues/{id}', {
+        owner: this.owner,
+        repo: this.repo,
+        id,
+        headers: { accept: IMPORT_MEDIA_TYPE }
+      });
+      return response.data;
+    }, `check issue import ${id}`);
+  }
+
+  /**
+   * List the comments of an issue, oldest first
+   * @param {number} issueNumber Issue number
+   * @returns {Promise<Array<Object>>} Comments
+   */
+  async getComments(issueNumber) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      return this.octokit.paginate(this.octokit.rest.issues.listComments, {
+        owner: this.owner,
+        repo: this.repo,
+        issue_number: issueNumber,
+        per_page: 100
+      });
+    }, `list comments of issue #${issueNumber}`);
   }
 
   /**
@@ -130,6 +348,111 @@ export class GitHubClient {
     }, `update issue #${issueNumber} state`);
   }
 
+  /**
+   * Get a single issue
+   * @param {number} issueNumber Issue number
+   * @returns {Promise<Object>} Issue data
+   */
+  async getIssue(issueNumber) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      logger.debug(`Fetching issue #${issueNumber}`);
+
+      const response = await this.octokit.rest.issues.get({
+        owner: this.owner,
+        repo: this.repo,
+        issue_number: issueNumber
+      });
+
+      return response.data;
+    }, `fetch issue #${issueNumber}`);
+  }
+
+  /**
+   * Update an existing issue
+   * @param {number} issueNumber Issue number
+   * @param {Object} issueData Fields to update (title, body, labels, state, milestone)
+   * @returns {Promise<Object>} Updated issue data
+   */
+  async updateIssue(issueNumber, issueData) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      logger.debug(`Updating issue #${issueNumber}`);
+
+      const response = await this.octokit.rest.issues.update({
+        owner: this.owner,
+        repo: this.repo,
+        issue_number: issueNumber,
+        ...issueData
+      });
+
+      logger.debug(`Updated issue #${issueNumber}`);
+      return response.data;
+    }, `update issue #${issueNumber}`);
+  }
+
+  /**
+   * Attach an issue as a sub-issue of another
+   * @param {number} parentNumber Parent issue number
+   * @param {number} subIssueId Id (not number) of the child issue
+   * @returns {Promise<Object>} Parent issue data
+   */
+  async addSubIssue(parentNumber, subIssueId) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      logger.debug(`Adding sub-issue ${subIssueId} to #${parentNumber}`);
+
+      const response = await this.octokit.request(
+        'POST /repos/{owner}/{repo}/issues/{issue_number}/sub_issues',
+        {
+          owner: this.owner,
+          repo: this.repo,
+          issue_number: parentNumber,
+          sub_issue_id: subIssueId
+        }
+      );
+
+      return response.data;
+    }, `add sub-issue to #${parentNumber}`);
+  }
+
+  /**
+   * Lock an issue's conversation
+   * @param {number} issueNumber Issue number
+   * @param {string} reason Lock reason ('off-topic', 'too heated', 'resolved' or 'spam')
+   * @returns {Promise<void>}
+   */
+  async lockIssue(issueNumber, reason = 'resolved') {
+    return this.rateLimiter.executeWithRetry(async () => {
+      logger.debug(`Locking issue #${issueNumber}`);
+
+      await this.octokit.rest.issues.lock({
+        owner: this.owner,
+        repo: this.repo,
+        issue_number: issueNumber,
+        lock_reason: reason
+      });
+    }, `lock issue #${issueNumber}`);
+  }
+
+  /**
+   * Close an issue with the "duplicate" state reason, pointing at the original
+   * @param {string} nodeId GraphQL node id of the duplicate issue
+   * @param {string} duplicateOfNodeId GraphQL node id of the original issue
+   * @returns {Promise<void>}
+   */
+  async closeAsDuplicate(nodeId, duplicateOfNodeId) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      logger.debug(`Closing issue ${nodeId} as a duplicate of ${duplicateOfNodeId}`);
+
+      await this.octokit.graphql(
+        `mutation($issueId: ID!, $duplicateIssueId: ID!) {
+          closeIssue(input: { issueId: $issueId, stateReason: DUPLICATE, duplicateIssueId: $duplicateIssueId }) {
+            clientMutationId
+          }
+        }`,
+        { issueId: nodeId, duplicateIssueId: duplicateOfNodeId }
+      );
+    }, `close issue as duplicate: ${nodeId}`);
+  }
+
   /**
    * Add a comment to an issue
    * @param {number} issueNumber Issue number
@@ -149,7 +472,45 @@ export class GitHubClient {
 
       logger.debug(`Added comment to issue #${issueNumber}`);
       return response.data;
-    }, `create comment on issue #${issueNumber}`);
+    }, `create comment on issue #${issueNumber}`, { idempotent: false });
+  }
+
+  /**
+   * Get an issue comment
+   * @param {number} commentId Comment id
+   * @returns {Promise<Object>} Comment data
+   */
+  async getComment(commentId) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      const response = await this.octokit.rest.issues.getComment({
+        owner: this.owner,
+        repo: this.repo,
+        comment_id: commentId
+      });
+
+      return response.data;
+    }, `get comment ${commentId}`);
+  }
+
+  /**
+   * Replace the body of an issue comment
+   * @param {number} commentId Comment id
+   * @param {string} body New comment body
+   * @returns {Promise<Object>} Updated comment data
+   */
+  async updateComment(commentId, body) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      logger.debug(`Updating comment ${commentId}`);
+
+      const response = await this.octokit.rest.issues.updateComment({
+        owner: this.owner,
+        repo: this.repo,
+        comment_id: commentId,
+        body
+      });
+
+      return response.data;
+    }, `update comment ${commentId}`);
   }
 
   /**
@@ -170,12 +531,66 @@ export class GitHubClient {
     }, 'fetch repository labels');
   }
 
+  /**
+   * Get all milestones in the repository, open and closed
+   * @returns {Promise<Array>} Array of milestone objects
+   */
+  async getMilestones() {
+    return this.rateLimiter.executeWithRetry(async () => {
+      logger.debug('Fetching repository milestones...');
+
+      return this.octokit.paginate(this.octokit.rest.issues.listMilestones, {
+        owner: this.owner,
+        repo: this.repo,
+        state: 'all',
+        per_page: 100
+      });
+    }, 'fetch repository milestones');
+  }
+
+  /**
+   * Create a milestone
+   * @param {Object} milestoneData Milestone data (title, description, due_on, state)
+   * @returns {Promise<Object>} Created milestone data
+   */
+  async createMilestone(milestoneData) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      logger.debug(`Creating milestone: ${milestoneData.title}`);
+
+      const response = await this.octokit.rest.issues.createMilestone({
+        owner: this.owner,
+        repo: this.repo,
+        ...milestoneData
+      });
+
+      logger.debug(`Created milestone #${response.data.number}: ${milestoneData.title}`);
+      return response.data;
+    }, `create milestone: ${milestoneData.title}`);
+  }
+
+  /**
+   * Delete a milestone
+   * @param {number} milestoneNumber Milestone number
+   * @returns {Promise<void>}
+   */
+  async deleteMilestone(milestoneNumber) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      logger.debug(`Deleting milestone #${milestoneNumber}`);
+
+      await this.octokit.rest.issues.deleteMilestone({
+        owner: this.owner,
+        repo: this.repo,
+        milestone_number: milestoneNumber
+      });
+    }, `delete milestone #${milestoneNumber}`);
+  }
+
   /**
    * Create a label if it doesn't exist
    * @param {string} name Label name
    * @param {string} color Label color (hex without #)
    * @param {string} description Label description
-   * @returns {Promise<Object>} Label object
+   * @returns {Promise<Object>} Label object (`created` is true when the label was new)
    */
   async createLabel(name, color = 'd73a4a', description = '') {
     return this.rateLimiter.executeWithRetry(async () => {
@@ -198,7 +613,7 @@ export class GitHubClient {
             color,
             description
           });
-          return response.data;
+          return { ...response.data, created: true };
         }
         throw error;
       }
@@ -211,7 +626,7 @@ export class GitHubClient {
    * @param {Buffer} fileContent File content buffer
    * @param {string} fileName File name
    * @param {string} contentType MIME content type
-   * @returns {Promise<Object>} Upload result
+   * @returns {Promise<Object>} Uploaded asset, with `release_id` and `release_created`
    */
   async uploadReleaseAsset(
     tagName,
@@ -219,6 +634,9 @@ export class GitHubClient {
     fileName,
     contentType = 'application/octet-stream'
   ) {
+    // Kept outside the retried call: a retry finds the release an earlier attempt created
+    let releaseCreated = false;
+
     return this.rateLimiter.executeWithRetry(async () => {
       logger.debug(`Uploading attachment as release asset: ${fileName}`);
 
@@ -244,6 +662,7 @@ export class GitHubClient {
             prerelease: true
           });
           release = response.data;
+          releaseCreated = true;
           logger.debug(`Created release: ${tagName}`);
         } else {
           throw error;
@@ -264,53 +683,75 @@ export class GitHubClient {
       });
 
       logger.debug(`Uploaded attachment: ${fileName}`);
-      return response.data;
+      return { ...response.data, release_id: release.id, release_created: releaseCreated };
     }, `upload attachment: ${fileName}`);
   }
 
   /**
-   * Handle attachments based on strategy
-   * @param {Array} attachments Array of Jira attachments
+   * Resolve a Jira attachment to the URL it will be referenced by on GitHub
+   * @param {Object} attachment Jira attachment
    * @param {string} jiraKey Jira issue key for reference
    * @param {string} strategy 'link' or 'upload'
    * @param {Object} jiraClient Jira client for downloading
-   * @returns {Promise<string>} Markdown text for attachments
+   * @returns {Promise<Object>} Resolved attachment with its GitHub-facing URL
    */
-  async handleAttachments(attachments, jiraKey, strategy = 'link', jiraClient = null) {
-    if (!attachments || attachments.length === 0) {
-      return '';
+  async resolveAttachment(attachment, jiraKey, strategy = 'link', jiraClient = null) {
+    const { id, filename, content: downloadUrl, size, mimeType } = attachment;
+    const resolved = { id, filename, size, mimeType, url: downloadUrl, source: 'jira' };
+
+    if (strategy !== 'upload' || !jiraClient) {
+      return resolved;
     }
 
-    let attachmentText = '\n\n## Attachments\n\n';
+    try {
+      // Download and re-upload strategy
+      logger.debug(`Downloading and re-uploading attachment: ${filename}`);
 
-    for (const attachment of attachments) {
-      const { filename, content: downloadUrl, size, mimeType } = attachment;
+      const fileContent = await jiraClient.downloadAttachment(downloadUrl, filename);
+      const releaseTag = `attachments-${jiraKey.toLowerCase()}`;
 
-      try {
-        if (strategy === 'upload' && jiraClient) {
-          // Download and re-upload strategy
-          logger.debug(`Downloading and re-uploading attachment: ${filename}`);
+      const uploadResult = await this.uploadReleaseAsset(
+        releaseTag,
+        fileContent,
+        filename,
+        mimeType
+      );
+
+      return {
+        ...resolved,
+        url: uploadResult.browser_download_url,
+        source: 'github',
+        assetId: uploadResult.id,
+        releaseId: uploadResult.release_id,
+        releaseTag,
+        releaseCreated: uploadResult.release_created
+      };
+    } catch (error) {
+      logger.warn(`Failed to handle attachment ${filename}: ${error.message}`);
+      // Fallback to link
+      return { ...resolved, source: 'fallback' };
+    }
+  }
 
-          const fileContent = await jiraClient.downloadAttachment(downloadUrl, filename);
-          const releaseTag = `attachments-${jiraKey.toLowerCase()}`;
+  /**
+   * Build the attachments section for an issue body
+   * @param {Array<Object>} attachments Resolved attachments
+   * @returns {string} Markdown text for attachments
+   */
+  formatAttachmentList(attachments) {
+    if (!attachments || attachments.length === 0) {
+      return '';
+    }
 
-          const uploadResult = await this.uploadReleaseAsset(
-            releaseTag,
-            fileContent,
-            filename,
-            mimeType
-          );
+    const notes = {
+      jira: ' - *From Jira*',
+      fallback: ' - *From Jira (upload failed)*',
+      github: ''
+    };
 
-          attachmentText += `- [${filename}](${uploadResult.browser_download_url}) (${this.formatFileSize(size)})\n`;
-        } else {
-          // Link strategy (default)
-          attachmentText += `- [${filename}](${downloadUrl}) (${this.formatFileSize(size)}) - *From Jira*\n`;
-        }
-      } catch (error) {
-        logger.warn(`Failed to handle attachment ${filename}: ${error.message}`);
-        // Fallback to link
-        attachmentText += `- [${filename}](${downloadUrl}) (${this.formatFileSize(size)}) - *From Jira (upload failed)*\n`;
-      }
+    let attachmentText = '\n\n## Attachments\n\n';
+    for (const { filename, url, size, source } of attachments) {
+      attachmentText += `- [${filename}](${url}) (${this.formatFileSize(size)})${notes[source] || ''}\n`;
     }
 
     return attachmentText;
@@ -392,9 +833,12 @@ export class GitHubClient {
   /**
    * Ensure required labels exist in the repository
    * @param {Array<string>} labelNames Array of label names to ensure exist
-   * @returns {Promise<void>}
+   * @param {Object} definitions Colors and descriptions of new labels, by name
+   * @returns {Promise<Array<string>>} Names of the labels that had to be created
    */
-  async ensureLabelsExist(labelNames) {
+  async ensureLabelsExist(labelNames, definitions = {}) {
+    const created = [];
+
     const labelColors = {
       'migrated-from-jira': '1f77b4',
       bug: 'd73a4a',
@@ -407,17 +851,282 @@ export class GitHubClient {
 
     for (const labelName of labelNames) {
       try {
-        const color = labelColors[labelName] || 'd1ecf1';
+        const definition = definitions[labelName] || {};
+        const color = definition.color || labelColors[labelName] || 'd1ecf1';
         const description =
-          labelName === 'migrated-from-jira'
-            ? 'Issue migrated from Jira'
-            : `Issue type: ${labelName}`;
+          definition.description ??
+          (labelName === 'migrated-from-jira' ? 'Issue migrated from Jira' : `Issue type: ${labelName}`);
 
-        await this.createLabel(labelName, color, description);
+        const label = await this.createLabel(labelName, color, description);
+        if (label.created) {
+          created.push(labelName);
+        }
       } catch (error) {
         logger.warn(`Failed to create label ${labelName}: ${error.message}`);
       }
     }
+
+    return created;
+  }
+
+  /**
+   * Get a Projects (v2) board with its fields, single-select options and iterations
+   * @param {string} owner Login of the organization or user owning the project
+   * @param {number} number Project number
+   * @returns {Promise<Object>} Project as { id, title, fields }
+   */
+  async getProject(owner, number) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      logger.debug(`Fetching project ${owner}/${number}`);
+
+      const data = await this.octokit.graphql(
+        `query($owner: String!, $number: Int!) {
+          repositoryOwner(login: $owner) {
+            ... on ProjectV2Owner {
+              projectV2(number: $number) {
+                id
+                title
+                fields(first: 100) {
+                  nodes {
+                    ... on ProjectV2FieldCommon { id name dataType }
+                    ... on ProjectV2SingleSelectField { options { id name } }
+                    ... on ProjectV2IterationField {
+                      configuration {
+                        iterations { id title }
+                        completedIterations { id title }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }`,
+        { owner, number }
+      );
+
+      const project = data.repositoryOwner?.projectV2;
+      if (!project) {
+        throw new Error(`Project ${number} of ${owner} not found`);
+      }
+      return { id: project.id, title: project.title, fields: project.fields.nodes };
+    }, `fetch project ${owner}/${number}`);
+  }
+
+  /**
+   * Add an issue to a Projects (v2) board (returns the existing item if already added)
+   * @param {string} projectId GraphQL node id of the project
+   * @param {string} contentId GraphQL node id of the issue
+   * @returns {Promise<string>} Project item id
+   */
+  async addProjectItem(projectId, contentId) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      logger.debug(`Adding ${contentId} to project ${projectId}`);
+
+      const data = await this.octokit.graphql(
+        `mutation($projectId: ID!, $contentId: ID!) {
+          addProjectV2ItemById(input: { projectId: $projectId, contentId: $contentId }) {
+            item { id }
+          }
+        }`,
+        { projectId, contentId }
+      );
+
+      return data.addProjectV2ItemById.item.id;
+    }, `add to project: ${contentId}`);
+  }
+
+  /**
+   * Set a field of a project item
+   * @param {string} projectId GraphQL node id of the project
+   * @param {string} itemId Project item id
+   * @param {string} fieldId Field id
+   * @param {Object} value Field value, e.g. { singleSelectOptionId }, { number } or { iterationId }
+   * @returns {Promise<void>}
+   */
+  async updateProjectItemField(projectId, itemId, fieldId, value) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      await this.octokit.graphql(
+        `mutation($projectId: ID!, $itemId: ID!, $fieldId: ID!, $value: ProjectV2FieldValue!) {
+          updateProjectV2ItemFieldValue(
+            input: { projectId: $projectId, itemId: $itemId, fieldId: $fieldId, value: $value }
+          ) {
+            projectV2Item { id }
+          }
+        }`,
+        { projectId, itemId, fieldId, value }
+      );
+    }, `update project item ${itemId}`);
+  }
+
+  /**
+   * Remove an item from a Projects (v2) board
+   * @param {string} projectId GraphQL node id of the project
+   * @param {string} itemId Project item id
+   * @returns {Promise<void>}
+   */
+  async deleteProjectItem(projectId, itemId) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      logger.debug(`Removing item ${itemId} from project ${projectId}`);
+
+      await this.octokit.graphql(
+        `mutation($projectId: ID!, $itemId: ID!) {
+          deleteProjectV2Item(input: { projectId: $projectId, itemId: $itemId }) { deletedItemId }
+        }`,
+        { projectId, itemId }
+      );
+    }, `remove project item ${itemId}`);
+  }
+
+  /**
+   * Delete an issue (needs admin rights on the repository)
+   * @param {string} nodeId GraphQL node id of the issue
+   * @returns {Promise<void>}
+   */
+  async deleteIssue(nodeId) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      logger.debug(`Deleting issue ${nodeId}`);
+
+      await this.octokit.graphql(
+        'mutation($issueId: ID!) { deleteIssue(input: { issueId: $issueId }) { clientMutationId } }',
+        { issueId: nodeId }
+      );
+    }, `delete issue: ${nodeId}`);
+  }
+
+  /**
+   * Delete an issue comment
+   * @param {number} commentId Comment id
+   * @returns {Promise<void>}
+   */
+  async deleteComment(commentId) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      logger.debug(`Deleting comment ${commentId}`);
+
+      await this.octokit.rest.issues.deleteComment({
+        owner: this.owner,
+        repo: this.repo,
+        comment_id: commentId
+      });
+    }, `delete comment ${commentId}`);
+  }
+
+  /**
+   * Delete a release asset
+   * @param {number} assetId Release asset id
+   * @returns {Promise<void>}
+   */
+  async deleteReleaseAsset(assetId) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      logger.debug(`Deleting release asset ${assetId}`);
+
+      await this.octokit.rest.repos.deleteReleaseAsset({
+        owner: this.owner,
+        repo: this.repo,
+        asset_id: assetId
+      });
+    }, `delete release asset ${assetId}`);
+  }
+
+  /**
+   * Check whether a release still has assets
+   * @param {number} releaseId Release id
+   * @returns {Promise<boolean>} True if the release has at least one asset
+   */
+  async hasReleaseAssets(releaseId) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      const { data } = await this.octokit.rest.repos.listReleaseAssets({
+        owner: this.owner,
+        repo: this.repo,
+        release_id: releaseId,
+        per_page: 1
+      });
+
+      return data.length > 0;
+    }, `list release assets ${releaseId}`);
+  }
+
+  /**
+   * Delete a release and its tag
+   * @param {number} releaseId Release id
+   * @param {string} tagName Tag created for the release
+   * @returns {Promise<void>}
+   */
+  async deleteRelease(releaseId, tagName) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      logger.debug(`Deleting release ${releaseId} (${tagName})`);
+
+      await this.octokit.rest.repos.deleteRelease({
+        owner: this.owner,
+        repo: this.repo,
+        release_id: releaseId
+      });
+
+      if (tagName) {
+        await this.octokit.rest.git.deleteRef({
+          owner: this.owner,
+          repo: this.repo,
+          ref: `tags/${tagName}`
+        });
+      }
+    }, `delete release ${releaseId}`);
+  }
+
+  /**
+   * Delete a label
+   * @param {string} name Label name
+   * @returns {Promise<void>}
+   */
+  async deleteLabel(name) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      logger.debug(`Deleting label: ${name}`);
+
+      await this.octokit.rest.issues.deleteLabel({
+        owner: this.owner,
+        repo: this.repo,
+        name
+      });
+    }, `delete label: ${name}`);
+  }
+
+  /**
+   * Check whether any issue (open or closed) still carries a label
+   * @param {string} name Label name
+   * @param {Array<number>} ignoreNumbers Issue numbers to disregard
+   * @returns {Promise<boolean>} True if another issue uses the label
+   */
+  async isLabelUsed(name, ignoreNumbers = []) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      const issues = await this.octokit.paginate(this.octokit.rest.issues.listForRepo, {
+        owner: this.owner,
+        repo: this.repo,
+        labels: name,
+        state: 'all',
+        per_page: 100
+      });
+
+      return issues.some(issue => !ignoreNumbers.includes(issue.number));
+    }, `check label usage: ${name}`);
+  }
+
+  /**
+   * Check whether a milestone is set on any issue other than the given ones
+   * @param {number} milestoneNumber Milestone number
+   * @param {Array<number>} ignoreNumbers Issue numbers to disregard
+   * @returns {Promise<boolean>} True if another issue has the milestone
+   */
+  async isMilestoneUsed(milestoneNumber, ignoreNumbers = []) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      const issues = await this.octokit.paginate(this.octokit.rest.issues.listForRepo, {
+        owner: this.owner,
+        repo: this.repo,
+        milestone: String(milestoneNumber),
+        state: 'all',
+        per_page: 100
+      });
+
+      return issues.some(issue => !ignoreNumbers.includes(issue.number));
+    }, `check milestone usage: #${milestoneNumber}`);
   }
 }
 
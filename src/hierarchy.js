@@ -0,0 +1,69 @@
+import { markdownUtils } from './markdownUtils.js';
+
+/**
+ * Marker id of the task-list section listing sub-issues in a parent body
+ */
+export const SUB_ISSUES_SECTION = 'sub-issues';
+
+/**
+ * Get the key of an issue's parent (subtask parent or epic)
+ * @param {Object} jiraIssue Jira issue object
+ * @param {string} epicLinkField Legacy "Epic Link" custom field id (optional)
+ * @returns {string|null} Parent issue key
+ */
+export function getParentKey(jiraIssue, epicLinkField = null) {
+  const fields = jiraIssue.fields || {};
+  const epicLink = epicLinkField ? fields[epicLinkField] : null;
+
+  return fields.parent?.key || (typeof epicLink === 'string' ? epicLink : epicLink?.key) || null;
+}
+
+/**
+ * Order issues so every parent comes before its children (epic → story → subtask);
+ * issues keep their original order within a level
+ * @param {Array<Object>} issues Jira issues
+ * @param {string} epicLinkField Legacy "Epic Link" custom field id (optional)
+ * @returns {Array<Array<Object>>} Issues grouped by depth, top level first
+ */
+export function groupByDepth(issues, epicLinkField = null) {
+  const byKey = new Map(issues.map(issue => [issue.key, issue]));
+  const depths = new Map();
+
+  const depthOf = (issue, seen = new Set()) => {
+    if (depths.has(issue.key)) return depths.get(issue.key);
+
+    const parent = byKey.get(getParentKey(issue, epicLinkField));
+    // Parents outside the result set (or cycles) make the issue top level
+    const depth = parent && !seen.has(parent.key) ? depthOf(parent, seen.add(issue.key)) + 1 : 0;
+    depths.set(issue.key, depth);
+    return depth;
+  };
+
+  const levels = [];
+  for (const issue of issues) {
+    const depth = depthOf(issue);
+    (levels[depth] = levels[depth] || []).push(issue);
+  }
+
+  return levels.filter(Boolean);
+}
+
+/**
+ * Build the task-list checklist of sub-issues shown in a parent body
+ * @param {Array<Object>} children Children as { githubNumber, closed }
+ * @returns {string} Markdown section content
+ */
+export function formatSubIssueList(children) {
+  const items = children.map(child => `- [${child.closed ? 'x' : ' '}] #${child.githubNumber}`);
+  return `## Sub-issues\n\n${items.join('\n')}`;
+}
+
+/**
+ * Insert or refresh the sub-issue checklist in a parent body
+ * @param {string} body Parent issue body
+ * @param {Array<Object>} children All children linked through the checklist
+ * @returns {string} Updated body
+ */
+export function upsertSubIssueList(body, children) {
+  return markdownUtils.upsertSection(body, SUB_ISSUES_SECTION, formatSubIssueList(children));
+}
@@ -0,0 +1,80 @@
+import { markdownUtils } from './markdownUtils.js';
+
+/**
+ * Marker id of the history section of an issue body
+ */
+export const HISTORY_SECTION = 'history';
+
+/**
+ * Changelog fields kept in the history, with the names shown for them
+ */
+export const HISTORY_FIELDS = {
+  status: 'Status',
+  assignee: 'Assignee',
+  priority: 'Priority',
+  resolution: 'Resolution'
+};
+
+/**
+ * Flatten a Jira changelog into the changes worth keeping, oldest first
+ * @param {Array<Object>} histories Changelog entries from JiraClient.getChangelog
+ * @returns {Array<Object>} Changes as { created, author, field, from, to }
+ */
+export function collectHistory(histories = []) {
+  return histories
+    .flatMap(history =>
+      (history.items || [])
+        .filter(item => HISTORY_FIELDS[item.field])
+        .map(item => ({
+          created: history.created,
+          author: history.author,
+          field: item.field,
+          from: item.fromString ?? null,
+          // `toString` is a plain property of changelog items, but every object inherits one
+          to: typeof item.toString === 'string' ? item.toString : null
+        }))
+    )
+    .sort((a, b) => new Date(a.created) - new Date(b.created));
+}
+
+/**
+ * Format the old or new value of a change
+ * @param {string|null} value Jira display value
+ * @returns {string} Markdown
+ */
+function formatValue(value) {
+  return value ? markdownUtils.escapeText(value) : '*none*';
+}
+
+/**
+ * Render changes as a collapsed timeline table
+ * @param {Array<Object>} changes Changes from collectHistory
+ * @param {Object} options Formatting callbacks
+ * @param {Function} options.formatUser Formats the Jira author of a change
+ * @param {Function} options.formatDate Formats a Jira timestamp
+ * @returns {string} Markdown, or an empty string when there are no changes
+ */
+export function formatHistory(changes, { formatUser, formatDate }) {
+  if (changes.length === 0) {
+    return '';
+  }
+
+  const rows = [
+    ['Date', 'Author', 'Field', 'Change'],
+    ...changes.map(change => [
+      formatDate(change.created),
+      formatUser(change.author),
+      HISTORY_FIELDS[change.field],
+      `${formatValue(change.from)} → ${formatValue(change.to)}`
+    ])
+  ];
+
+  return [
+    '<details>',
+    `<summary>History (${changes.length} ${changes.length === 1 ? 'change' : 'changes'} in Jira)</summary>`,
+    '',
+    markdownUtils.table(rows),
+    '',
+    '</details>'
+  ].join('\n');
+}
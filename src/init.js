@@ -0,0 +1,154 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createInterface } from 'readline';
+import { validateConfig } from './config.js';
+import { logger } from './utils.js';
+
+/**
+ * Check whether the answers describe Jira Server / Data Center
+ * @param {Object} answers Answers keyed by question key
+ * @returns {boolean} True for a server deployment
+ */
+const isServer = answers => answers.jiraDeployment === 'server';
+
+/**
+ * Questions asked by `gitporter init`, in order; `when` skips a question, a
+ * function `prompt` depends on earlier answers and `parse` normalizes the answer
+ */
+const QUESTIONS = [
+  {
+    key: 'jiraDeployment',
+    prompt: 'Jira deployment (cloud/server)',
+    defaultValue: 'cloud',
+    parse: answer => (answer.toLowerCase() === 'server' ? 'server' : 'cloud')
+  },
+  { key: 'jiraUrl', prompt: 'Jira URL (e.g. https://yourcompany.atlassian.net)' },
+  { key: 'jiraEmail', prompt: 'Jira account email', when: answers => !isServer(answers) },
+  {
+    key: 'jiraApiToken',
+    prompt: answers => (isServer(answers) ? 'Jira personal access token (PAT)' : 'Jira API token')
+  },
+  { key: 'jql', prompt: 'JQL query', defaultValue: 'project = "MYPROJ" ORDER BY created ASC' },
+  { key: 'githubRepo', prompt: 'GitHub repository (owner/repo)' },
+  { key: 'githubToken', prompt: 'GitHub token' },
+  { key: 'attachmentStrategy', prompt: 'Attachment strategy (link/upload)', defaultValue: 'link' },
+  { key: 'openaiApiKey', prompt: 'OpenAI API key (leave empty to disable summaries)' }
+];
+
+/**
+ * Build a configuration object from init answers
+ * @param {Object} answers Answers keyed by question key
+ * @returns {Object} Configuration object
+ */
+export function buildConfig(answers) {
+  const config = {
+    jira: {
+      url: answers.jiraUrl,
+      ...(isServer(answers) ? { deployment: 'server' } : { email: answers.jiraEmail }),
+      apiToken: answers.jiraApiToken,
+      jql: answers.jql,
+      subtasks: {
+        enabled: true,
+        filterByStatus: []
+      }
+    },
+    github: {
+      token: answers.githubToken,
+      repo: answers.githubRepo
+    },
+    migration: {
+      batchSize: 10,
+      dryRun: false,
+      verbose: false,
+      statusMapping: {
+        'To Do': 'open',
+        'In Progress': 'open',
+        Done: 'closed'
+      },
+      labelMapping: {
+        Bug: 'bug',
+        Story: 'feature',
+        Task: 'enhancement'
+      },
+      attachmentStrategy: answers.attachmentStrategy === 'upload' ? 'upload' : 'link',
+      includeSummary: Boolean(answers.openaiApiKey)
+    }
+  };
+
+  if (answers.openaiApiKey) {
+    config.openai = {
+      apiKey: answers.openaiApiKey,
+      model: 'gpt-3.5-turbo',
+      maxTokens: 200
+    };
+  }
+
+  return config;
+}
+
+/**
+ * Ask the init questions
+ * @param {Function} ask Prompts with a question and resolves to the answer
+ * @returns {Promise<Object>} Answers keyed by question key
+ */
+export async function askQuestions(ask) {
+  const answers = {};
+
+  for (const question of QUESTIONS) {
+    if (question.when && !question.when(answers)) continue;
+
+    const prompt = typeof question.prompt === 'function' ? question.prompt(answers) : question.prompt;
+    const suffix = question.defaultValue ? ` [${question.defaultValue}]` : '';
+    const answer = (await ask(`${prompt}${suffix}: `)).trim() || question.defaultValue || '';
+    answers[question.key] = question.parse ? question.parse(answer) : answer;
+  }
+
+  return answers;
+}
+
+/**
+ * Interactively generate a configuration file
+ * @param {Object} options Init options
+ * @param {string} options.output Path of the config file to write
+ * @param {boolean} options.force Overwrite an existing file
+ * @returns {Promise<string>} Path of the written file
+ */
+export async function runInit({ output = 'config.json', force = false } = {}) {
+  const target = path.resolve(output);
+
+  if (!force) {
+    try {
+      await fs.access(target);
+      throw new Error(`${target} already exists (use --force to overwrite)`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  // Read answers line by line so piped input works as well as a terminal
+  const readline = createInterface({ input: process.stdin, terminal: false });
+  const lines = readline[Symbol.asyncIterator]();
+  const ask = async question => {
+    process.stdout.write(question);
+    const { value, done } = await lines.next();
+    return done ? '' : value;
+  };
+
+  let config;
+  try {
+    config = buildConfig(await askQuestions(ask));
+  } finally {
+    readline.close();
+  }
+
+  // Write the file even when incomplete so it can be finished by hand
+  try {
+    validateConfig(config);
+  } catch (error) {
+    logger.warn(error.message);
+  }
+
+  await fs.writeFile(target, `${JSON.stringify(config, null, 2)}\n`, { mode: 0o600 });
+  logger.success(`Wrote configuration to ${target}`);
+  return target;
+}
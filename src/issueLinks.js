@@ -0,0 +1,100 @@
+import { markdownUtils } from './markdownUtils.js';
+
+/**
+ * Marker id of the "Linked Issues" section of an issue body
+ */
+export const LINKED_ISSUES_SECTION = 'linked-issues';
+
+/**
+ * Collect the issue links of a Jira issue
+ * @param {Object} jiraIssue Jira issue object
+ * @returns {Array<Object>} Links as { relation, key, summary } (e.g. relation "is blocked by")
+ */
+export function collectIssueLinks(jiraIssue) {
+  return (jiraIssue.fields.issuelinks || [])
+    .map(link => {
+      const target = link.outwardIssue || link.inwardIssue;
+      if (!target?.key) return null;
+
+      const relation = link.outwardIssue ? link.type?.outward : link.type?.inward;
+      return {
+        relation: relation || link.type?.name || 'relates to',
+        key: target.key,
+        summary: target.fields?.summary || ''
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Get the key of the issue a Jira issue duplicates
+ * @param {Object} jiraIssue Jira issue object
+ * @returns {string|null} Key of the original issue
+ */
+export function getDuplicateOf(jiraIssue) {
+  const link = (jiraIssue.fields.issuelinks || []).find(
+    issueLink => issueLink.type?.name === 'Duplicate' && issueLink.outwardIssue?.key
+  );
+  return link ? link.outwardIssue.key : null;
+}
+
+/**
+ * Look up the GitHub issue number a Jira key was migrated to
+ * @param {Object} mapping Mapping of Jira keys to mapping entries
+ * @param {string} jiraKey Jira issue key
+ * @returns {number|null} GitHub issue number
+ */
+export function findGitHubNumber(mapping, jiraKey) {
+  const entry = mapping[jiraKey];
+  return entry?.githubNumber && !entry.deleted ? entry.githubNumber : null;
+}
+
+/**
+ * Get the link targets that have no GitHub issue yet
+ * @param {Array<Object>} links Links from collectIssueLinks
+ * @param {Object} mapping Mapping of Jira keys to mapping entries
+ * @returns {Array<string>} Unresolved Jira keys
+ */
+export function getUnresolvedKeys(links, mapping) {
+  return [...new Set(links.map(link => link.key))].filter(key => !findGitHubNumber(mapping, key));
+}
+
+/**
+ * Build the "Linked Issues" list, referencing migrated targets by GitHub number
+ * @param {Array<Object>} links Links from collectIssueLinks
+ * @param {Object} mapping Mapping of Jira keys to mapping entries
+ * @param {string} jiraUrl Jira base URL for links to issues that were not migrated
+ * @returns {string} Markdown section content, or an empty string when there are no links
+ */
+export function formatLinkedIssues(links, mapping, jiraUrl) {
+  if (links.length === 0) {
+    return '';
+  }
+
+  const items = links.map(link => {
+    const number = findGitHubNumber(mapping, link.key);
+    const target = number
+      ? `#${number} (${link.key})`
+      : markdownUtils.link(link.key, `${jiraUrl}/browse/${link.key}`);
+    const summary = link.summary ? ` ${markdownUtils.escapeText(link.summary)}` : '';
+    return `- ${link.relation} ${target}${summary}`;
+  });
+
+  return `## Linked Issues\n\n${items.join('\n')}`;
+}
+
+/**
+ * Insert or refresh the "Linked Issues" section of an issue body
+ * @param {string} body Issue body
+ * @param {Array<Object>} links Links from collectIssueLinks
+ * @param {Object} mapping Mapping of Jira keys to mapping entries
+ * @param {string} jiraUrl Jira base URL
+ * @returns {string} Updated body
+ */
+export function upsertLinkedIssues(body, links, mapping, jiraUrl) {
+  return markdownUtils.upsertSection(
+    body,
+    LINKED_ISSUES_SECTION,
+    formatLinkedIssues(links, mapping, jiraUrl)
+  );
+}
@@ -1,34 +1,49 @@
 import axios from 'axios';
-import { logger, RateLimiter } from './utils.js';
+import { createRateLimiter, logger } from './utils.js';
+import { scheduler } from './scheduler.js';
 
 /**
- * Jira Cloud API client
+ * Jira API client for Jira Cloud and Jira Server / Data Center
  */
 export class JiraClient {
   constructor(config) {
     this.config = config;
-    this.rateLimiter = new RateLimiter();
+    this.rateLimiter = createRateLimiter(config.retry);
+    this.scheduler = scheduler;
 
-    // Create axios instance with basic auth
+    // Server and Data Center speak REST API v2, whose rich text fields are wiki markup instead of ADF
+    this.deployment = config.deployment || 'cloud';
+    this.apiPath = this.deployment === 'server' ? '/rest/api/2' : '/rest/api/3';
+
+    // Search endpoint this Jira supports ('jql' or 'legacy'), detected on the first search
+    this.searchApi = this.deployment === 'server' ? 'legacy' : null;
+
+    // Cloud uses basic auth with email and API token, Server / Data Center a bearer personal access token
+    const server = this.deployment === 'server';
     this.api = axios.create({
       baseURL: config.url,
-      auth: {
-        username: config.email,
-        password: config.apiToken
-      },
+      auth: server ? undefined : { username: config.email, password: config.apiToken },
       headers: {
         Accept: 'application/json',
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...(server && { Authorization: `Bearer ${config.apiToken}` })
       },
       timeout: 30000
     });
 
+    // Pace requests by Jira's rate limit headers
+    this.api.interceptors.request.use(async request => {
+      await this.scheduler.acquire('jira');
+      return request;
+    });
+
     // Add response interceptor for debugging
     this.api.interceptors.response.use(
       response => {
         logger.debug(
           `Jira API: ${response.config.method?.toUpperCase()} ${response.config.url} - ${response.status}`
         );
+        this.scheduler.update('jira', response.headers);
         return response;
       },
       error => {
@@ -36,6 +51,7 @@ export class JiraClient {
         const method = error.config?.method?.toUpperCase();
         const url = error.config?.url;
         logger.debug(`Jira API Error: ${method} ${url} - ${status}: ${error.message}`);
+        this.scheduler.update('jira', error.response?.headers, { limited: status === 429 });
         return Promise.reject(error);
       }
     );
@@ -48,7 +64,7 @@ export class JiraClient {
   async testAuthentication() {
     return this.rateLimiter.executeWithRetry(async () => {
       logger.debug('Testing Jira authentication...');
-      const response = await this.api.get('/rest/api/3/myself');
+      const response = await this.api.get(`${this.apiPath}/myself`);
       logger.debug(
         `Authenticated as: ${response.data.displayName} (${response.data.emailAddress})`
       );
@@ -57,116 +73,209 @@ export class JiraClient {
   }
 
   /**
-   * Search for issues using JQL with pagination
+   * Search for one page of issues using JQL, through the cursor-paged
+   * `/rest/api/3/search/jql` endpoint or, on Jira versions without it (Server and
+   * Data Center), the offset-paged legacy `/search` endpoint
    * @param {string} jql JQL query string
-   * @param {Object} options Search options
-   * @returns {Promise<Array>} Array of issues
+   * @param {Object} options Search options (maxResults, the nextPageToken or startAt
+   *   of the page, and extra `fields` to fetch)
+   * @returns {Promise<Object>} Page as { issues, hasMore, nextPageToken, startAt, total }
    */
   async searchIssues(jql, options = {}) {
     const {
       maxResults = 50,
-      startAt = 0
+      startAt = 0,
+      nextPageToken = null,
+      fields = []
     } = options;
 
+    const payload = {
+      jql,
+      maxResults,
+      fields: ['key', 'summary', 'description', 'status', 'assignee', 'reporter', 'created', 'updated', 'resolutiondate', 'priority', 'issuetype', 'components', 'fixVersions', 'labels', 'parent', 'subtasks', 'issuelinks', 'attachment', 'comment']
+    };
+
+    // Custom fields resolved from the field mapping
+    payload.fields.push(...fields.filter(field => !payload.fields.includes(field)));
+
+    // Legacy "Epic Link" field for projects that don't expose epics as `parent`
+    if (this.config.epicLinkField) {
+      payload.fields.push(this.config.epicLinkField);
+    }
+    if (this.config.sprintField) {
+      payload.fields.push(this.config.sprintField);
+    }
+
     return this.rateLimiter.executeWithRetry(async () => {
       logger.debug(`Searching issues with JQL: ${jql}`);
-
-      const payload = {
-        jql,
-        startAt,
-        maxResults,
-        fields: ['key', 'summary', 'description', 'status', 'assignee', 'reporter', 'created', 'updated', 'priority', 'issuetype', 'components', 'fixVersions', 'labels', 'parent', 'subtasks', 'attachment', 'comment', 'customfield_10100', 'customfield_10000']
-      };
-      
       logger.debug(`Request payload: ${JSON.stringify(payload, null, 2)}`);
 
+      let endpoint = '/rest/api/3/search/jql';
       try {
-        const response = await this.api.post('/rest/api/3/search', payload);
-
-        const {
-          issues,
-          total,
-          startAt: responseStartAt,
-          maxResults: responseMaxResults
-        } = response.data;
-
-        logger.debug(
-          `Found ${issues.length} issues (${responseStartAt + 1}-${responseStartAt + issues.length} of ${total})`
-        );
-
-        return {
-          issues,
-          total,
-          startAt: responseStartAt,
-          maxResults: responseMaxResults,
-          hasMore: responseStartAt + issues.length < total
-        };
-      } catch (error) {
-        // Enhanced error reporting for Jira API errors
-        if (error.response) {
-          const { status, data } = error.response;
-          let errorMessage = `Jira API Error: POST /rest/api/3/search - ${status}`;
-          
-          if (data) {
-            if (data.errorMessages && data.errorMessages.length > 0) {
-              errorMessage += `\nError Messages: ${data.errorMessages.join(', ')}`;
-            }
-            if (data.errors) {
-              const errorDetails = Object.entries(data.errors)
-                .map(([field, message]) => `${field}: ${message}`)
-                .join(', ');
-              errorMessage += `\nField Errors: ${errorDetails}`;
-            }
-            if (data.warningMessages && data.warningMessages.length > 0) {
-              errorMessage += `\nWarnings: ${data.warningMessages.join(', ')}`;
-            }
+        if (this.searchApi !== 'legacy') {
+          const page = await this.searchWithToken(payload, nextPageToken);
+          if (page) {
+            return page;
           }
-          
-          logger.error(errorMessage);
-          logger.error(`JQL Query: ${jql}`);
-          logger.error(`Request payload: ${JSON.stringify(payload, null, 2)}`);
-          
-          // Create a more informative error
-          const enhancedError = new Error(errorMessage);
-          enhancedError.originalError = error;
-          enhancedError.jql = jql;
-          throw enhancedError;
         }
-        
-        throw error;
+        endpoint = `${this.apiPath}/search`;
+        return await this.searchWithOffset(payload, startAt);
+      } catch (error) {
+        throw this.describeSearchError(error, endpoint, payload);
       }
     }, 'issue search');
   }
 
   /**
-   * Get all issues matching JQL query with automatic pagination
+   * Search one page through the cursor-paged `/rest/api/3/search/jql` endpoint
+   * @param {Object} payload Search payload ({ jql, maxResults, fields })
+   * @param {string|null} nextPageToken Token of the page, null for the first page
+   * @returns {Promise<Object|null>} Page, or null when this Jira has no such endpoint
+   */
+  async searchWithToken(payload, nextPageToken) {
+    let response;
+    try {
+      response = await this.api.post('/rest/api/3/search/jql', {
+        ...payload,
+        // Rendered fields tell which attachment an ADF media node shows (the legacy
+        // endpoint takes the same expand as an array)
+        expand: 'renderedFields',
+        ...(nextPageToken && { nextPageToken })
+      });
+    } catch (error) {
+      if (this.searchApi === null && error.response?.status === 404) {
+        logger.info('Jira has no /rest/api/3/search/jql endpoint - using the legacy /rest/api/3/search endpoint');
+        this.searchApi = 'legacy';
+        return null;
+      }
+      throw error;
+    }
+
+    this.searchApi = 'jql';
+    const { issues = [], nextPageToken: next = null, isLast } = response.data;
+    logger.debug(`Found ${issues.length} issues${next ? ' (more to come)' : ''}`);
+
+    return {
+      issues,
+      hasMore: Boolean(next) && isLast !== true,
+      nextPageToken: next,
+      startAt: null,
+      total: null
+    };
+  }
+
+  /**
+   * Search one page through the offset-paged legacy `/search` endpoint of the REST API version in use
+   * @param {Object} payload Search payload ({ jql, maxResults, fields })
+   * @param {number} startAt Offset of the page
+   * @returns {Promise<Object>} Page
+   */
+  async searchWithOffset(payload, startAt) {
+    const response = await this.api.post(`${this.apiPath}/search`, {
+      ...payload,
+      expand: ['renderedFields'],
+      startAt
+    });
+    const { issues, total, startAt: responseStartAt } = response.data;
+
+    logger.debug(
+      `Found ${issues.length} issues (${responseStartAt + 1}-${responseStartAt + issues.length} of ${total})`
+    );
+
+    return {
+      issues: issues.map(issue => this.withAttachmentUrls(issue)),
+      hasMore: issues.length > 0 && responseStartAt + issues.length < total,
+      nextPageToken: null,
+      startAt: responseStartAt,
+      total
+    };
+  }
+
+  /**
+   * Turn a failed search into an error that lists Jira's error messages
+   * @param {Error} error Error of the search request
+   * @param {string} endpoint Search endpoint
+   * @param {Object} payload Search payload
+   * @returns {Error} Error to throw
+   */
+  describeSearchError(error, endpoint, payload) {
+    if (!error.response) {
+      return error;
+    }
+
+    const { status, data } = error.response;
+    let errorMessage = `Jira API Error: POST ${endpoint} - ${status}`;
+
+    if (data) {
+      if (data.errorMessages && data.errorMessages.length > 0) {
+        errorMessage += `\nError Messages: ${data.errorMessages.join(', ')}`;
+      }
+      if (data.errors) {
+        const errorDetails = Object.entries(data.errors)
+          .map(([field, message]) => `${field}: ${message}`)
+          .join(', ');
+        errorMessage += `\nField Errors: ${errorDetails}`;
+      }
+      if (data.warningMessages && data.warningMessages.length > 0) {
+        errorMessage += `\nWarnings: ${data.warningMessages.join(', ')}`;
+      }
+    }
+
+    logger.error(errorMessage);
+    logger.error(`JQL Query: ${payload.jql}`);
+    logger.error(`Request payload: ${JSON.stringify(payload, null, 2)}`);
+
+    // Create a more informative error; the response lets the rate limiter tell rate limits from invalid queries
+    const enhancedError = new Error(errorMessage);
+    enhancedError.originalError = error;
+    enhancedError.response = error.response;
+    enhancedError.jql = payload.jql;
+    return enhancedError;
+  }
+
+  /**
+   * Iterate over all issues matching a JQL query, fetching one page at a time
    * @param {string} jql JQL query string
-   * @param {Object} options Search options
-   * @returns {Promise<Array>} Array of all matching issues
+   * @param {Object} options Search options (batchSize and extra `fields` to fetch)
+   * @returns {AsyncGenerator<Object>} Issues in the order of the query
    */
-  async getAllIssues(jql, options = {}) {
-    const allIssues = [];
-    let startAt = 0;
+  async *iterateIssues(jql, options = {}) {
     const maxResults = options.batchSize || 50;
-    let hasMore = true;
+    let cursor = { startAt: 0, nextPageToken: null };
+    let fetched = 0;
 
-    logger.info(`Fetching all issues matching: ${jql}`);
+    logger.info(`Fetching issues matching: ${jql}`);
 
-    while (hasMore) {
-      const result = await this.searchIssues(jql, {
-        ...options,
-        startAt,
-        maxResults
+    for (;;) {
+      const page = await this.searchIssues(jql, {
+        fields: options.fields,
+        maxResults,
+        ...cursor
       });
 
-      allIssues.push(...result.issues);
-      startAt += result.maxResults;
+      fetched += page.issues.length;
+      logger.info(page.total === null ? `Fetched ${fetched} issues` : `Fetched ${fetched}/${page.total} issues`);
 
-      logger.info(`Fetched ${allIssues.length}/${result.total} issues`);
+      yield* page.issues;
 
-      hasMore = result.hasMore;
+      if (!page.hasMore) {
+        return;
+      }
+      cursor = { startAt: (page.startAt ?? 0) + page.issues.length, nextPageToken: page.nextPageToken };
     }
+  }
 
+  /**
+   * Get all issues matching JQL query with automatic pagination
+   * @param {string} jql JQL query string
+   * @param {Object} options Search options
+   * @returns {Promise<Array>} Array of all matching issues
+   */
+  async getAllIssues(jql, options = {}) {
+    const allIssues = [];
+    for await (const issue of this.iterateIssues(jql, options)) {
+      allIssues.push(issue);
+    }
     return allIssues;
   }
 
@@ -179,17 +288,47 @@ export class JiraClient {
     return this.rateLimiter.executeWithRetry(async () => {
       logger.debug(`Fetching detailed issue: ${issueKey}`);
 
-      const response = await this.api.get(`/rest/api/3/issue/${issueKey}`, {
+      const response = await this.api.get(`${this.apiPath}/issue/${issueKey}`, {
         params: {
           expand:
             'names,schema,operations,versionedRepresentations,editmeta,changelog,renderedFields,comment,attachment'
         }
       });
 
-      return response.data;
+      return this.withAttachmentUrls(response.data);
     }, `fetch issue ${issueKey}`);
   }
 
+  /**
+   * Get the URL an attachment is downloaded from. Server and Data Center report
+   * `content` URLs under their own base URL, which may not be reachable as
+   * configured (proxies, context paths), so those are built from `url` instead
+   * @param {Object} attachment Jira attachment ({ id, filename, content })
+   * @returns {string} Download URL
+   */
+  getAttachmentUrl(attachment) {
+    if (this.deployment !== 'server') {
+      return attachment.content;
+    }
+    const baseUrl = this.config.url.replace(/\/+$/, '');
+    return `${baseUrl}/secure/attachment/${attachment.id}/${encodeURIComponent(attachment.filename)}`;
+  }
+
+  /**
+   * Point the attachments of an issue at their download URLs
+   * @param {Object} issue Jira issue object
+   * @returns {Object} The issue
+   */
+  withAttachmentUrls(issue) {
+    if (this.deployment === 'server' && Array.isArray(issue?.fields?.attachment)) {
+      issue.fields.attachment = issue.fields.attachment.map(attachment => ({
+        ...attachment,
+        content: this.getAttachmentUrl(attachment)
+      }));
+    }
+    return issue;
+  }
+
   /**
    * Get comments for an issue
    * @param {string} issueKey Issue key
@@ -199,7 +338,7 @@ export class JiraClient {
     return this.rateLimiter.executeWithRetry(async () => {
       logger.debug(`Fetching comments for issue: ${issueKey}`);
 
-      const response = await this.api.get(`/rest/api/3/issue/${issueKey}/comment`, {
+      const response = await this.api.get(`${this.apiPath}/issue/${issueKey}/comment`, {
         params: {
           expand: 'renderedBody'
         }
@@ -239,16 +378,17 @@ export class JiraClient {
       });
 
       return Buffer.from(response.data);
-    }, `download attachment ${filename}`);
+    }, `download attachment: ${filename}`);
   }
 
   /**
    * Get subtasks for an issue, optionally filtered by status
    * @param {string} parentKey Parent issue key
    * @param {Array<string>} statusFilter Array of statuses to include
+   * @param {Array<string>} fields Extra (custom) fields to fetch
    * @returns {Promise<Array>} Array of subtask issues
    */
-  async getSubtasks(parentKey, statusFilter = []) {
+  async getSubtasks(parentKey, statusFilter = [], fields = []) {
     return this.rateLimiter.executeWithRetry(async () => {
       logger.debug(`Fetching subtasks for parent: ${parentKey}`);
 
@@ -271,7 +411,8 @@ export class JiraClient {
       }
 
       const result = await this.searchIssues(jql, {
-        maxResults: 100 // Most issues don't have more than 100 subtasks
+        maxResults: 100, // Most issues don't have more than 100 subtasks
+        fields
       });
 
       logger.debug(`Found ${result.issues.length} subtasks for ${parentKey}`);
@@ -288,7 +429,7 @@ export class JiraClient {
     return this.rateLimiter.executeWithRetry(async () => {
       logger.debug(`Fetching transitions for issue: ${issueKey}`);
 
-      const response = await this.api.get(`/rest/api/3/issue/${issueKey}/transitions`);
+      const response = await this.api.get(`${this.apiPath}/issue/${issueKey}/transitions`);
       return response.data.transitions || [];
     }, `fetch transitions for ${issueKey}`);
   }
@@ -302,8 +443,30 @@ export class JiraClient {
     return this.rateLimiter.executeWithRetry(async () => {
       logger.debug(`Fetching changelog for issue: ${issueKey}`);
 
-      const response = await this.api.get(`/rest/api/3/issue/${issueKey}/changelog`);
-      return response.data.values || [];
+      // Server and Data Center have no changelog endpoint; the issue carries its whole changelog
+      if (this.deployment === 'server') {
+        const response = await this.api.get(`${this.apiPath}/issue/${issueKey}`, {
+          params: { expand: 'changelog', fields: 'key' }
+        });
+        return response.data.changelog?.histories || [];
+      }
+
+      const histories = [];
+      let startAt = 0;
+
+      // The changelog is paged; long-lived issues easily exceed one page
+      for (;;) {
+        const response = await this.api.get(`/rest/api/3/issue/${issueKey}/changelog`, {
+          params: { startAt, maxResults: 100 }
+        });
+        const values = response.data.values || [];
+        histories.push(...values);
+        startAt += values.length;
+
+        if (response.data.isLast !== false || values.length === 0) {
+          return histories;
+        }
+      }
     }, `fetch changelog for ${issueKey}`);
   }
 
@@ -316,9 +479,36 @@ export class JiraClient {
     return this.rateLimiter.executeWithRetry(async () => {
       logger.debug(`Fetching project information: ${projectKey}`);
 
-      const response = await this.api.get(`/rest/api/3/project/${projectKey}`);
+      const response = await this.api.get(`${this.apiPath}/project/${projectKey}`);
       return response.data;
-    }, `fetch project ${projectKey}`);
+    }, `fetch project: ${projectKey}`);
+  }
+
+  /**
+   * Get the metadata of every system and custom field
+   * @returns {Promise<Array>} Fields as { id, name, custom, schema }
+   */
+  async getFields() {
+    return this.rateLimiter.executeWithRetry(async () => {
+      logger.debug('Fetching field metadata');
+
+      const response = await this.api.get(`${this.apiPath}/field`);
+      return response.data || [];
+    }, 'fetch field metadata');
+  }
+
+  /**
+   * Get the versions (releases) of a project
+   * @param {string} projectKey Project key
+   * @returns {Promise<Array>} Versions with release date and released/archived state
+   */
+  async getProjectVersions(projectKey) {
+    return this.rateLimiter.executeWithRetry(async () => {
+      logger.debug(`Fetching versions of project: ${projectKey}`);
+
+      const response = await this.api.get(`${this.apiPath}/project/${projectKey}/versions`);
+      return response.data || [];
+    }, `fetch versions: ${projectKey}`);
   }
 
   /**
@@ -366,7 +556,7 @@ export class JiraClient {
       }
     }
 
-    logger.info(
+    logger.debug(
       `Filtered issues: ${parentIssues.length} parent issues, ${subtasks.length} subtasks`
     );
 
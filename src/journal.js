@@ -0,0 +1,163 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomBytes } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './utils.js';
+
+/**
+ * Route fragments mapped to the kind of GitHub resource a request writes
+ */
+const RESOURCE_TYPES = [
+  [/\/releases\/(assets|\{release_id\}\/assets)/, 'release-asset'],
+  [/\/releases/, 'release'],
+  [/\/git\/refs/, 'git-ref'],
+  [/\/comments/, 'comment'],
+  [/\/labels/, 'label'],
+  [/\/import\/issues/, 'issue-import'],
+  [/\/lock/, 'lock'],
+  [/\/sub_issues/, 'sub-issue'],
+  [/\/milestones/, 'milestone'],
+  [/\/issues/, 'issue'],
+  [/^\/graphql$/, 'graphql']
+];
+
+/**
+ * Create an id for a run, e.g. `20240115T090000Z-a1b2c3`
+ * @returns {string} Run id
+ */
+export function createRunId() {
+  const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  return `${timestamp}-${randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Append-only JSONL audit trail of every write a run makes to GitHub
+ */
+export class Journal {
+  /**
+   * @param {string} runId Id of the run being journaled
+   * @param {string} filePath JSONL file to append to (null disables writing)
+   */
+  constructor(runId, filePath) {
+    this.runId = runId;
+    this.filePath = filePath;
+    this.context = new AsyncLocalStorage();
+    this.entries = 0;
+  }
+
+  /**
+   * Run a function with context (such as the Jira key) attached to every record it causes
+   * @param {Object} context Context fields, e.g. { jiraKey }
+   * @param {Function} fn Function to run
+   * @returns {Promise<*>} Result of the function
+   */
+  withContext(context, fn) {
+    return this.context.run({ ...this.context.getStore(), ...context }, fn);
+  }
+
+  /**
+   * Append a record to the journal
+   * @param {Object} record Record fields
+   */
+  async record(record) {
+    if (!this.filePath) {
+      return;
+    }
+
+    const line = {
+      timestamp: new Date().toISOString(),
+      runId: this.runId,
+      jiraKey: null,
+      ...this.context.getStore(),
+      ...record
+    };
+
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.appendFile(this.filePath, `${JSON.stringify(line)}\n`);
+      this.entries++;
+    } catch (error) {
+      logger.warn(`Failed to write journal ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a finished GitHub request if it changed anything
+   * @param {Object} options Octokit request options
+   * @param {Object} response Octokit response (when the request succeeded)
+   * @param {Error} error Request error (when it failed)
+   */
+  async recordRequest(options, response = null, error = null) {
+    if (!isMutation(options)) {
+      return;
+    }
+
+    await this.record({
+      operation: `${options.method} ${options.url}`,
+      resourceType: resourceType(options.url),
+      resource: describeResource(options, response?.data),
+      status: response?.status ?? error?.status ?? null,
+      result: error ? 'error' : 'success',
+      ...(error && { error: error.message })
+    });
+  }
+}
+
+/**
+ * Check whether a request writes to GitHub
+ * @param {Object} options Octokit request options
+ * @returns {boolean} True for non-GET REST calls and GraphQL mutations
+ */
+function isMutation(options) {
+  if (options.method === 'GET' || options.method === 'HEAD') {
+    return false;
+  }
+  if (options.url === '/graphql') {
+    return /^\s*mutation\b/.test(options.query || '');
+  }
+  return true;
+}
+
+/**
+ * Classify the resource a request route writes
+ * @param {string} url Octokit route (templated or expanded)
+ * @returns {string} Resource type
+ */
+function resourceType(url = '') {
+  const match = RESOURCE_TYPES.find(([pattern]) => pattern.test(url));
+  return match ? match[1] : 'other';
+}
+
+/**
+ * Collect identifiers of the written resource from request parameters and response data
+ * @param {Object} options Octokit request options
+ * @param {Object} data Response data
+ * @returns {Object} Identifiers (issue number, comment/asset/release id, label name...)
+ */
+function describeResource(options, data) {
+  const resource = {
+    issueNumber: data?.number ?? options.issue_number,
+    id: data?.id ?? options.comment_id ?? options.asset_id ?? options.release_id,
+    nodeId: data?.node_id,
+    name: data?.name ?? options.name,
+    tag: data?.tag_name ?? options.tag_name,
+    url: data?.html_url ?? data?.browser_download_url
+  };
+
+  if (options.url === '/graphql') {
+    resource.variables = options.variables;
+  }
+
+  return Object.fromEntries(Object.entries(resource).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Create the journal for a run
+ * @param {Object} config Migration configuration (journalDir, default "journal"; false disables)
+ * @param {string} runId Run id (a new one is created when omitted)
+ * @returns {Journal} Journal instance
+ */
+export function createJournal(config = {}, runId = createRunId()) {
+  const dir = config.journalDir ?? 'journal';
+  return new Journal(runId, dir === false ? null : path.join(dir, `${runId}.jsonl`));
+}
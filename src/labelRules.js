@@ -0,0 +1,165 @@
+import { FieldMapper, getPlainValues } from './fieldMapper.js';
+import { logger } from './utils.js';
+
+/**
+ * Rule conditions on standard issue fields, with the values each one compares
+ */
+const CONDITIONS = {
+  issueType: fields => [fields.issuetype?.name],
+  priority: fields => [fields.priority?.name],
+  component: fields => (fields.components || []).map(component => component.name),
+  label: fields => fields.labels || [],
+  status: fields => [fields.status?.name]
+};
+
+/**
+ * Normalize a label color to the six hex digits GitHub expects
+ * @param {string} color Color such as `#d73a4a` or `d73a4a`
+ * @returns {string|undefined} Color without `#`
+ */
+function normalizeColor(color) {
+  return color ? String(color).replace(/^#/, '').toLowerCase() : undefined;
+}
+
+/**
+ * Check whether any of an issue's values is one of the wanted values (case-insensitive)
+ * @param {Array} values Issue values
+ * @param {string|Array<string>} wanted Wanted value or values
+ * @returns {boolean} True on a match
+ */
+function matchesAny(values, wanted) {
+  const expected = [].concat(wanted).map(value => String(value).toLowerCase());
+  return values.some(value => value !== undefined && value !== null && expected.includes(String(value).toLowerCase()));
+}
+
+/**
+ * Produces GitHub labels from rules that match Jira issue attributes, and carries
+ * over Jira labels with optional renames
+ */
+export class LabelRules {
+  /**
+   * @param {JiraClient} jiraClient Jira API client (for custom field metadata)
+   * @param {Object} config Label rule configuration
+   * @param {Array<Object>} config.rules Rules as { match, labels }
+   * @param {boolean|Object} config.jiraLabels Carry over Jira labels: true, or { rename, exclude }
+   * @param {Object} config.definitions Colors and descriptions by label name
+   */
+  constructor(jiraClient, config = {}) {
+    this.rules = config.rules || [];
+    this.jiraLabels = config.jiraLabels === true ? {} : config.jiraLabels || null;
+    this.rename = Object.fromEntries(
+      Object.entries(this.jiraLabels?.rename || {}).map(([from, to]) => [from.toLowerCase(), to])
+    );
+    this.exclude = (this.jiraLabels?.exclude || []).map(label => label.toLowerCase());
+
+    this.definitions = {};
+    for (const [name, definition] of Object.entries(config.definitions || {})) {
+      this.define(name, definition);
+    }
+    for (const label of this.rules.flatMap(rule => rule.labels || [])) {
+      if (typeof label === 'object') {
+        this.define(label.name, label);
+      }
+    }
+
+    // Custom fields in conditions are resolved by display name like field mappings
+    const fields = [...new Set(this.rules.flatMap(rule => Object.keys(rule.match?.fields || {})))];
+    this.fieldMapper = new FieldMapper(
+      jiraClient,
+      fields.map(field => ({ field, target: 'label' }))
+    );
+  }
+
+  /**
+   * Record the color and description of a label
+   * @param {string} name Label name
+   * @param {Object} definition Label definition ({ color, description })
+   */
+  define(name, { color, description }) {
+    this.definitions[name] = {
+      ...this.definitions[name],
+      ...(color && { color: normalizeColor(color) }),
+      ...(description && { description })
+    };
+  }
+
+  /**
+   * Resolve the custom fields used in conditions (once per run)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    await this.fieldMapper.load();
+  }
+
+  /**
+   * Get the ids of the custom fields used in conditions, to request them when searching issues
+   * @returns {Array<string>} Jira field ids
+   */
+  getFieldIds() {
+    return this.fieldMapper.getFieldIds();
+  }
+
+  /**
+   * Check whether an issue meets every condition of a rule
+   * @param {Object} jiraIssue Jira issue object
+   * @param {Object} match Conditions ({ issueType, priority, component, label, status, fields })
+   * @returns {boolean} True if the rule applies
+   */
+  matches(jiraIssue, match = {}) {
+    const fields = jiraIssue.fields || {};
+
+    for (const [condition, wanted] of Object.entries(match)) {
+      if (condition === 'fields') {
+        continue;
+      }
+      if (!CONDITIONS[condition]) {
+        logger.warn(`Unknown label rule condition "${condition}" - the rule never matches`);
+        return false;
+      }
+      if (!matchesAny(CONDITIONS[condition](fields), wanted)) {
+        return false;
+      }
+    }
+
+    return Object.entries(match.fields || {}).every(([field, wanted]) => {
+      const mapping = this.fieldMapper.resolved.find(resolved => resolved.field === field);
+      return mapping ? matchesAny(getPlainValues(fields[mapping.id]), wanted) : false;
+    });
+  }
+
+  /**
+   * Get the labels the rules and the Jira labels give an issue
+   * @param {Object} jiraIssue Jira issue object
+   * @returns {Array<string>} Label names
+   */
+  mapLabels(jiraIssue) {
+    const labels = this.rules
+      .filter(rule => this.matches(jiraIssue, rule.match))
+      .flatMap(rule => (rule.labels || []).map(label => (typeof label === 'object' ? label.name : label)));
+
+    if (this.jiraLabels) {
+      for (const label of jiraIssue.fields.labels || []) {
+        const key = label.toLowerCase();
+        if (!this.exclude.includes(key)) {
+          labels.push(this.rename[key] ?? label);
+        }
+      }
+    }
+
+    return [...new Set(labels.filter(Boolean))];
+  }
+}
+
+/**
+ * Create label rules
+ * @param {JiraClient} jiraClient Jira API client
+ * @param {Object} config Full configuration object
+ * @returns {LabelRules|null} Label rules, or null when `labelRules` is not configured
+ */
+export function createLabelRules(jiraClient, config) {
+  const rulesConfig = config.migration.labelRules;
+  if (!rulesConfig) {
+    return null;
+  }
+  return new LabelRules(jiraClient, rulesConfig);
+}
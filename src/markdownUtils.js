@@ -0,0 +1,221 @@
+/**
+ * GitHub-flavored Markdown building helpers shared by the content converters
+ */
+export const markdownUtils = {
+  /**
+   * Escape characters that Markdown would otherwise interpret as formatting
+   * @param {string} text Plain text
+   * @returns {string} Escaped text
+   */
+  escapeText(text) {
+    if (!text) return '';
+
+    return (
+      String(text)
+        .replace(/([\\`*~[\]<>])/g, '\\$1')
+        // Intraword underscores (snake_case) never start emphasis on GitHub
+        .replace(/(^|[^A-Za-z0-9])_|_(?=[^A-Za-z0-9]|$)/g, (match, before) =>
+          before !== undefined ? `${before}\\_` : '\\_'
+        )
+        // Characters that only matter at the start of a line
+        .replace(/^(\s*)([#>+-])(?=\s|$)/gm, '$1\\$2')
+        .replace(/^(\s*\d+)([.)])(?=\s|$)/gm, '$1\\$2')
+    );
+  },
+
+  /**
+   * Wrap text in an inline code span, growing the delimiter as needed
+   * @param {string} text Code text
+   * @returns {string} Inline code markdown
+   */
+  codeSpan(text) {
+    const content = String(text ?? '').replace(/\n/g, ' ');
+    if (!content) return '';
+
+    const longestRun = Math.max(0, ...(content.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    const pad = content.startsWith('`') || content.endsWith('`') ? ' ' : '';
+    return `${fence}${pad}${content}${pad}${fence}`;
+  },
+
+  /**
+   * Build a fenced code block that cannot be closed early by its own content
+   * @param {string} code Code text
+   * @param {string} language Optional language identifier
+   * @returns {string} Fenced code block markdown
+   */
+  codeFence(code, language = '') {
+    const content = String(code ?? '').replace(/\n+$/, '');
+    const longestRun = Math.max(0, ...(content.match(/`{3,}/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    const lang = String(language || '').trim().split(/\s+/)[0];
+    return `${fence}${lang}\n${content}\n${fence}`;
+  },
+
+  /**
+   * Prefix every line of a block with a blockquote marker
+   * @param {string} text Block content
+   * @returns {string} Quoted markdown
+   */
+  blockquote(text) {
+    return String(text ?? '')
+      .split('\n')
+      .map(line => (line ? `> ${line}` : '>'))
+      .join('\n');
+  },
+
+  /**
+   * Indent every line after the first, used for list item continuation
+   * @param {string} text Block content
+   * @param {number} width Number of spaces to indent
+   * @returns {string} Indented markdown
+   */
+  indentContinuation(text, width) {
+    const padding = ' '.repeat(width);
+    return String(text ?? '')
+      .split('\n')
+      .map((line, index) => (index === 0 || !line ? line : `${padding}${line}`))
+      .join('\n');
+  },
+
+  /**
+   * Build a Markdown link with a URL that survives Markdown parsing
+   * @param {string} label Already-rendered link text
+   * @param {string} href Link target
+   * @param {string} title Optional link title
+   * @returns {string} Markdown link
+   */
+  link(label, href, title) {
+    if (!href) return label;
+
+    const url = String(href).replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+    const titlePart = title ? ` "${String(title).replace(/"/g, '\\"')}"` : '';
+    return `[${label || this.escapeText(href)}](${url}${titlePart})`;
+  },
+
+  /**
+   * Build a Markdown image
+   * @param {string} alt Plain alt text
+   * @param {string} url Image URL
+   * @returns {string} Markdown image
+   */
+  image(alt, url) {
+    const label = this.escapeText(String(alt ?? '').replace(/[\r\n]+/g, ' '));
+    return `!${this.link(label || ' ', url)}`;
+  },
+
+  /**
+   * Check whether an attachment should be embedded as an image
+   * @param {string} filename File name
+   * @param {string} mimeType MIME type, if known
+   * @returns {boolean} True for image attachments
+   */
+  isImage(filename, mimeType) {
+    if (mimeType) return mimeType.startsWith('image/');
+    return /\.(png|jpe?g|gif|bmp|svg|webp)$/i.test(filename || '');
+  },
+
+  /**
+   * Render a GitHub-flavored Markdown table
+   * @param {Array<Array<string>>} rows Rows of already-rendered inline cell content
+   * @param {boolean} hasHeader Whether the first row is a header row
+   * @returns {string} Table markdown
+   */
+  table(rows, hasHeader = true) {
+    if (!rows || rows.length === 0) return '';
+
+    const columnCount = Math.max(...rows.map(row => row.length), 1);
+    const formatRow = row => {
+      const cells = Array.from({ length: columnCount }, (_, index) =>
+        this.tableCell(row[index] || '')
+      );
+      return `| ${cells.join(' | ')} |`;
+    };
+
+    const header = hasHeader ? rows[0] : [];
+    const body = hasHeader ? rows.slice(1) : rows;
+    const lines = [formatRow(header), `|${' --- |'.repeat(columnCount)}`];
+    body.forEach(row => lines.push(formatRow(row)));
+
+    return lines.join('\n');
+  },
+
+  /**
+   * Make rendered content safe to place in a single table cell
+   * @param {string} content Rendered cell content
+   * @returns {string} Single-line cell content
+   */
+  tableCell(content) {
+    return String(content ?? '')
+      .trim()
+      .replace(/\|/g, '\\|')
+      .replace(/\n+/g, '<br>');
+  },
+
+  /**
+   * Get the content of a generated section of an issue body
+   * @param {string} body Issue body
+   * @param {string} id Section id used in the markers
+   * @returns {string|null} Section content, or null when the body has no such section
+   */
+  getSection(body, id) {
+    const start = `<!-- gitporter:${id}:start -->`;
+    const end = `<!-- gitporter:${id}:end -->`;
+    const current = String(body ?? '');
+
+    const startIndex = current.indexOf(start);
+    const endIndex = current.indexOf(end, startIndex);
+    if (startIndex === -1 || endIndex === -1) {
+      return null;
+    }
+    return current.slice(startIndex + start.length, endIndex).trim();
+  },
+
+  /**
+   * Insert or replace a generated section of an issue body, delimited by HTML
+   * comment markers so it can be found again on later runs
+   * @param {string} body Existing body
+   * @param {string} id Section id used in the markers
+   * @param {string} content Section content (an empty string removes the section)
+   * @returns {string} Updated body
+   */
+  upsertSection(body, id, content) {
+    const start = `<!-- gitporter:${id}:start -->`;
+    const end = `<!-- gitporter:${id}:end -->`;
+    const current = String(body ?? '');
+    const section = content ? `${start}\n${content.trim()}\n${end}` : '';
+
+    const startIndex = current.indexOf(start);
+    const endIndex = current.indexOf(end, startIndex);
+    if (startIndex !== -1 && endIndex !== -1) {
+      const before = current.slice(0, startIndex);
+      const after = current.slice(endIndex + end.length);
+      return section ? `${before}${section}${after}` : `${before.trimEnd()}${after}`;
+    }
+
+    if (!section) {
+      return current;
+    }
+    return current ? `${current.trimEnd()}\n\n${section}\n` : `${section}\n`;
+  },
+
+  /**
+   * Transform the parts of a body outside its generated sections, leaving the
+   * sections themselves as they are
+   * @param {string} body Issue or comment body
+   * @param {Function} transform Receives a part of the body and returns its replacement
+   * @returns {string} Transformed body
+   */
+  mapOutsideSections(body, transform) {
+    const current = String(body ?? '');
+    const pattern = /<!-- gitporter:([\w-]+):start -->[\s\S]*?<!-- gitporter:\1:end -->/g;
+    let result = '';
+    let lastIndex = 0;
+
+    for (const match of current.matchAll(pattern)) {
+      result += `${transform(current.slice(lastIndex, match.index))}${match[0]}`;
+      lastIndex = match.index + match[0].length;
+    }
+    return `${result}${transform(current.slice(lastIndex))}`;
+  }
+};
@@ -2,6 +2,27 @@ import ora from 'ora';
 import { createJiraClient } from './jiraClient.js';
 import { createGitHubClient } from './githubClient.js';
 import { createSummarizer } from './summarizer.js';
+import { createUserMapper } from './userMapper.js';
+import { createJournal } from './journal.js';
+import { getParentKey, groupByDepth, upsertSubIssueList } from './hierarchy.js';
+import {
+  collectIssueLinks,
+  getDuplicateOf,
+  findGitHubNumber,
+  getUnresolvedKeys,
+  upsertLinkedIssues
+} from './issueLinks.js';
+import { getProjectKey, formatIssueReference, rewriteJiraReferences } from './references.js';
+import { HISTORY_SECTION, collectHistory, formatHistory } from './history.js';
+import { markdownUtils } from './markdownUtils.js';
+import { createMilestoneMapper, parseSprint } from './milestones.js';
+import { createProjectMapper } from './projects.js';
+import { createFieldMapper, formatFieldValue } from './fieldMapper.js';
+import { createTemplateRenderer } from './templates.js';
+import { createPluginManager } from './plugins.js';
+import { createRedactor, countFindings, formatFindings } from './redactor.js';
+import { createLabelRules } from './labelRules.js';
+import { scheduler } from './scheduler.js';
 import {
   logger,
   MarkdownConverter,
@@ -12,6 +33,45 @@ import {
   textUtils
 } from './utils.js';
 
+/**
+ * Default location of the Jira to GitHub issue mapping
+ */
+export const MAPPING_FILE = 'mapping.json';
+
+/**
+ * Mapping statuses of issues created by GitPorter that sync keeps up to date
+ */
+const SYNCABLE_STATUSES = ['migrated', 'partial'];
+
+/**
+ * Heading that starts the generated part of an issue body; anything above it
+ * (such as the AI summary) is kept when the body is rewritten during sync
+ */
+const DETAILS_HEADING = '## Issue Details';
+
+/**
+ * Most children held back for a parent that has not been streamed yet; beyond it
+ * they are migrated right away and linked once their parent is
+ */
+const MAX_WAITING_CHILDREN = 1000;
+
+/**
+ * Marker id of the AI summary in templated bodies, so sync can carry it over
+ */
+const SUMMARY_SECTION = 'summary';
+
+/**
+ * Check whether two timestamps fall in the same second (the import API keeps
+ * comment timestamps to the second)
+ * @param {string} a Timestamp
+ * @param {string} b Timestamp
+ * @returns {boolean} True when both are valid and equal to the second
+ */
+function isSameSecond(a, b) {
+  const first = Math.floor(Date.parse(a) / 1000);
+  return !Number.isNaN(first) && first === Math.floor(Date.parse(b) / 1000);
+}
+
 /**
  * Main migration orchestrator
  */
@@ -20,21 +80,51 @@ export class Migrator {
     this.config = config;
     this.jiraClient = createJiraClient(config.jira);
     this.githubClient = createGitHubClient(config.github);
-    this.summarizer = createSummarizer(config.openai);
-    this.markdownConverter = new MarkdownConverter();
+    this.redactor = createRedactor(config);
+    this.summarizer = createSummarizer(config.openai, this.redactor);
+    this.userMapper = createUserMapper(config.users);
+    this.markdownConverter = new MarkdownConverter({
+      resolveMention: user => this.userMapper.resolve(user)
+    });
     this.statusMapper = new StatusMapper(config.migration.statusMapping);
-    this.labelMapper = new LabelMapper(config.migration.labelMapping);
+    this.labelMapper = new LabelMapper(config.migration.labelMapping, config.migration.labelRules?.builtIn);
+    this.milestoneMapper = createMilestoneMapper(this.githubClient, this.jiraClient, config);
+    this.projectMapper = createProjectMapper(this.githubClient, config);
+    this.fieldMapper = createFieldMapper(this.jiraClient, config);
+    this.labelRules = createLabelRules(this.jiraClient, config);
+    this.templates = createTemplateRenderer(config);
+    this.plugins = createPluginManager(config);
 
     // State management
+    this.journal = createJournal(config.migration);
+    this.runId = this.journal.runId;
+    this.githubClient.setJournal(this.journal);
     this.mapping = {};
-    this.mappingFile = 'mapping.json';
+    this.mappingFile = MAPPING_FILE;
+    this.maxWaitingChildren = MAX_WAITING_CHILDREN;
+    // Mappings of other migrations (e.g. into other repositories) used to resolve references
+    this.referenceMapping = {};
+    this.projectKeys = new Set();
+    this.batchCount = 0;
+    // Changelogs of the issues being processed; dropped when an issue is done
+    this.changelogs = new Map();
+    // Redaction counts by Jira key and detector
+    this.redactions = {};
     this.stats = {
       processed: 0,
       created: 0,
       skipped: 0,
+      resumed: 0,
+      updated: 0,
+      unchanged: 0,
       errors: 0,
       comments: 0,
-      attachments: 0
+      attachments: 0,
+      linksRewritten: 0,
+      referencesRewritten: 0,
+      duplicatesClosed: 0,
+      filtered: 0,
+      redactions: 0
     };
   }
 
@@ -44,6 +134,7 @@ export class Migrator {
    */
   async migrate() {
     const spinner = ora('Starting migration...').start();
+    logger.info(`Run ID: ${this.runId}`);
 
     try {
       // Test connections
@@ -52,19 +143,23 @@ export class Migrator {
       // Load existing mapping for idempotency
       await this.loadMapping(spinner);
 
-      // Fetch issues from Jira
-      const jiraIssues = await this.fetchJiraIssues(spinner);
+      // Load Jira to GitHub user mappings
+      await this.loadUserMapping(spinner);
+
+      // Load title, body and comment templates, and transform plugins
+      await this.loadTemplates(spinner);
+      await this.loadPlugins(spinner);
 
-      if (jiraIssues.length === 0) {
+      // Stream issues from Jira through summaries and processing, one batch at a time
+      const found = await this.processJiraIssues(spinner);
+
+      if (found === 0) {
         spinner.succeed('No issues found to migrate');
         return this.stats;
       }
 
-      // Generate AI summaries in batch
-      const summaries = await this.generateSummaries(jiraIssues, spinner);
-
-      // Process issues in batches
-      await this.processIssuesBatch(jiraIssues, summaries, spinner);
+      // Point links and mentions at issues that were migrated after the issues referencing them
+      await this.rewriteForwardReferences(spinner);
 
       // Save final mapping
       await this.saveMapping(spinner);
@@ -79,6 +174,46 @@ export class Migrator {
     }
   }
 
+  /**
+   * Execute an incremental sync: migrate new Jira issues and bring already
+   * migrated GitHub issues up to date with changes made in Jira since the last sync
+   * @returns {Promise<Object>} Sync results
+   */
+  async sync() {
+    const spinner = ora('Starting sync...').start();
+    logger.info(`Run ID: ${this.runId}`);
+
+    try {
+      await this.testConnections(spinner);
+      await this.loadMapping(spinner);
+      await this.loadUserMapping(spinner);
+      await this.loadTemplates(spinner);
+      await this.loadPlugins(spinner);
+
+      // Summaries are only generated for issues that have not been migrated yet
+      const found = await this.processJiraIssues(spinner, (jiraIssue, aiSummary) =>
+        this.syncIssue(jiraIssue, aiSummary)
+      );
+
+      if (found === 0) {
+        spinner.succeed('No issues found to sync');
+        return this.stats;
+      }
+
+      await this.rewriteForwardReferences(spinner);
+
+      await this.saveMapping(spinner);
+
+      spinner.succeed('Sync completed successfully');
+      this.printStats();
+
+      return this.stats;
+    } catch (error) {
+      spinner.fail(`Sync failed: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Test all API connections
    * @param {Object} spinner Ora spinner instance
@@ -122,6 +257,58 @@ export class Migrator {
     } else {
       logger.info('No existing mapping file found - starting fresh migration');
     }
+
+    for (const file of this.config.migration.referenceMappings || []) {
+      const referenceMapping = await fileUtils.readJsonFile(file);
+      if (!referenceMapping) {
+        logger.warn(`Reference mapping ${file} not found - its issues will not be cross-referenced`);
+        continue;
+      }
+      this.referenceMapping = { ...referenceMapping, ...this.referenceMapping };
+      logger.info(`Loaded ${Object.keys(referenceMapping).length} reference mappings from ${file}`);
+    }
+  }
+
+  /**
+   * Load the Jira to GitHub user mapping file, if configured
+   * @param {Object} spinner Ora spinner instance
+   */
+  async loadUserMapping(spinner) {
+    const file = this.config.users?.file;
+    if (!file) {
+      return;
+    }
+
+    spinner.text = 'Loading user mappings...';
+    const loaded = await this.userMapper.loadCsv(file);
+    logger.info(`Loaded ${loaded} user mappings from ${file}`);
+  }
+
+  /**
+   * Load the title, body and comment templates, if configured
+   * @param {Object} spinner Ora spinner instance
+   */
+  async loadTemplates(spinner) {
+    if (!this.config.migration.templates) {
+      return;
+    }
+
+    spinner.text = 'Loading templates...';
+    const loaded = await this.templates.load();
+    logger.info(`Using custom templates for: ${loaded.join(', ') || 'nothing'}`);
+  }
+
+  /**
+   * Load the transform plugins, if configured
+   * @param {Object} spinner Ora spinner instance
+   */
+  async loadPlugins(spinner) {
+    if (!this.config.migration.plugins?.length) {
+      return;
+    }
+
+    spinner.text = 'Loading plugins...';
+    await this.plugins.load();
   }
 
   /**
@@ -131,33 +318,287 @@ export class Migrator {
   async saveMapping(spinner) {
     spinner.text = 'Saving mappings...';
 
-    await fileUtils.writeJsonFile(this.mappingFile, this.mapping);
+    await this.checkpoint();
     logger.debug(`Saved mappings to ${this.mappingFile}`);
   }
 
   /**
-   * Fetch all issues from Jira
+   * Persist the mapping immediately (used after every mirrored comment or upload);
+   * issues processed in parallel write one snapshot at a time
+   */
+  async checkpoint() {
+    await scheduler.exclusive('mapping', () => fileUtils.writeJsonFile(this.mappingFile, this.mapping));
+  }
+
+  /**
+   * Stream the issues to migrate from Jira, one batch at a time
    * @param {Object} spinner Ora spinner instance
-   * @returns {Promise<Array>} Array of Jira issues
+   * @returns {AsyncGenerator<Array>} Batches of filtered and redacted Jira issues
    */
-  async fetchJiraIssues(spinner) {
+  async *fetchJiraIssues(spinner) {
     spinner.text = 'Fetching issues from Jira...';
 
     const jql = this.jiraClient.buildJqlQuery(this.config);
     logger.debug(`Using JQL query: ${jql}`);
 
-    const allIssues = await this.jiraClient.getAllIssues(jql, {
-      batchSize: this.config.migration.batchSize
+    // Custom fields are looked up by display name so their ids can be requested
+    await this.fieldMapper.load();
+    await this.labelRules?.load();
+    const stream = this.jiraClient.iterateIssues(jql, {
+      batchSize: this.config.migration.batchSize,
+      fields: this.getFieldIds()
     });
 
-    // Filter and separate issues by type
-    const { allIssues: filteredIssues } = this.jiraClient.filterIssuesByType(
-      allIssues,
-      this.config
-    );
+    // Mentions of these projects' issues are tracked until the issues are migrated
+    this.projectKeys = new Set([...Object.keys(this.mapping), ...Object.keys(this.referenceMapping)].map(getProjectKey));
+
+    // Subtasks fetched for an earlier batch can be returned by the query again
+    const seen = new Set();
+
+    for await (const page of this.chunkStream(stream, this.config.migration.batchSize)) {
+      const { allIssues: filteredIssues } = this.jiraClient.filterIssuesByType(page, this.config);
+      const issues = (await this.includeMissingSubtasks(filteredIssues)).filter(issue => !seen.has(issue.key));
+
+      for (const issue of issues) {
+        seen.add(issue.key);
+        this.projectKeys.add(getProjectKey(issue.key));
+      }
+
+      // Redaction happens before anything reads the issues
+      yield issues.map(issue => this.redactIssue(issue));
+    }
+  }
+
+  /**
+   * Stream the issues from Jira through summaries and processing. Parents are
+   * processed before their children, so children that arrive before their parent
+   * wait for it; those whose parent never arrives are processed at the end. When
+   * more than `maxWaitingChildren` wait, they are processed right away and linked
+   * when their parent is
+   * @param {Object} spinner Ora spinner instance
+   * @param {Function} handler Called with each issue and its summary (defaults to processIssue)
+   * @returns {Promise<number>} Number of issues found
+   */
+  async processJiraIssues(spinner, handler) {
+    const epicLinkField = this.config.jira.epicLinkField;
+    const waiting = new Map();
+    // Children processed before their parent, reduced to what linking them needs
+    const unlinked = new Map();
+    const processed = new Set();
+    let waitingCount = 0;
+    let found = 0;
+
+    const run = async issues => {
+      while (issues.length > 0) {
+        const summaries = await this.generateSummaries(issues, spinner);
+        await this.processIssuesBatch(issues, summaries, spinner, handler);
+        issues.forEach(issue => processed.add(issue.key));
+        await this.linkUnlinkedChildren(issues, unlinked);
+
+        // Children that waited for these issues can go now
+        issues = issues.flatMap(issue => {
+          const children = waiting.get(issue.key) || [];
+          waiting.delete(issue.key);
+          waitingCount -= children.length;
+          return children;
+        });
+      }
+    };
+
+    for await (const batch of this.fetchJiraIssues(spinner)) {
+      found += batch.length;
+
+      const ordered = groupByDepth(batch, epicLinkField).flat();
+      const ready = new Set();
+      for (const issue of ordered) {
+        const parentKey = getParentKey(issue, epicLinkField);
+        if (!parentKey || ready.has(parentKey) || processed.has(parentKey) || this.mapping[parentKey]?.githubNumber) {
+          ready.add(issue.key);
+        } else {
+          waiting.set(parentKey, [...(waiting.get(parentKey) || []), issue]);
+          waitingCount++;
+        }
+      }
+
+      await run(ordered.filter(issue => ready.has(issue.key)));
+
+      // Parents outside the query never arrive; don't hold their children until the end
+      if (waitingCount > this.maxWaitingChildren) {
+        const held = [...waiting.values()].flat();
+        logger.debug(`Processing ${held.length} children before their parents arrive`);
+        waiting.clear();
+        waitingCount = 0;
+        for (const child of held) {
+          const parentKey = getParentKey(child, epicLinkField);
+          const { parent, status, [epicLinkField]: epicLink } = child.fields;
+          const fields = { parent, status, ...(epicLinkField && { [epicLinkField]: epicLink }) };
+          unlinked.set(parentKey, [...(unlinked.get(parentKey) || []), { key: child.key, fields }]);
+        }
+        await run(groupByDepth(held, epicLinkField).flat());
+      }
+    }
+
+    const orphans = [...waiting.values()].flat();
+    waiting.clear();
+    if (orphans.length > 0) {
+      await run(groupByDepth(orphans, epicLinkField).flat());
+    }
+
+    logger.info(`Found ${found} issues to migrate`);
+    return found;
+  }
+
+  /**
+   * Link children that were processed before their parent to the parents just processed
+   * @param {Array<Object>} parents Jira issues just processed
+   * @param {Map<string, Array<Object>>} unlinked Children waiting for a link, by parent key
+   */
+  async linkUnlinkedChildren(parents, unlinked) {
+    for (const parent of parents) {
+      for (const child of unlinked.get(parent.key) || []) {
+        const entry = this.mapping[child.key];
+        if (!entry?.githubNumber) continue;
+
+        try {
+          await this.linkToParent(child, entry);
+        } catch (error) {
+          logger.warn(`Failed to link ${child.key} to its parent ${parent.key}: ${error.message}`);
+        }
+      }
+      unlinked.delete(parent.key);
+    }
+  }
+
+  /**
+   * Redact secrets and personal data from an issue, if redaction is configured
+   * @param {Object} jiraIssue Jira issue object
+   * @returns {Object} Redacted issue
+   */
+  redactIssue(jiraIssue) {
+    if (!this.redactor) {
+      return jiraIssue;
+    }
+
+    const findings = {};
+    const redacted = this.redactor.redactIssue(jiraIssue, findings);
+    this.recordRedactions(jiraIssue.key, findings);
+    return redacted;
+  }
+
+  /**
+   * Redact secrets and personal data from a comment, if redaction is configured
+   * @param {Object} jiraComment Jira comment object
+   * @param {string} jiraKey Jira key of the issue the comment belongs to
+   * @returns {Object} Redacted comment
+   */
+  redactComment(jiraComment, jiraKey) {
+    if (!this.redactor) {
+      return jiraComment;
+    }
+
+    const findings = {};
+    const redacted = this.redactor.redactComment(jiraComment, findings);
+    this.recordRedactions(jiraKey, findings);
+    return redacted;
+  }
+
+  /**
+   * Redact the title and body of a GitHub payload in place, catching content added
+   * by templates and plugins
+   * @param {string} jiraKey Jira key the payload belongs to
+   * @param {Object} payload Issue ({ title, body }) or comment ({ body }) payload
+   * @returns {Object} The payload
+   */
+  redactPayload(jiraKey, payload) {
+    if (!this.redactor) {
+      return payload;
+    }
+
+    const findings = {};
+    for (const name of ['title', 'body']) {
+      if (payload[name]) {
+        payload[name] = this.redactor.redactText(payload[name], findings);
+      }
+    }
+    this.recordRedactions(jiraKey, findings);
+    return payload;
+  }
+
+  /**
+   * Add redaction counts to the report of an issue
+   * @param {string} jiraKey Jira key
+   * @param {Object} findings Redaction counts by detector name
+   */
+  recordRedactions(jiraKey, findings) {
+    const count = countFindings(findings);
+    if (count === 0) {
+      return;
+    }
+
+    const report = (this.redactions[jiraKey] = this.redactions[jiraKey] || {});
+    for (const [name, found] of Object.entries(findings)) {
+      report[name] = (report[name] || 0) + found;
+    }
+    this.stats.redactions += count;
+    logger.debug(`Redacted ${formatFindings(findings)} in ${jiraKey}`);
+  }
+
+  /**
+   * Store the redaction report of an issue in its mapping entry
+   * @param {string} jiraKey Jira key
+   * @param {Object} entry Mapping entry of the issue
+   */
+  recordRedactionReport(jiraKey, entry) {
+    if (this.redactions[jiraKey]) {
+      entry.redactions = { ...this.redactions[jiraKey] };
+    }
+  }
+
+  /**
+   * Get the ids of the custom fields to request when searching issues
+   * @returns {Array<string>} Jira field ids used by field mappings and label rules
+   */
+  getFieldIds() {
+    return [...new Set([...this.fieldMapper.getFieldIds(), ...(this.labelRules?.getFieldIds() || [])])];
+  }
+
+  /**
+   * Add subtasks of the fetched issues that the JQL query did not return
+   * @param {Array} issues Filtered Jira issues
+   * @returns {Promise<Array>} Issues including their missing subtasks
+   */
+  async includeMissingSubtasks(issues) {
+    const subtaskConfig = this.config.jira.subtasks;
+    if (!subtaskConfig?.enabled) {
+      return issues;
+    }
+
+    const keys = new Set(issues.map(issue => issue.key));
+    const missing = [];
+
+    for (const issue of issues) {
+      const subtaskKeys = (issue.fields.subtasks || []).map(subtask => subtask.key);
+      if (subtaskKeys.every(key => keys.has(key))) {
+        continue;
+      }
+
+      const subtasks = await this.jiraClient.getSubtasks(
+        issue.key,
+        subtaskConfig.filterByStatus || [],
+        this.getFieldIds()
+      );
+      for (const subtask of subtasks) {
+        if (!keys.has(subtask.key)) {
+          keys.add(subtask.key);
+          missing.push(subtask);
+        }
+      }
+    }
 
-    logger.info(`Found ${filteredIssues.length} issues to migrate`);
-    return filteredIssues;
+    if (missing.length > 0) {
+      logger.info(`Added ${missing.length} subtasks not returned by the JQL query`);
+    }
+    return [...issues, ...missing];
   }
 
   /**
@@ -194,26 +635,41 @@ export class Migrator {
    * @param {Array} jiraIssues Array of Jira issues
    * @param {Object} summaries Map of issue keys to AI summaries
    * @param {Object} spinner Ora spinner instance
+   * @param {Function} handler Called with each issue and its summary (defaults to processIssue)
    */
-  async processIssuesBatch(jiraIssues, summaries, spinner) {
+  async processIssuesBatch(
+    jiraIssues,
+    summaries,
+    spinner,
+    handler = (jiraIssue, aiSummary) => this.processIssue(jiraIssue, aiSummary)
+  ) {
     const batchSize = this.config.migration.batchSize;
-    const batches = this.chunkArray(jiraIssues, batchSize);
+    const concurrency = this.config.migration.concurrency || 1;
 
-    for (let i = 0; i < batches.length; i++) {
-      const batch = batches[i];
-      const batchNum = i + 1;
+    // In parallel, a batch never mixes hierarchy levels, so parents exist before their children
+    const levels = concurrency > 1 ? groupByDepth(jiraIssues, this.config.jira.epicLinkField) : [jiraIssues];
+    const batches = levels.flatMap(level => this.chunkArray(level, batchSize));
 
-      spinner.text = `Processing batch ${batchNum}/${batches.length} (${batch.length} issues)...`;
+    for (const batch of batches) {
+      // Batches are numbered across the whole run, as issues keep arriving from Jira
+      const batchNum = ++this.batchCount;
 
-      // Process batch sequentially to avoid rate limits
-      for (const jiraIssue of batch) {
-        await this.processIssue(jiraIssue, summaries[jiraIssue.key]);
-      }
+      spinner.text = `Processing batch ${batchNum} (${batch.length} issues)...`;
+
+      // The shared scheduler paces the API requests of issues processed in parallel
+      await scheduler.map(batch, concurrency, async jiraIssue => {
+        try {
+          await this.journal.withContext({ jiraKey: jiraIssue.key }, () => handler(jiraIssue, summaries[jiraIssue.key]));
+        } finally {
+          // Keep memory bounded while issues stream through
+          this.changelogs.delete(jiraIssue.key);
+        }
+      });
 
       // Save mapping after each batch
       await this.saveMapping(spinner);
 
-      logger.info(`Completed batch ${batchNum}/${batches.length}`);
+      logger.info(`Completed batch ${batchNum}`);
     }
   }
 
@@ -224,35 +680,49 @@ export class Migrator {
    */
   async processIssue(jiraIssue, aiSummary = null) {
     const jiraKey = jiraIssue.key;
+    const previous = this.mapping[jiraKey];
 
     try {
       this.stats.processed++;
 
       // Check if already migrated successfully
-      if (this.mapping[jiraKey] && this.mapping[jiraKey].status === 'migrated') {
-        logger.debug(
-          `Skipping ${jiraKey} - already migrated to #${this.mapping[jiraKey].githubNumber}`
-        );
+      if (previous && previous.status === 'migrated') {
+        logger.debug(`Skipping ${jiraKey} - already migrated to #${previous.githubNumber}`);
         this.stats.skipped++;
         return;
       }
       
       // Check if already exists as existing issue
-      if (this.mapping[jiraKey] && this.mapping[jiraKey].status === 'existing') {
-        logger.debug(
-          `Skipping ${jiraKey} - already exists as #${this.mapping[jiraKey].githubNumber}`
-        );
+      if (previous && previous.status === 'existing') {
+        logger.debug(`Skipping ${jiraKey} - already exists as #${previous.githubNumber}`);
         this.stats.skipped++;
         return;
       }
+
+      // The GitHub issue exists but comments or attachments were not fully mirrored
+      if (previous && previous.status === 'partial') {
+        if (this.config.migration.dryRun) {
+          logger.info(`[DRY RUN] Would resume ${jiraKey} on #${previous.githubNumber}`);
+          return;
+        }
+        await this.resumeIssue(jiraIssue, previous);
+        return;
+      }
       
       // If it was an error, log that we're retrying
-      if (this.mapping[jiraKey] && this.mapping[jiraKey].status === 'error') {
-        logger.info(`Retrying ${jiraKey} after previous error: ${this.mapping[jiraKey].error}`);
+      if (previous && previous.status === 'error') {
+        logger.info(`Retrying ${jiraKey} after previous error: ${previous.error}`);
+      }
+
+      if (!(await this.plugins.filterIssue(jiraIssue))) {
+        logger.debug(`Skipping ${jiraKey} - filtered out by a plugin`);
+        this.stats.filtered++;
+        return;
       }
 
-      // Check for existing GitHub issue
-      const existingIssue = await this.githubClient.findExistingIssue(jiraKey);
+      // Check for existing GitHub issue (a rolled back issue is closed but still found by key)
+      const existingIssue =
+        previous?.status === 'rolled-back' ? null : await this.githubClient.findExistingIssue(jiraKey);
       if (existingIssue) {
         logger.info(`Found existing GitHub issue for ${jiraKey}: #${existingIssue.number}`);
         this.mapping[jiraKey] = {
@@ -271,19 +741,60 @@ export class Migrator {
         return;
       }
 
+      // Keep attachment checkpoints and a still pending issue import from an earlier failed attempt
+      const entry = {
+        attachments: previous?.attachments || {},
+        comments: {},
+        status: 'pending',
+        ...(previous?.pendingImport && { pendingImport: previous.pendingImport })
+      };
+      this.mapping[jiraKey] = entry;
+
+      // Resolve attachments first so description and comments can embed them inline
+      const attachments = await this.resolveAttachments(jiraIssue, entry);
+
+      // The import backend creates the issue together with its comments
+      const comments = this.config.migration.backend === 'import' ? await this.fetchComments(jiraIssue) : null;
+
       // Convert and create the issue
-      const githubIssue = await this.convertAndCreateIssue(jiraIssue, aiSummary);
+      const githubIssue = await this.convertAndCreateIssue(
+        jiraIssue,
+        aiSummary,
+        attachments,
+        entry,
+        comments
+      );
 
-      // Record the mapping
-      this.mapping[jiraKey] = {
+      // A plugin's beforeIssue hook dropped the issue; it is considered again next run
+      if (!githubIssue) {
+        logger.info(`Skipping ${jiraKey} - dropped by a plugin`);
+        entry.status = 'skipped';
+        this.stats.filtered++;
+        return;
+      }
+
+      // Record the mapping before mirroring comments so a crash can resume from here
+      Object.assign(entry, {
         githubNumber: githubIssue.number,
+        githubId: githubIssue.id,
+        githubNodeId: githubIssue.node_id,
         githubUrl: githubIssue.html_url,
         migratedAt: new Date().toISOString(),
-        status: 'migrated'
-      };
-
-      // Process comments
-      await this.migrateComments(jiraIssue, githubIssue.number);
+        runId: this.runId,
+        status: 'partial'
+      });
+      this.recordLinks(jiraIssue, entry);
+      await this.checkpoint();
+
+      await this.linkToParent(jiraIssue, entry);
+
+      // Process comments, then the history (legacy entries infer mirrored comments first)
+      await this.migrateComments(jiraIssue, entry, attachments, comments);
+      await this.migrateHistory(jiraIssue, entry);
+      await this.addToProject(jiraIssue, entry);
+      this.completeEntry(entry);
+      this.recordRedactionReport(jiraKey, entry);
+      await this.plugins.afterIssue(jiraIssue, githubIssue, { entry });
 
       this.stats.created++;
       logger.success(`Migrated ${jiraKey} → GitHub #${githubIssue.number}`);
@@ -292,119 +803,1040 @@ export class Migrator {
       logger.error(`Failed to migrate ${jiraKey}: ${error.message}`);
       logger.error(`Stack trace: ${error.stack}`);
 
-      // Record the error in mapping
+      // Record the error in mapping, keeping any progress so a re-run can resume
+      const current = this.mapping[jiraKey] || {};
       this.mapping[jiraKey] = {
+        ...current,
         error: error.message,
         stack: error.stack,
-        migratedAt: new Date().toISOString(),
-        status: 'error'
+        migratedAt: current.migratedAt || new Date().toISOString(),
+        status: current.githubNumber ? 'partial' : 'error'
       };
     }
   }
 
   /**
-   * Convert Jira issue to GitHub issue and create it
+   * Resume a partially migrated issue, mirroring only what is still missing
    * @param {Object} jiraIssue Jira issue object
-   * @param {string} aiSummary AI-generated summary
-   * @returns {Promise<Object>} Created GitHub issue
+   * @param {Object} entry Mapping entry of the partially migrated issue
    */
-  async convertAndCreateIssue(jiraIssue, aiSummary = null) {
-    const fields = jiraIssue.fields;
-    const title = this.buildGitHubTitle(jiraIssue);
-    const body = await this.buildGitHubBody(jiraIssue, aiSummary);
-    const labels = this.labelMapper.mapLabels(jiraIssue);
-    const state = this.statusMapper.mapStatus(fields.status?.name);
-
-    // Ensure labels exist in the repository
-    await this.githubClient.ensureLabelsExist(labels);
-
-    const issueData = {
-      title,
-      body,
-      labels,
-      state
-    };
-
-    return await this.githubClient.createIssue(issueData);
+  async resumeIssue(jiraIssue, entry) {
+    logger.info(`Resuming ${jiraIssue.key} on GitHub #${entry.githubNumber}`);
+
+    entry.attachments = entry.attachments || {};
+    entry.comments = entry.comments || {};
+
+    const attachments = await this.resolveAttachments(jiraIssue, entry);
+    await this.linkToParent(jiraIssue, entry);
+    await this.migrateComments(jiraIssue, entry, attachments);
+    await this.migrateHistory(jiraIssue, entry);
+    await this.addToProject(jiraIssue, entry);
+    this.completeEntry(entry);
+    this.recordRedactionReport(jiraIssue.key, entry);
+
+    this.stats.resumed++;
+    logger.success(`Resumed ${jiraIssue.key} → GitHub #${entry.githubNumber}`);
   }
 
   /**
-   * Build GitHub issue title
+   * Sync a single Jira issue: update its GitHub issue if it changed since the
+   * last sync, or migrate it if it has not been migrated yet
    * @param {Object} jiraIssue Jira issue object
-   * @returns {string} GitHub issue title
+   * @param {string} aiSummary AI-generated summary (used for new issues only)
    */
-  buildGitHubTitle(jiraIssue) {
-    const title = jiraIssue.fields.summary || 'Untitled Issue';
-    const sanitized = textUtils.sanitizeTitle(title);
+  async syncIssue(jiraIssue, aiSummary = null) {
+    const jiraKey = jiraIssue.key;
+    const entry = this.mapping[jiraKey];
 
-    // Include Jira key for reference
-    return `[${jiraIssue.key}] ${sanitized}`;
-  }
+    if (!SYNCABLE_STATUSES.includes(entry?.status)) {
+      await this.processIssue(jiraIssue, aiSummary);
+      return;
+    }
 
-  /**
-   * Build GitHub issue body
-   * @param {Object} jiraIssue Jira issue object
-   * @param {string} aiSummary AI-generated summary
-   * @returns {Promise<string>} GitHub issue body
-   */
-  async buildGitHubBody(jiraIssue, aiSummary = null) {
-    const fields = jiraIssue.fields;
-    let body = '';
+    this.stats.processed++;
 
-    // Add AI summary if available
-    if (aiSummary && this.config.migration.includeSummary) {
-      body += this.summarizer.formatSummaryForGitHub(aiSummary, jiraIssue.key);
+    if (!(await this.plugins.filterIssue(jiraIssue))) {
+      logger.debug(`Skipping ${jiraKey} - filtered out by a plugin`);
+      this.stats.filtered++;
+      return;
     }
 
-    // Add issue metadata
-    body += this.buildIssueMetadata(jiraIssue);
+    const since = entry.syncedAt || entry.migratedAt;
+    if (entry.status === 'migrated' && !this.hasChangedSince(jiraIssue.fields.updated, since)) {
+      logger.debug(`Skipping ${jiraKey} - unchanged since ${since}`);
+      this.stats.unchanged++;
+      return;
+    }
 
-    // Add description
-    const description = fields.description || jiraIssue.renderedFields?.description || '';
+    try {
+      const changedFields = await this.getChangedFields(jiraKey, since);
 
-    if (description) {
-      body += '## Description\n\n';
-      body += this.markdownConverter.toMarkdown(description);
-      body += '\n\n';
-    }
+      if (this.config.migration.dryRun) {
+        const changes = changedFields.length > 0 ? changedFields.join(', ') : 'comments only';
+        logger.info(`[DRY RUN] Would sync ${jiraKey} → #${entry.githubNumber} (${changes})`);
+        this.stats.updated++;
+        return;
+      }
 
-    // Add acceptance criteria if available
-    const acceptanceCriteria =
-      fields.customfield_10100 || // Common AC field
-      fields.customfield_10000; // Alternative AC field
-    if (acceptanceCriteria) {
-      body += '## Acceptance Criteria\n\n';
-      body += this.markdownConverter.toMarkdown(acceptanceCriteria);
-      body += '\n\n';
+      entry.attachments = entry.attachments || {};
+      const attachments = await this.resolveAttachments(jiraIssue, entry);
+
+      // `updated` also moves when only comments were added; the changelog tells them apart
+      if (changedFields.length > 0) {
+        logger.debug(`${jiraKey} changed fields: ${changedFields.join(', ')}`);
+        await this.updateGitHubIssue(jiraIssue, entry, attachments);
+        this.stats.updated++;
+      }
+
+      // Links children whose parent was migrated after them
+      await this.linkToParent(jiraIssue, entry);
+
+      await this.migrateComments(jiraIssue, entry, attachments);
+      await this.migrateHistory(jiraIssue, entry);
+      await this.addToProject(jiraIssue, entry, changedFields.length > 0);
+      this.completeEntry(entry);
+      this.recordRedactionReport(jiraKey, entry);
+      entry.syncedAt = new Date().toISOString();
+
+      logger.success(`Synced ${jiraKey} → GitHub #${entry.githubNumber}`);
+    } catch (error) {
+      this.stats.errors++;
+      logger.error(`Failed to sync ${jiraKey}: ${error.message}`);
+      entry.error = error.message;
+      entry.stack = error.stack;
     }
+  }
 
-    // Handle attachments
-    const attachments = fields.attachment || [];
-    if (attachments.length > 0) {
-      const attachmentText = await this.githubClient.handleAttachments(
-        attachments,
-        jiraIssue.key,
-        this.config.migration.attachmentStrategy,
-        this.jiraClient
-      );
-      body += attachmentText;
-      this.stats.attachments += attachments.length;
+  /**
+   * Check whether a Jira timestamp is newer than the last recorded sync
+   * @param {string} updated Jira `updated` timestamp
+   * @param {string} since ISO timestamp of the last sync or migration
+   * @returns {boolean} True if the issue changed (or either date is unknown)
+   */
+  hasChangedSince(updated, since) {
+    if (!updated || !since) {
+      return true;
     }
+    return new Date(updated).getTime() > new Date(since).getTime();
+  }
 
-    // Add footer with migration info
-    body += this.buildMigrationFooter(jiraIssue);
+  /**
+   * Get the names of Jira fields changed since a point in time
+   * @param {string} jiraKey Jira issue key
+   * @param {string} since ISO timestamp of the last sync or migration
+   * @returns {Promise<Array<string>>} Unique changed field names
+   */
+  async getChangedFields(jiraKey, since) {
+    const histories = await this.getChangelog(jiraKey);
+    const fields = histories
+      .filter(history => this.hasChangedSince(history.created, since))
+      .flatMap(history => (history.items || []).map(item => item.field));
 
-    return body;
+    return [...new Set(fields)];
   }
 
   /**
-   * Build issue metadata section
+   * Get the changelog of a Jira issue, fetching it at most once while the issue is processed
+   * @param {string} jiraKey Jira issue key
+   * @returns {Promise<Array<Object>>} Changelog entries
+   */
+  async getChangelog(jiraKey) {
+    if (!this.changelogs.has(jiraKey)) {
+      this.changelogs.set(jiraKey, await this.jiraClient.getChangelog(jiraKey));
+    }
+    return this.changelogs.get(jiraKey);
+  }
+
+  /**
+   * Render the status, assignee, priority and resolution history of a Jira issue
    * @param {Object} jiraIssue Jira issue object
-   * @returns {string} Metadata markdown
+   * @returns {Promise<{content: string, changes: number}>} Markdown and the number of changes
    */
-  buildIssueMetadata(jiraIssue) {
-    const fields = jiraIssue.fields;
-    let metadata = '## Issue Details\n\n';
+  async buildHistory(jiraIssue) {
+    const changes = collectHistory(await this.getChangelog(jiraIssue.key));
+    const content = formatHistory(changes, {
+      formatUser: user => this.userMapper.formatUser(user, 'Unknown User'),
+      formatDate: date => dateUtils.formatJiraDate(date)
+    });
+    return { content, changes: changes.length };
+  }
+
+  /**
+   * Post (or refresh) the Jira history as a separate comment when `history` is "comment";
+   * it is recorded with the mirrored comments under the "history" id
+   * @param {Object} jiraIssue Jira issue object
+   * @param {Object} entry Mapping entry of the migrated issue
+   */
+  async migrateHistory(jiraIssue, entry) {
+    if (this.config.migration.history !== 'comment') {
+      return;
+    }
+
+    const { content, changes } = await this.buildHistory(jiraIssue);
+    const recorded = entry.comments?.history;
+    if (!content || recorded?.changes === changes) {
+      return;
+    }
+
+    if (recorded?.githubCommentId) {
+      await this.githubClient.updateComment(recorded.githubCommentId, content);
+      recorded.changes = changes;
+    } else {
+      const githubComment = await this.githubClient.createComment(entry.githubNumber, content);
+      entry.comments = entry.comments || {};
+      entry.comments.history = {
+        githubCommentId: githubComment?.id,
+        changes,
+        runId: this.runId,
+        migratedAt: new Date().toISOString()
+      };
+    }
+    await this.checkpoint();
+  }
+
+  /**
+   * Rewrite the title, body, labels and state of an already migrated GitHub issue
+   *
+   * Labels added on GitHub are kept; only labels GitPorter set previously are replaced.
+   * @param {Object} jiraIssue Jira issue object
+   * @param {Object} entry Mapping entry of the migrated issue
+   * @param {Array<Object>} attachments Resolved attachments
+   * @returns {Promise<Object>} Updated GitHub issue
+   */
+  async updateGitHubIssue(jiraIssue, entry, attachments = []) {
+    const current = await this.githubClient.getIssue(entry.githubNumber);
+    const labels = await this.resolveLabels(jiraIssue);
+    const previousLabels = entry.labels || [];
+    const keptLabels = (current.labels || [])
+      .map(label => (typeof label === 'string' ? label : label.name))
+      .filter(name => !previousLabels.includes(name));
+
+    const currentBody = current.body || '';
+    const pending = new Set();
+    let body;
+    if (this.templates.has('body')) {
+      // Summaries are only generated once, so carry the current one over
+      const summary = markdownUtils.getSection(currentBody, SUMMARY_SECTION) || '';
+      body = await this.renderBody(jiraIssue, summary, attachments, pending);
+    } else {
+      // Keep the AI summary (or anything else) that precedes the generated details
+      const detailsIndex = currentBody.indexOf(DETAILS_HEADING);
+      const preserved = detailsIndex > 0 ? currentBody.slice(0, detailsIndex) : '';
+      body = preserved + (await this.buildGitHubBody(jiraIssue, null, attachments, pending));
+    }
+
+    const taskListChildren = this.getTaskListChildren(jiraIssue.key);
+    if (taskListChildren.length > 0) {
+      body = upsertSubIssueList(body, taskListChildren);
+    }
+
+    const draft = {
+      title: this.buildGitHubTitle(jiraIssue),
+      body,
+      labels: [...new Set([...keptLabels, ...labels])],
+      state: await this.resolveState(jiraIssue)
+    };
+
+    // Only clear a milestone GitPorter set; one added on GitHub is left alone
+    const milestone = await this.resolveMilestone(jiraIssue, entry);
+    if (milestone || (milestone === null && entry.milestone)) {
+      draft.milestone = milestone;
+    }
+
+    const update = await this.plugins.beforeIssue(jiraIssue, draft, {
+      action: 'update',
+      githubNumber: entry.githubNumber
+    });
+    if (!update) {
+      logger.info(`Not updating ${jiraIssue.key} - dropped by a plugin`);
+      return current;
+    }
+    this.redactPayload(jiraIssue.key, update);
+
+    await this.ensureLabels(update.labels || [], entry);
+    const updated = await this.githubClient.updateIssue(entry.githubNumber, update);
+
+    // Labels kept from GitHub stay out of the labels GitPorter owns
+    entry.labels = (update.labels || []).filter(name => labels.includes(name) || !keptLabels.includes(name));
+    this.recordMilestone(entry, milestone);
+    this.recordLinks(jiraIssue, entry);
+    this.recordPendingReferences(entry, pending);
+    return updated;
+  }
+
+  /**
+   * Record an issue's Jira links in its mapping entry so the links pass can rewrite
+   * them once their targets are migrated
+   * @param {Object} jiraIssue Jira issue object
+   * @param {Object} entry Mapping entry of the migrated issue
+   */
+  recordLinks(jiraIssue, entry) {
+    const links = collectIssueLinks(jiraIssue);
+    const duplicateOf = getDuplicateOf(jiraIssue);
+
+    if (links.length > 0) {
+      entry.links = links;
+      entry.unresolvedLinks = getUnresolvedKeys(links, this.mapping);
+    } else {
+      delete entry.links;
+      delete entry.unresolvedLinks;
+    }
+
+    if (duplicateOf) {
+      entry.duplicateOf = duplicateOf;
+    } else {
+      delete entry.duplicateOf;
+    }
+  }
+
+  /**
+   * Second pass over the mapping: rewrite the "Linked Issues" section and Jira key
+   * mentions of issues and comments whose targets now exist on GitHub, and close
+   * duplicates when configured
+   * @param {Object} spinner Ora spinner instance
+   */
+  async rewriteForwardReferences(spinner) {
+    if (this.config.migration.dryRun) {
+      return;
+    }
+
+    spinner.text = 'Rewriting issue links and references...';
+    const resolvable = key => this.resolveReference(key) !== null;
+
+    for (const [jiraKey, entry] of Object.entries(this.mapping)) {
+      if (!SYNCABLE_STATUSES.includes(entry.status)) {
+        continue;
+      }
+
+      await this.journal.withContext({ jiraKey }, async () => {
+        try {
+          if (
+            entry.unresolvedLinks?.some(key => findGitHubNumber(this.mapping, key)) ||
+            entry.pendingReferences?.some(resolvable)
+          ) {
+            await this.rewriteIssueBody(entry);
+          }
+          for (const record of Object.values(entry.comments || {})) {
+            if (record.githubCommentId && record.pendingReferences?.some(resolvable)) {
+              await this.rewriteComment(record);
+            }
+          }
+          if (this.config.migration.closeDuplicates) {
+            await this.closeDuplicate(jiraKey, entry);
+          }
+        } catch (error) {
+          logger.warn(`Failed to update references of ${jiraKey}: ${error.message}`);
+        }
+      });
+    }
+  }
+
+  /**
+   * Refresh the "Linked Issues" section and pending Jira key mentions of a migrated issue
+   * @param {Object} entry Mapping entry with recorded links and pending references
+   */
+  async rewriteIssueBody(entry) {
+    const issue = await this.githubClient.getIssue(entry.githubNumber);
+    let body = issue.body || '';
+
+    if (entry.links) {
+      body = upsertLinkedIssues(body, entry.links, this.mapping, this.config.jira.url);
+      entry.unresolvedLinks = getUnresolvedKeys(entry.links, this.mapping);
+      this.stats.linksRewritten++;
+    }
+    if (entry.pendingReferences) {
+      body = this.rewritePendingReferences(body, entry);
+    }
+
+    await this.githubClient.updateIssue(entry.githubNumber, { body });
+    await this.checkpoint();
+  }
+
+  /**
+   * Rewrite pending Jira key mentions in a mirrored comment
+   * @param {Object} record Comment record of a mapping entry
+   */
+  async rewriteComment(record) {
+    const comment = await this.githubClient.getComment(record.githubCommentId);
+    const body = this.rewritePendingReferences(comment.body || '', record);
+
+    await this.githubClient.updateComment(record.githubCommentId, body);
+    await this.checkpoint();
+  }
+
+  /**
+   * Replace mentions of the pending keys of an issue or comment that can now be resolved;
+   * other text (such as the issue's own Jira link and the generated sections, which
+   * format their own references) is left alone
+   * @param {string} body Current GitHub body
+   * @param {Object} record Mapping entry or comment record with pendingReferences
+   * @returns {string} Rewritten body
+   */
+  rewritePendingReferences(body, record) {
+    const pending = new Set(record.pendingReferences);
+    const unresolved = new Set();
+    const text = markdownUtils.mapOutsideSections(body, part => {
+      const result = rewriteJiraReferences(part, {
+        jiraUrl: this.config.jira.url,
+        resolve: key => (pending.has(key) ? this.resolveReference(key) : null)
+      });
+      result.unresolved.filter(key => pending.has(key)).forEach(key => unresolved.add(key));
+      return result.text;
+    });
+
+    this.recordPendingReferences(record, unresolved);
+    this.stats.referencesRewritten++;
+    return text;
+  }
+
+  /**
+   * Find the GitHub issue a Jira key was migrated to, in this or a reference mapping
+   * @param {string} jiraKey Jira issue key
+   * @returns {Object|null} { reference, url } of the GitHub issue
+   */
+  resolveReference(jiraKey) {
+    const entry = findGitHubNumber(this.mapping, jiraKey)
+      ? this.mapping[jiraKey]
+      : this.referenceMapping[jiraKey];
+    if (!entry?.githubNumber || entry.deleted) {
+      return null;
+    }
+
+    return {
+      reference: formatIssueReference(entry.githubUrl, entry.githubNumber, this.config.github.repo),
+      url: entry.githubUrl
+    };
+  }
+
+  /**
+   * Convert Jira content to Markdown with Jira key mentions replaced by GitHub references
+   * @param {*} content Jira content (ADF, wiki markup or HTML)
+   * @param {Array<Object>} attachments Resolved attachments
+   * @param {Set<string>} pending Collects mentioned keys that are not on GitHub yet
+   * @param {string} rendered Rendered HTML of the content, to find the attachments of ADF media (optional)
+   * @returns {string} Markdown
+   */
+  convertContent(content, attachments, pending, rendered = null) {
+    const { text, unresolved } = rewriteJiraReferences(
+      this.markdownConverter.toMarkdown(content, { attachments, rendered }),
+      { jiraUrl: this.config.jira.url, resolve: key => this.resolveReference(key) }
+    );
+
+    // Only keys of migrated projects will ever resolve (this skips things like UTF-8)
+    unresolved
+      .filter(key => this.projectKeys.has(getProjectKey(key)))
+      .forEach(key => pending.add(key));
+    return text;
+  }
+
+  /**
+   * Record the keys an issue body or comment mentions that are not on GitHub yet
+   * @param {Object} record Mapping entry or comment record
+   * @param {Set<string>} pending Pending Jira keys
+   */
+  recordPendingReferences(record, pending) {
+    if (pending.size > 0) {
+      record.pendingReferences = [...pending];
+    } else {
+      delete record.pendingReferences;
+    }
+  }
+
+  /**
+   * Close a migrated issue as a duplicate of the issue it duplicates in Jira
+   * @param {string} jiraKey Jira key of the duplicate
+   * @param {Object} entry Mapping entry of the duplicate
+   */
+  async closeDuplicate(jiraKey, entry) {
+    const originalNumber = entry.duplicateOf && findGitHubNumber(this.mapping, entry.duplicateOf);
+    if (!originalNumber || entry.closedAsDuplicateOf) {
+      return;
+    }
+
+    const [issue, original] = await Promise.all([
+      this.githubClient.getIssue(entry.githubNumber),
+      this.githubClient.getIssue(originalNumber)
+    ]);
+    await this.githubClient.closeAsDuplicate(issue.node_id, original.node_id);
+
+    entry.closedAsDuplicateOf = originalNumber;
+    this.stats.duplicatesClosed++;
+    await this.checkpoint();
+    logger.info(`Closed ${jiraKey} (#${entry.githubNumber}) as a duplicate of #${originalNumber}`);
+  }
+
+  /**
+   * Link a created GitHub issue to the issue of its Jira parent (epic or subtask parent),
+   * through the sub-issues API or, where that is unavailable, a task list in the parent body
+   * @param {Object} jiraIssue Jira issue object
+   * @param {Object} entry Mapping entry of the child
+   */
+  async linkToParent(jiraIssue, entry) {
+    const mode = this.config.migration.hierarchy || 'sub-issues';
+    const parentKey = getParentKey(jiraIssue, this.config.jira.epicLinkField);
+    if (mode === 'none' || !parentKey || entry.parent?.linkedVia) {
+      return;
+    }
+
+    const parentEntry = this.mapping[parentKey];
+    if (!parentEntry?.githubNumber) {
+      logger.debug(`Not linking ${jiraIssue.key} - parent ${parentKey} is not on GitHub yet`);
+      return;
+    }
+
+    const link = {
+      jiraKey: parentKey,
+      githubNumber: parentEntry.githubNumber,
+      closed: this.statusMapper.mapStatus(jiraIssue.fields.status?.name) === 'closed'
+    };
+
+    if (mode === 'sub-issues' && !this.subIssuesUnavailable) {
+      try {
+        const childId =
+          entry.githubId || (await this.githubClient.getIssue(entry.githubNumber)).id;
+        await this.githubClient.addSubIssue(parentEntry.githubNumber, childId);
+        entry.parent = { ...link, linkedVia: 'sub-issue' };
+        await this.checkpoint();
+        return;
+      } catch (error) {
+        // Not enabled for this repository or token: stop trying for the rest of the run
+        if ([403, 404].includes(error.status)) {
+          this.subIssuesUnavailable = true;
+        }
+        logger.warn(
+          `Cannot add ${jiraIssue.key} as a sub-issue of #${parentEntry.githubNumber} (${error.message}) - using a task list`
+        );
+      }
+    }
+
+    // Siblings processed in parallel update the parent's task list one at a time
+    await scheduler.exclusive(`issue:${parentEntry.githubNumber}`, async () => {
+      const children = [
+        ...this.getTaskListChildren(parentKey),
+        { githubNumber: entry.githubNumber, closed: link.closed }
+      ];
+      const parentIssue = await this.githubClient.getIssue(parentEntry.githubNumber);
+      await this.githubClient.updateIssue(parentEntry.githubNumber, {
+        body: upsertSubIssueList(parentIssue.body, children)
+      });
+
+      entry.parent = { ...link, linkedVia: 'tasklist' };
+    });
+    await this.checkpoint();
+  }
+
+  /**
+   * Add a migrated issue to the configured Projects (v2) board and set its fields
+   *
+   * A failure is recorded as `projectError` on the entry without failing the issue;
+   * the next sync tries again.
+   * @param {Object} jiraIssue Jira issue object
+   * @param {Object} entry Mapping entry of the issue
+   * @param {boolean} refresh Set the fields again even if the issue is already on the board
+   */
+  async addToProject(jiraIssue, entry, refresh = false) {
+    if (!this.projectMapper || (entry.projectItemId && !refresh && !entry.projectError)) {
+      return;
+    }
+
+    try {
+      const nodeId = entry.githubNodeId || (await this.githubClient.getIssue(entry.githubNumber)).node_id;
+      entry.githubNodeId = nodeId;
+      entry.projectItemId = await this.projectMapper.addIssue(
+        jiraIssue,
+        nodeId,
+        this.fieldMapper.getProjectValues(jiraIssue)
+      );
+      // Rollback removes the item from the project again
+      entry.projectId = this.projectMapper.project.id;
+      delete entry.projectError;
+    } catch (error) {
+      logger.warn(`Failed to add ${jiraIssue.key} to the project: ${error.message}`);
+      entry.projectError = error.message;
+    }
+    await this.checkpoint();
+  }
+
+  /**
+   * Get the children linked to a parent through its task list
+   * @param {string} parentKey Jira key of the parent
+   * @returns {Array<Object>} Children as { githubNumber, closed }
+   */
+  getTaskListChildren(parentKey) {
+    return Object.values(this.mapping)
+      .filter(entry => entry.parent?.jiraKey === parentKey && entry.parent.linkedVia === 'tasklist')
+      .map(entry => ({ githubNumber: entry.githubNumber, closed: entry.parent.closed }));
+  }
+
+  /**
+   * Mark a mapping entry as fully migrated
+   * @param {Object} entry Mapping entry
+   */
+  completeEntry(entry) {
+    entry.status = 'migrated';
+    delete entry.error;
+    delete entry.stack;
+  }
+
+  /**
+   * Resolve an issue's attachments using the configured attachment strategy,
+   * reusing attachments already recorded in the mapping entry
+   * @param {Object} jiraIssue Jira issue object
+   * @param {Object} entry Mapping entry that records resolved attachments by Jira id
+   * @returns {Promise<Array<Object>>} Resolved attachments
+   */
+  async resolveAttachments(jiraIssue, entry) {
+    const attachments = jiraIssue.fields.attachment || [];
+    const resolved = [];
+
+    for (const attachment of attachments) {
+      const recorded = entry.attachments[attachment.id];
+      if (recorded) {
+        resolved.push({ ...recorded, id: attachment.id });
+        continue;
+      }
+
+      const result = await this.githubClient.resolveAttachment(
+        attachment,
+        jiraIssue.key,
+        this.config.migration.attachmentStrategy,
+        this.jiraClient
+      );
+      entry.attachments[attachment.id] = {
+        ...result,
+        runId: this.runId,
+        migratedAt: new Date().toISOString()
+      };
+      resolved.push(result);
+      this.stats.attachments++;
+
+      // Uploads are expensive; don't repeat them after a crash
+      if (result.source === 'github') {
+        await this.checkpoint();
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Convert Jira issue to GitHub issue and create it
+   * @param {Object} jiraIssue Jira issue object
+   * @param {string} aiSummary AI-generated summary
+   * @param {Array<Object>} attachments Resolved attachments
+   * @param {Object} entry Mapping entry that records labels created for the issue
+   * @param {Array<Object>} comments Jira comments to import with the issue (import backend only)
+   * @returns {Promise<Object|null>} Created GitHub issue, or null when a plugin dropped it
+   */
+  async convertAndCreateIssue(jiraIssue, aiSummary = null, attachments = [], entry = {}, comments = null) {
+    const fields = jiraIssue.fields;
+    const title = this.buildGitHubTitle(jiraIssue);
+    const pending = new Set();
+    const body = await this.buildGitHubBody(jiraIssue, aiSummary, attachments, pending);
+    const labels = await this.resolveLabels(jiraIssue);
+    const state = await this.resolveState(jiraIssue);
+    const assignee = this.userMapper.resolve(fields.assignee);
+
+    const draft = {
+      title,
+      body,
+      labels,
+      state
+    };
+
+    if (assignee) {
+      draft.assignee = assignee;
+    }
+
+    const milestone = await this.resolveMilestone(jiraIssue, entry);
+    if (milestone) {
+      draft.milestone = milestone;
+    }
+
+    const issueData = await this.plugins.beforeIssue(jiraIssue, draft, { action: 'create' });
+    if (!issueData) {
+      return null;
+    }
+    this.redactPayload(jiraIssue.key, issueData);
+
+    // Ensure labels exist in the repository
+    await this.ensureLabels(issueData.labels || [], entry);
+
+    const githubIssue = comments
+      ? await this.importIssue(jiraIssue, issueData, comments, attachments, entry)
+      : await this.githubClient.createIssue(issueData);
+    entry.labels = issueData.labels || [];
+    this.recordPendingReferences(entry, pending);
+    this.recordMilestone(entry, milestone);
+    return githubIssue;
+  }
+
+  /**
+   * Create an issue and its comments in one request through GitHub's issue import
+   * API, keeping the Jira timestamps, and record the imported comments in the entry
+   * @param {Object} jiraIssue Jira issue object
+   * @param {Object} issueData Issue payload
+   * @param {Array<Object>} comments Jira comments of the issue
+   * @param {Array<Object>} attachments Resolved attachments of the issue
+   * @param {Object} entry Mapping entry of the issue
+   * @returns {Promise<Object>} Created GitHub issue
+   */
+  async importIssue(jiraIssue, issueData, comments, attachments, entry) {
+    const fields = jiraIssue.fields;
+    const drafts = [];
+    for (const comment of comments) {
+      const references = new Set();
+      const draft = await this.buildComment(comment, null, attachments, references, jiraIssue);
+      drafts.push({ comment, draft, references });
+    }
+    const imported = drafts.filter(({ draft }) => draft);
+
+    const githubIssue = await this.githubClient.importIssue(
+      {
+        ...issueData,
+        createdAt: fields.created,
+        updatedAt: fields.updated,
+        closedAt: fields.resolutiondate || fields.updated
+      },
+      imported.map(({ comment, draft }) => ({ body: draft.body, createdAt: comment.created })),
+      {
+        // A run that gave up waiting resumes the import instead of submitting a duplicate
+        pending: entry.pendingImport,
+        onSubmit: async status => {
+          entry.pendingImport = { id: status.id, url: status.url };
+          await this.checkpoint();
+        }
+      }
+    );
+    delete entry.pendingImport;
+
+    // The import API does not return comment ids; find each comment by its body, or else its timestamp
+    const unmatched = imported.length > 0 ? await this.githubClient.getComments(githubIssue.number) : [];
+    const take = predicate => {
+      const index = unmatched.findIndex(predicate);
+      return index === -1 ? null : unmatched.splice(index, 1)[0];
+    };
+    const migratedAt = new Date().toISOString();
+
+    for (const { comment, draft, references } of drafts) {
+      if (!draft) {
+        entry.comments[comment.id] = { skipped: true, runId: this.runId, migratedAt };
+        continue;
+      }
+
+      const githubComment =
+        take(candidate => candidate.body?.trim() === draft.body.trim()) ||
+        take(candidate => isSameSecond(candidate.created_at, comment.created));
+      entry.comments[comment.id] = { githubCommentId: githubComment?.id, runId: this.runId, migratedAt };
+      this.recordPendingReferences(entry.comments[comment.id], references);
+      this.stats.comments++;
+    }
+
+    return githubIssue;
+  }
+
+  /**
+   * Get the labels of an issue: mapped Jira labels, labels from mapped custom fields
+   * and labels from label rules
+   * @param {Object} jiraIssue Jira issue object
+   * @returns {Array<string>} Label names
+   */
+  mapLabels(jiraIssue) {
+    return [
+      ...new Set([
+        ...this.labelMapper.mapLabels(jiraIssue),
+        ...this.fieldMapper.getLabels(jiraIssue),
+        ...(this.labelRules?.mapLabels(jiraIssue) || [])
+      ])
+    ];
+  }
+
+  /**
+   * Get the labels to set on an issue, as chosen by the mapping and any plugins
+   * @param {Object} jiraIssue Jira issue object
+   * @returns {Promise<Array<string>>} Label names
+   */
+  async resolveLabels(jiraIssue) {
+    return this.plugins.mapLabels(jiraIssue, this.mapLabels(jiraIssue));
+  }
+
+  /**
+   * Get the state to set on an issue, as chosen by the status mapping and any plugins
+   * @param {Object} jiraIssue Jira issue object
+   * @returns {Promise<string>} 'open' or 'closed'
+   */
+  async resolveState(jiraIssue) {
+    return this.plugins.mapState(jiraIssue, this.statusMapper.mapStatus(jiraIssue.fields.status?.name));
+  }
+
+  /**
+   * Ensure labels exist, recording the ones this run created so rollback can remove them
+   * @param {Array<string>} labels Label names
+   * @param {Object} entry Mapping entry of the issue the labels are for
+   */
+  async ensureLabels(labels, entry) {
+    // Issues processed in parallel create labels one at a time, so each is created once
+    const created = await scheduler.exclusive('labels', () =>
+      this.githubClient.ensureLabelsExist(labels, this.labelRules?.definitions)
+    );
+
+    if (created.length > 0) {
+      entry.createdLabels = [
+        ...(entry.createdLabels || []),
+        ...created.map(name => ({ name, runId: this.runId, migratedAt: new Date().toISOString() }))
+      ];
+    }
+  }
+
+  /**
+   * Find or create the milestone of an issue, recording milestones this run created
+   * so rollback can remove them
+   * @param {Object} jiraIssue Jira issue object
+   * @param {Object} entry Mapping entry of the issue
+   * @returns {Promise<number|null|undefined>} Milestone number, null for none, or
+   *   undefined when milestones are not configured or could not be resolved
+   */
+  async resolveMilestone(jiraIssue, entry) {
+    if (!this.milestoneMapper) {
+      return undefined;
+    }
+
+    try {
+      // A field mapped to milestones takes precedence over fix versions and sprints
+      // Issues processed in parallel look up and create milestones one at a time
+      const fieldTitle = this.fieldMapper.getMilestoneTitle(jiraIssue);
+      const milestone = await scheduler.exclusive('milestones', () =>
+        fieldTitle
+          ? this.milestoneMapper.ensureMilestone({ title: fieldTitle, state: 'open' })
+          : this.milestoneMapper.resolve(jiraIssue)
+      );
+      if (milestone?.created) {
+        entry.createdMilestones = [
+          ...(entry.createdMilestones || []),
+          {
+            number: milestone.number,
+            title: milestone.title,
+            runId: this.runId,
+            migratedAt: new Date().toISOString()
+          }
+        ];
+      }
+      return milestone ? milestone.number : null;
+    } catch (error) {
+      logger.warn(`Failed to resolve the milestone of ${jiraIssue.key}: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  /**
+   * Record the milestone GitPorter set on an issue
+   * @param {Object} entry Mapping entry of the issue
+   * @param {number|null|undefined} milestone Result of resolveMilestone
+   */
+  recordMilestone(entry, milestone) {
+    if (milestone) {
+      entry.milestone = milestone;
+    } else if (milestone === null) {
+      delete entry.milestone;
+    }
+  }
+
+  /**
+   * Build GitHub issue title
+   * @param {Object} jiraIssue Jira issue object
+   * @returns {string} GitHub issue title
+   */
+  buildGitHubTitle(jiraIssue) {
+    if (this.templates.has('title')) {
+      return textUtils.sanitizeTitle(this.templates.render('title', this.buildTemplateContext(jiraIssue)));
+    }
+
+    const title = jiraIssue.fields.summary || 'Untitled Issue';
+    const sanitized = textUtils.sanitizeTitle(title);
+
+    // Include Jira key for reference
+    return `[${jiraIssue.key}] ${sanitized}`;
+  }
+
+  /**
+   * Build GitHub issue body
+   * @param {Object} jiraIssue Jira issue object
+   * @param {string} aiSummary AI-generated summary
+   * @param {Array<Object>} attachments Resolved attachments
+   * @param {Set<string>} pending Collects mentioned Jira keys that are not on GitHub yet
+   * @returns {Promise<string>} GitHub issue body
+   */
+  async buildGitHubBody(jiraIssue, aiSummary = null, attachments = [], pending = new Set()) {
+    const summary =
+      aiSummary && this.config.migration.includeSummary
+        ? this.summarizer.formatSummaryForGitHub(aiSummary, jiraIssue.key)
+        : '';
+    if (this.templates.has('body')) {
+      return this.renderBody(jiraIssue, summary, attachments, pending);
+    }
+
+    const fields = jiraIssue.fields;
+    let body = '';
+
+    // Add AI summary if available
+    body += summary;
+
+    // Add issue metadata
+    body += this.buildIssueMetadata(jiraIssue);
+
+    // Add description
+    const description = fields.description || jiraIssue.renderedFields?.description || '';
+
+    if (description) {
+      body += '## Description\n\n';
+      body += this.convertContent(description, attachments, pending, jiraIssue.renderedFields?.description);
+      body += '\n\n';
+    }
+
+    // Add mapped custom fields (acceptance criteria by default) as sections
+    for (const { mapping, value } of this.fieldMapper.getMapped(jiraIssue, 'section')) {
+      const content = this.formatField(value, mapping, attachments, pending);
+      if (content) {
+        body += `## ${mapping.heading || mapping.name}\n\n${content}\n\n`;
+      }
+    }
+
+    // Reference linked issues by GitHub number where they are already migrated
+    const links = collectIssueLinks(jiraIssue);
+    if (links.length > 0) {
+      body = `${upsertLinkedIssues(body, links, this.mapping, this.config.jira.url)}\n`;
+    }
+
+    // Keep the Jira audit trail in a collapsed section
+    if (this.config.migration.history === 'section') {
+      const { content } = await this.buildHistory(jiraIssue);
+      if (content) {
+        body = `${markdownUtils.upsertSection(body, HISTORY_SECTION, content)}\n`;
+      }
+    }
+
+    // List every attachment, including those already embedded inline
+    body += this.githubClient.formatAttachmentList(attachments);
+
+    // Add footer with migration info
+    body += this.buildMigrationFooter(jiraIssue);
+
+    return body;
+  }
+
+  /**
+   * Render the body template of an issue
+   *
+   * The linked issues and history sections are added at the end when the template
+   * leaves them out, since later passes update them in place. So is the footer when
+   * the template leaves out the Jira key.
+   * @param {Object} jiraIssue Jira issue object
+   * @param {string} summary Formatted AI summary, or an empty string
+   * @param {Array<Object>} attachments Resolved attachments
+   * @param {Set<string>} pending Collects mentioned Jira keys that are not on GitHub yet
+   * @returns {Promise<string>} GitHub issue body
+   */
+  async renderBody(jiraIssue, summary, attachments, pending) {
+    const fields = jiraIssue.fields;
+    const jiraUrl = this.config.jira.url;
+    const description = fields.description || jiraIssue.renderedFields?.description || '';
+    const links = collectIssueLinks(jiraIssue);
+    const { content: history } =
+      this.config.migration.history === 'section' ? await this.buildHistory(jiraIssue) : {};
+
+    const context = {
+      ...this.buildTemplateContext(jiraIssue),
+      aiSummary: summary ? markdownUtils.upsertSection('', SUMMARY_SECTION, summary).trim() : '',
+      description: description
+        ? this.convertContent(description, attachments, pending, jiraIssue.renderedFields?.description)
+        : '',
+      fields: Object.fromEntries(
+        this.fieldMapper
+          .getMapped(jiraIssue)
+          .map(({ mapping, value }) => [mapping.name, this.formatField(value, mapping, attachments, pending)])
+      ),
+      sections: this.fieldMapper
+        .getMapped(jiraIssue, 'section')
+        .map(({ mapping, value }) => ({
+          heading: mapping.heading || mapping.name,
+          content: this.formatField(value, mapping, attachments, pending)
+        }))
+        .filter(section => section.content),
+      metadata: this.buildIssueMetadata(jiraIssue),
+      linkedIssues: links.length > 0 ? upsertLinkedIssues('', links, this.mapping, jiraUrl).trim() : '',
+      history: history ? markdownUtils.upsertSection('', HISTORY_SECTION, history).trim() : '',
+      attachments,
+      attachmentList: this.githubClient.formatAttachmentList(attachments).trim(),
+      footer: this.buildMigrationFooter(jiraIssue).trim()
+    };
+
+    let body = this.templates.render('body', context);
+    // Deduplication and verify find the issue by its Jira key
+    if (!body.includes(jiraIssue.key)) {
+      body = `${body.trimEnd()}\n${this.buildMigrationFooter(jiraIssue)}\n`;
+    }
+    if (links.length > 0) {
+      body = upsertLinkedIssues(body, links, this.mapping, jiraUrl);
+    }
+    if (history) {
+      body = markdownUtils.upsertSection(body, HISTORY_SECTION, history);
+    }
+    return body;
+  }
+
+  /**
+   * Build the values available to every issue template
+   * @param {Object} jiraIssue Jira issue object
+   * @returns {Object} Template context
+   */
+  buildTemplateContext(jiraIssue) {
+    const fields = jiraIssue.fields;
+    const parentKey = getParentKey(jiraIssue, this.config.jira.epicLinkField);
+
+    return {
+      issue: jiraIssue,
+      key: jiraIssue.key,
+      url: `${this.config.jira.url}/browse/${jiraIssue.key}`,
+      summary: textUtils.sanitizeTitle(fields.summary || 'Untitled Issue'),
+      type: fields.issuetype?.name,
+      status: fields.status?.name,
+      priority: fields.priority?.name,
+      labels: this.mapLabels(jiraIssue),
+      components: (fields.components || []).map(component => component.name),
+      fixVersions: (fields.fixVersions || []).map(version => version.name),
+      reporter: this.buildUserContext(fields.reporter),
+      assignee: this.buildUserContext(fields.assignee),
+      created: dateUtils.formatJiraDate(fields.created),
+      updated: dateUtils.formatJiraDate(fields.updated),
+      parent: parentKey ? { key: parentKey, number: this.mapping[parentKey]?.githubNumber ?? null } : null
+    };
+  }
+
+  /**
+   * Build the template values of a Jira user
+   * @param {Object} jiraUser Jira user object
+   * @returns {Object|null} User as { displayName, login, mention }
+   */
+  buildUserContext(jiraUser) {
+    if (!jiraUser) {
+      return null;
+    }
+
+    return {
+      displayName: jiraUser.displayName,
+      login: this.userMapper.resolve(jiraUser),
+      mention: this.userMapper.formatUser(jiraUser)
+    };
+  }
+
+  /**
+   * Build issue metadata section
+   * @param {Object} jiraIssue Jira issue object
+   * @returns {string} Metadata markdown
+   */
+  buildIssueMetadata(jiraIssue) {
+    const fields = jiraIssue.fields;
+    let metadata = `${DETAILS_HEADING}\n\n`;
 
     metadata += '| Field | Value |\n';
     metadata += '|-------|-------|\n';
@@ -412,8 +1844,16 @@ export class Migrator {
     metadata += `| **Issue Type** | ${fields.issuetype?.name || 'Unknown'} |\n`;
     metadata += `| **Status** | ${fields.status?.name || 'Unknown'} |\n`;
     metadata += `| **Priority** | ${fields.priority?.name || 'Unknown'} |\n`;
-    metadata += `| **Reporter** | ${fields.reporter?.displayName || 'Unknown'} |\n`;
-    metadata += `| **Assignee** | ${fields.assignee?.displayName || 'Unassigned'} |\n`;
+
+    const parentKey = getParentKey(jiraIssue, this.config.jira.epicLinkField);
+    if (parentKey) {
+      const parentLink = `[${parentKey}](${this.config.jira.url}/browse/${parentKey})`;
+      const parentNumber = this.mapping[parentKey]?.githubNumber;
+      metadata += `| **Parent** | ${parentNumber ? `#${parentNumber} (${parentLink})` : parentLink} |\n`;
+    }
+
+    metadata += `| **Reporter** | ${this.userMapper.formatUser(fields.reporter)} |\n`;
+    metadata += `| **Assignee** | ${this.userMapper.formatUser(fields.assignee, 'Unassigned')} |\n`;
     metadata += `| **Created** | ${dateUtils.formatJiraDate(fields.created)} |\n`;
     metadata += `| **Updated** | ${dateUtils.formatJiraDate(fields.updated)} |\n`;
 
@@ -431,10 +1871,41 @@ export class Migrator {
       metadata += `| **Fix Versions** | ${versionNames} |\n`;
     }
 
+    // Add sprints
+    const sprintField = this.config.jira.sprintField;
+    const sprints = sprintField ? [fields[sprintField] || []].flat().map(parseSprint).filter(Boolean) : [];
+    if (sprints.length > 0) {
+      metadata += `| **Sprints** | ${sprints.map(sprint => sprint.name).join(', ')} |\n`;
+    }
+
+    // Add mapped custom fields
+    for (const { mapping, value } of this.fieldMapper.getMapped(jiraIssue, 'metadata')) {
+      const content = this.formatField(value, mapping);
+      if (content) {
+        metadata += `| **${mapping.heading || mapping.name}** | ${markdownUtils.tableCell(content)} |\n`;
+      }
+    }
+
     metadata += '\n---\n\n';
     return metadata;
   }
 
+  /**
+   * Format the value of a mapped custom field as Markdown
+   * @param {*} value Jira field value
+   * @param {Object} mapping Resolved field mapping (with the field schema)
+   * @param {Array<Object>} attachments Resolved attachments, for rich text fields
+   * @param {Set<string>} pending Collects mentioned Jira keys that are not on GitHub yet
+   * @returns {string} Markdown
+   */
+  formatField(value, mapping, attachments = [], pending = new Set()) {
+    return formatFieldValue(value, mapping.schema, {
+      formatUser: user => this.userMapper.formatUser(user),
+      formatDate: date => dateUtils.formatJiraDate(date),
+      toMarkdown: content => this.convertContent(content, attachments, pending)
+    });
+  }
+
   /**
    * Build migration footer
    * @param {Object} jiraIssue Jira issue object
@@ -445,52 +1916,148 @@ export class Migrator {
   }
 
   /**
-   * Migrate comments from Jira to GitHub
+   * Migrate comments from Jira to GitHub, skipping comments already mirrored
    * @param {Object} jiraIssue Jira issue object
-   * @param {number} githubIssueNumber GitHub issue number
+   * @param {Object} entry Mapping entry that records mirrored comments by Jira id
+   * @param {Array<Object>} attachments Resolved attachments of the issue
+   * @param {Array<Object>} fetched Jira comments when already fetched
    */
-  async migrateComments(jiraIssue, githubIssueNumber) {
-    try {
-      const comments = await this.jiraClient.getComments(jiraIssue.key);
+  async migrateComments(jiraIssue, entry, attachments = [], fetched = null) {
+    const comments = fetched ?? (await this.fetchComments(jiraIssue));
+
+    // Entries written before comments were tracked: assume earlier comments were mirrored
+    if (!entry.comments) {
+      entry.comments = Object.fromEntries(
+        comments
+          .filter(comment => !this.hasChangedSince(comment.created, entry.migratedAt))
+          .map(comment => [comment.id, { migratedAt: entry.migratedAt }])
+      );
+    }
 
-      if (comments.length === 0) {
-        return;
-      }
+    const pending = comments.filter(comment => !entry.comments[comment.id]);
+
+    if (pending.length === 0) {
+      return;
+    }
 
-      logger.debug(`Migrating ${comments.length} comments for ${jiraIssue.key}`);
+    logger.debug(
+      `Migrating ${pending.length} of ${comments.length} comments for ${jiraIssue.key}`
+    );
+
+    for (const comment of pending) {
+      const references = new Set();
+      const githubComment = await this.migrateComment(
+        comment,
+        entry.githubNumber,
+        attachments,
+        references,
+        jiraIssue
+      );
 
-      for (const comment of comments) {
-        await this.migrateComment(comment, githubIssueNumber);
-        this.stats.comments++;
+      // Comments dropped by a plugin are recorded so they are not offered again
+      if (!githubComment) {
+        entry.comments[comment.id] = { skipped: true, runId: this.runId, migratedAt: new Date().toISOString() };
+        await this.checkpoint();
+        continue;
       }
-    } catch (error) {
-      logger.warn(`Failed to migrate comments for ${jiraIssue.key}: ${error.message}`);
+
+      entry.comments[comment.id] = {
+        githubCommentId: githubComment?.id,
+        runId: this.runId,
+        migratedAt: new Date().toISOString()
+      };
+      this.recordPendingReferences(entry.comments[comment.id], references);
+      this.stats.comments++;
+      await this.checkpoint();
     }
   }
 
+  /**
+   * Fetch the comments of an issue, redacted if redaction is configured
+   * @param {Object} jiraIssue Jira issue object
+   * @returns {Promise<Array<Object>>} Jira comments
+   */
+  async fetchComments(jiraIssue) {
+    return (await this.jiraClient.getComments(jiraIssue.key)).map(comment =>
+      this.redactComment(comment, jiraIssue.key)
+    );
+  }
+
   /**
    * Migrate a single comment
    * @param {Object} jiraComment Jira comment object
    * @param {number} githubIssueNumber GitHub issue number
+   * @param {Array<Object>} attachments Resolved attachments of the issue
+   * @param {Set<string>} pending Collects mentioned Jira keys that are not on GitHub yet
+   * @param {Object} jiraIssue Jira issue the comment belongs to (for plugins)
+   * @returns {Promise<Object|null>} Created GitHub comment, or null when a plugin dropped it
+   */
+  async migrateComment(
+    jiraComment,
+    githubIssueNumber,
+    attachments = [],
+    pending = new Set(),
+    jiraIssue = null
+  ) {
+    const draft = await this.buildComment(jiraComment, githubIssueNumber, attachments, pending, jiraIssue);
+    if (!draft) {
+      return null;
+    }
+
+    return await this.githubClient.createComment(githubIssueNumber, draft.body);
+  }
+
+  /**
+   * Build the GitHub comment for a Jira comment, passing it through plugins and redaction
+   * @param {Object} jiraComment Jira comment object
+   * @param {number|null} githubIssueNumber GitHub issue number (null when importing the issue)
+   * @param {Array<Object>} attachments Resolved attachments of the issue
+   * @param {Set<string>} pending Collects mentioned Jira keys that are not on GitHub yet
+   * @param {Object} jiraIssue Jira issue the comment belongs to (for plugins)
+   * @returns {Promise<Object|null>} Comment payload ({ body }), or null when a plugin dropped it
    */
-  async migrateComment(jiraComment, githubIssueNumber) {
-    const author = jiraComment.author?.displayName || 'Unknown User';
+  async buildComment(jiraComment, githubIssueNumber, attachments = [], pending = new Set(), jiraIssue = null) {
+    const author = this.userMapper.formatUser(jiraComment.author, 'Unknown User');
     const created = dateUtils.formatJiraDate(jiraComment.created);
     const updated = jiraComment.updated ? dateUtils.formatJiraDate(jiraComment.updated) : null;
 
     // Convert comment body
     const originalBody = jiraComment.body || jiraComment.renderedBody || '';
-    const convertedBody = this.markdownConverter.toMarkdown(originalBody);
+    const convertedBody = this.convertContent(originalBody, attachments, pending, jiraComment.renderedBody);
 
     // Build GitHub comment
-    let githubCommentBody = `**${author}** commented on ${created}`;
-    if (updated && updated !== created) {
-      githubCommentBody += ` (updated ${updated})`;
+    let githubCommentBody;
+    if (this.templates.has('comment')) {
+      githubCommentBody = this.templates.render('comment', {
+        id: jiraComment.id,
+        author: this.buildUserContext(jiraComment.author),
+        created,
+        updated: updated !== created ? updated : null,
+        body: convertedBody,
+        issueNumber: githubIssueNumber
+      });
+    } else {
+      githubCommentBody = `**${author}** commented on ${created}`;
+      if (updated && updated !== created) {
+        githubCommentBody += ` (updated ${updated})`;
+      }
+      githubCommentBody += ':\n\n';
+      githubCommentBody += convertedBody;
+    }
+
+    const draft = await this.plugins.beforeComment(
+      jiraComment,
+      { body: githubCommentBody },
+      { jiraIssue, githubNumber: githubIssueNumber }
+    );
+    if (!draft) {
+      return null;
+    }
+    if (jiraIssue) {
+      this.redactPayload(jiraIssue.key, draft);
     }
-    githubCommentBody += ':\n\n';
-    githubCommentBody += convertedBody;
 
-    await this.githubClient.createComment(githubIssueNumber, githubCommentBody);
+    return draft;
   }
 
   /**
@@ -507,17 +2074,77 @@ export class Migrator {
     return chunks;
   }
 
+  /**
+   * Group the items of an async iterable into chunks
+   * @param {AsyncIterable} iterable Items to chunk
+   * @param {number} size Chunk size
+   * @returns {AsyncGenerator<Array>} Chunks
+   */
+  async *chunkStream(iterable, size) {
+    let chunk = [];
+    for await (const item of iterable) {
+      chunk.push(item);
+      if (chunk.length >= size) {
+        yield chunk;
+        chunk = [];
+      }
+    }
+    if (chunk.length > 0) {
+      yield chunk;
+    }
+  }
+
   /**
    * Print migration statistics
    */
   printStats() {
-    logger.info('\n📊 Migration Statistics:');
+    logger.info(`\n📊 Migration Statistics (run ${this.runId}):`);
     logger.info(`  Total Processed: ${this.stats.processed}`);
     logger.info(`  Successfully Created: ${this.stats.created}`);
     logger.info(`  Skipped (already exists): ${this.stats.skipped}`);
+    logger.info(`  Resumed (partially migrated): ${this.stats.resumed}`);
+    logger.info(`  Updated (changed in Jira): ${this.stats.updated}`);
+    logger.info(`  Unchanged since last sync: ${this.stats.unchanged}`);
     logger.info(`  Errors: ${this.stats.errors}`);
     logger.info(`  Comments Migrated: ${this.stats.comments}`);
     logger.info(`  Attachments Processed: ${this.stats.attachments}`);
+    logger.info(`  Issue Links Rewritten: ${this.stats.linksRewritten}`);
+    logger.info(`  Jira References Rewritten: ${this.stats.referencesRewritten}`);
+    logger.info(`  Duplicates Closed: ${this.stats.duplicatesClosed}`);
+    if (this.stats.filtered > 0) {
+      logger.info(`  Skipped by plugins: ${this.stats.filtered}`);
+    }
+    if (this.journal.filePath) {
+      logger.info(`  GitHub Writes Journaled: ${this.journal.entries} (${this.journal.filePath})`);
+    }
+
+    const redacted = Object.entries(this.redactions);
+    if (redacted.length > 0) {
+      logger.warn(`\nRedacted content (${this.stats.redactions} in ${redacted.length} issues):`);
+      redacted.forEach(([jiraKey, findings]) => logger.warn(`  ${jiraKey}: ${formatFindings(findings)}`));
+    }
+
+    const retried = [this.jiraClient, this.githubClient, this.summarizer]
+      .flatMap(client => Object.entries(client?.rateLimiter?.metrics || {}))
+      .filter(([, metrics]) => metrics.retries > 0 || metrics.failures > 0);
+    if (retried.length > 0) {
+      logger.info('\nRetried API calls:');
+      retried.forEach(([operation, metrics]) => {
+        const errors = Object.entries(metrics.errors)
+          .map(([errorClass, count]) => `${errorClass}: ${count}`)
+          .join(', ');
+        logger.info(
+          `  ${operation}: ${metrics.retries} retries in ${metrics.calls} calls, ${metrics.failures} failed, ` +
+            `waited ${Math.ceil(metrics.waited / 1000)}s (${errors})`
+        );
+      });
+    }
+
+    const unmappedUsers = this.userMapper.getUnmappedUsers();
+    if (unmappedUsers.length > 0) {
+      logger.warn(`\nUnmapped Jira users (${unmappedUsers.length}) - shown by display name:`);
+      unmappedUsers.forEach(user => logger.warn(`  ${user.displayName} (${user.id})`));
+    }
 
     if (this.stats.errors > 0) {
       logger.warn('\n⚠️  Some issues failed to migrate. Check the mapping.json file for details.');
@@ -544,5 +2171,15 @@ export const migrator = {
   async migrate(config) {
     const migratorInstance = createMigrator(config);
     return await migratorInstance.migrate();
+  },
+
+  /**
+   * Execute an incremental sync with the given configuration
+   * @param {Object} config Migration configuration
+   * @returns {Promise<Object>} Sync results
+   */
+  async sync(config) {
+    const migratorInstance = createMigrator(config);
+    return await migratorInstance.sync();
   }
 };
@@ -0,0 +1,191 @@
+import { logger } from './utils.js';
+
+/**
+ * Milestone settings used for projects without their own entry in `projects`
+ */
+const DEFAULT_SETTINGS = {
+  fixVersions: true,
+  sprints: false
+};
+
+/**
+ * Get the milestone settings of a Jira project
+ * @param {Object} config Milestone configuration ({ fixVersions, sprints, projects })
+ * @param {string} projectKey Jira project key
+ * @returns {{fixVersions: boolean, sprints: boolean}} Settings for the project
+ */
+export function getProjectSettings(config = {}, projectKey) {
+  const { projects = {}, ...defaults } = config;
+  return { ...DEFAULT_SETTINGS, ...defaults, ...projects[projectKey] };
+}
+
+/**
+ * Normalize a sprint field value; Jira Cloud returns objects, Jira Server
+ * returns strings such as `com.atlassian.greenhopper.service.sprint.Sprint@1[id=1,name=Sprint 1,...]`
+ * @param {Object|string} sprint Sprint value
+ * @returns {Object|null} Sprint as { id, name, state, endDate, goal }
+ */
+export function parseSprint(sprint) {
+  if (!sprint) {
+    return null;
+  }
+  if (typeof sprint === 'object') {
+    return sprint.name ? sprint : null;
+  }
+
+  const attributes = Object.fromEntries(
+    [...String(sprint).matchAll(/(\w+)=([^,\]]*)/g)].map(([, key, value]) => [
+      key,
+      value === '<null>' ? null : value
+    ])
+  );
+  return attributes.name ? { ...attributes, state: attributes.state?.toLowerCase() } : null;
+}
+
+/**
+ * Format a Jira date as a GitHub milestone due date
+ * @param {string} date Jira date (`2024-03-01`) or timestamp
+ * @returns {string|undefined} ISO timestamp
+ */
+function toDueOn(date) {
+  if (!date) {
+    return undefined;
+  }
+  const parsed = new Date(/^\d{4}-\d{2}-\d{2}$/.test(date) ? `${date}T00:00:00Z` : date);
+  return Number.isNaN(parsed.getTime()) ? undefined : parsed.toISOString();
+}
+
+/**
+ * Creates GitHub milestones for Jira fix versions and sprints and picks the
+ * milestone of each issue
+ */
+export class MilestoneMapper {
+  /**
+   * @param {GitHubClient} githubClient GitHub API client
+   * @param {JiraClient} jiraClient Jira API client (for project versions)
+   * @param {Object} config Milestone configuration ({ fixVersions, sprints, projects })
+   * @param {string} sprintField Sprint custom field id (e.g. `customfield_10020`)
+   */
+  constructor(githubClient, jiraClient, config = {}, sprintField = null) {
+    this.githubClient = githubClient;
+    this.jiraClient = jiraClient;
+    this.config = config;
+    this.sprintField = sprintField;
+    this.milestones = null;
+    this.versions = new Map();
+  }
+
+  /**
+   * Find or create the milestone of a Jira issue: its earliest fix version, or
+   * else its latest sprint, depending on the project's settings
+   * @param {Object} jiraIssue Jira issue object
+   * @returns {Promise<{number: number, title: string, created: boolean}|null>} Milestone
+   */
+  async resolve(jiraIssue) {
+    const projectKey = jiraIssue.key.slice(0, jiraIssue.key.lastIndexOf('-'));
+    const settings = getProjectSettings(this.config, projectKey);
+
+    const fixVersions = jiraIssue.fields.fixVersions || [];
+    if (settings.fixVersions && fixVersions.length > 0) {
+      return this.fromFixVersions(projectKey, fixVersions);
+    }
+
+    const sprints = this.sprintField ? [jiraIssue.fields[this.sprintField] || []].flat() : [];
+    const sprint = sprints.map(parseSprint).filter(Boolean).at(-1);
+    if (settings.sprints && sprint) {
+      return this.ensureMilestone({
+        title: sprint.name,
+        description: sprint.goal || undefined,
+        due_on: toDueOn(sprint.endDate),
+        state: sprint.state === 'closed' ? 'closed' : 'open'
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Pick the fix version released first and ensure its milestone exists
+   * @param {string} projectKey Jira project key
+   * @param {Array<Object>} fixVersions Fix versions of the issue
+   * @returns {Promise<Object>} Milestone
+   */
+  async fromFixVersions(projectKey, fixVersions) {
+    const versions = await this.getProjectVersions(projectKey);
+    const detailed = fixVersions.map(
+      version => versions.find(candidate => candidate.id === version.id) || version
+    );
+    // Versions without a release date sort last
+    const [version] = [...detailed].sort(
+      (a, b) => (a.releaseDate || '9999').localeCompare(b.releaseDate || '9999')
+    );
+
+    return this.ensureMilestone({
+      title: version.name,
+      description: version.description || undefined,
+      due_on: toDueOn(version.releaseDate),
+      state: version.released || version.archived ? 'closed' : 'open'
+    });
+  }
+
+  /**
+   * Get the versions of a project, fetched once per run
+   * @param {string} projectKey Jira project key
+   * @returns {Promise<Array<Object>>} Project versions
+   */
+  async getProjectVersions(projectKey) {
+    if (!this.versions.has(projectKey)) {
+      try {
+        this.versions.set(projectKey, await this.jiraClient.getProjectVersions(projectKey));
+      } catch (error) {
+        logger.warn(`Cannot read versions of ${projectKey} (${error.message}) - milestones get no due dates`);
+        this.versions.set(projectKey, []);
+      }
+    }
+    return this.versions.get(projectKey);
+  }
+
+  /**
+   * Find a milestone by title, creating it when it does not exist
+   * @param {Object} milestoneData Milestone data (title, description, due_on, state)
+   * @returns {Promise<{number: number, title: string, created: boolean}>} Milestone
+   */
+  async ensureMilestone(milestoneData) {
+    if (!this.milestones) {
+      const existing = await this.githubClient.getMilestones();
+      this.milestones = new Map(existing.map(milestone => [milestone.title, milestone]));
+    }
+
+    const existing = this.milestones.get(milestoneData.title);
+    if (existing) {
+      return { number: existing.number, title: existing.title, created: false };
+    }
+
+    const milestone = await this.githubClient.createMilestone(milestoneData);
+    this.milestones.set(milestone.title, milestone);
+    logger.info(`Created milestone "${milestone.title}" (${milestoneData.state})`);
+    return { number: milestone.number, title: milestone.title, created: true };
+  }
+}
+
+/**
+ * Create a milestone mapper
+ * @param {GitHubClient} githubClient GitHub API client
+ * @param {JiraClient} jiraClient Jira API client
+ * @param {Object} config Full configuration object
+ * @returns {MilestoneMapper|null} Mapper, or null when neither milestones nor a milestone field are configured
+ */
+export function createMilestoneMapper(githubClient, jiraClient, config) {
+  const milestoneConfig = config.migration.milestones;
+  const fieldMilestones = (config.fieldMapping || []).some(mapping => mapping.target === 'milestone');
+  if (!milestoneConfig && !fieldMilestones) {
+    return null;
+  }
+  // A field mapped to milestones works on its own, without fix versions
+  return new MilestoneMapper(
+    githubClient,
+    jiraClient,
+    milestoneConfig || { fixVersions: false },
+    config.jira.sprintField
+  );
+}
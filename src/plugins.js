@@ -0,0 +1,207 @@
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { logger } from './utils.js';
+
+/**
+ * Hooks a plugin can export
+ */
+export const HOOKS = ['filterIssue', 'beforeIssue', 'afterIssue', 'beforeComment', 'mapLabels', 'mapState'];
+
+/**
+ * Loads local plugin modules and runs their hooks in the order they are listed
+ *
+ * A plugin module exports hook functions, either as named exports, as a default
+ * object, or from a default factory function that receives the plugin's `options`.
+ * Every hook gets a context with the configuration as its last argument.
+ */
+export class PluginManager {
+  /**
+   * @param {Array<string|Object>} specs Plugin paths, or { path, options } objects
+   * @param {Object} config Full configuration object, passed to hooks
+   */
+  constructor(specs = [], config = {}) {
+    this.specs = specs;
+    this.config = config;
+    this.plugins = [];
+  }
+
+  /**
+   * Import the configured plugin modules
+   * @returns {Promise<Array<string>>} Names of the loaded plugins
+   * @throws {Error} When a plugin cannot be imported
+   */
+  async load() {
+    for (const spec of this.specs) {
+      const { path, options = {} } = typeof spec === 'string' ? { path: spec } : spec;
+
+      let module;
+      try {
+        module = await import(pathToFileURL(resolve(path)).href);
+      } catch (error) {
+        throw new Error(`Failed to load plugin ${path}: ${error.message}`);
+      }
+
+      const exported = module.default ?? module;
+      const hooks = typeof exported === 'function' ? await exported(options) : exported;
+      const names = HOOKS.filter(hook => typeof hooks?.[hook] === 'function');
+      if (names.length === 0) {
+        logger.warn(`Plugin ${path} exports none of the hooks ${HOOKS.join(', ')} - ignoring it`);
+        continue;
+      }
+
+      const name = hooks.name && typeof hooks.name === 'string' ? hooks.name : path;
+      this.plugins.push({ name, hooks });
+      logger.info(`Loaded plugin ${name} (${names.join(', ')})`);
+    }
+
+    return this.plugins.map(plugin => plugin.name);
+  }
+
+  /**
+   * Check whether any plugin implements a hook
+   * @param {string} hook Hook name
+   * @returns {boolean} True if a loaded plugin exports the hook
+   */
+  has(hook) {
+    return this.plugins.some(({ hooks }) => typeof hooks[hook] === 'function');
+  }
+
+  /**
+   * Call a hook of every plugin that implements it, in order
+   * @param {string} hook Hook name
+   * @param {Function} handle Receives each plugin's result; returning true stops the chain
+   * @param {...*} args Hook arguments (the context is added last)
+   * @returns {Promise<void>}
+   */
+  async invoke(hook, handle, ...args) {
+    for (const { name, hooks } of this.plugins) {
+      if (typeof hooks[hook] !== 'function') {
+        continue;
+      }
+
+      let result;
+      try {
+        result = await hooks[hook](...args);
+      } catch (error) {
+        throw new Error(`Plugin ${name} failed in ${hook}: ${error.message}`);
+      }
+      if (handle(result, name)) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Pass a value through a hook of every plugin; each plugin may mutate it, return
+   * a replacement, or return false (or null) to drop it
+   * @param {string} hook Hook name
+   * @param {Object} subject Jira issue or comment the value belongs to
+   * @param {*} value Value to transform
+   * @param {Object} context Extra hook context
+   * @returns {Promise<*>} Transformed value, or null when a plugin dropped it
+   */
+  async pipe(hook, subject, value, context = {}) {
+    let current = value;
+    let dropped = false;
+
+    await this.invoke(
+      hook,
+      (result, name) => {
+        if (result === false || result === null) {
+          logger.debug(`Plugin ${name} dropped ${subject.key || subject.id} in ${hook}`);
+          dropped = true;
+          return true;
+        }
+        if (result !== undefined) {
+          current = result;
+        }
+        return false;
+      },
+      subject,
+      current,
+      { config: this.config, ...context }
+    );
+
+    return dropped ? null : current;
+  }
+
+  /**
+   * Ask every plugin whether an issue should be migrated
+   * @param {Object} jiraIssue Jira issue object
+   * @returns {Promise<boolean>} False when a plugin's filterIssue returned false
+   */
+  async filterIssue(jiraIssue) {
+    let keep = true;
+    await this.invoke(
+      'filterIssue',
+      result => {
+        keep = result !== false;
+        return !keep;
+      },
+      jiraIssue,
+      { config: this.config }
+    );
+    return keep;
+  }
+
+  /**
+   * Let plugins change the GitHub issue payload before it is created or updated
+   * @param {Object} jiraIssue Jira issue object
+   * @param {Object} draft Issue payload ({ title, body, labels, state, ... })
+   * @param {Object} context Hook context ({ action: 'create' | 'update', githubNumber })
+   * @returns {Promise<Object|null>} Payload, or null to skip the issue
+   */
+  async beforeIssue(jiraIssue, draft, context) {
+    return this.pipe('beforeIssue', jiraIssue, draft, context);
+  }
+
+  /**
+   * Tell plugins that an issue was migrated
+   * @param {Object} jiraIssue Jira issue object
+   * @param {Object} githubIssue Created GitHub issue
+   * @param {Object} context Hook context ({ entry })
+   */
+  async afterIssue(jiraIssue, githubIssue, context) {
+    await this.invoke('afterIssue', () => false, jiraIssue, githubIssue, { config: this.config, ...context });
+  }
+
+  /**
+   * Let plugins change a comment before it is posted
+   * @param {Object} jiraComment Jira comment object
+   * @param {Object} draft Comment payload ({ body })
+   * @param {Object} context Hook context ({ jiraIssue, githubNumber })
+   * @returns {Promise<Object|null>} Payload, or null to skip the comment
+   */
+  async beforeComment(jiraComment, draft, context) {
+    return this.pipe('beforeComment', jiraComment, draft, context);
+  }
+
+  /**
+   * Let plugins choose the labels of an issue
+   * @param {Object} jiraIssue Jira issue object
+   * @param {Array<string>} labels Mapped labels
+   * @returns {Promise<Array<string>>} Labels
+   */
+  async mapLabels(jiraIssue, labels) {
+    return (await this.pipe('mapLabels', jiraIssue, labels)) ?? [];
+  }
+
+  /**
+   * Let plugins choose the state of an issue
+   * @param {Object} jiraIssue Jira issue object
+   * @param {string} state Mapped state ('open' or 'closed')
+   * @returns {Promise<string>} State
+   */
+  async mapState(jiraIssue, state) {
+    return (await this.pipe('mapState', jiraIssue, state)) ?? state;
+  }
+}
+
+/**
+ * Create a plugin manager
+ * @param {Object} config Full configuration object
+ * @returns {PluginManager} Manager for `migration.plugins` (none by default)
+ */
+export function createPluginManager(config) {
+  return new PluginManager(config.migration.plugins, config);
+}
@@ -0,0 +1,185 @@
+import { parseSprint } from './milestones.js';
+import { logger } from './utils.js';
+
+/**
+ * Project field settings used when the config names none, by Jira attribute
+ */
+const DEFAULT_FIELDS = {
+  status: { name: 'Status' }
+};
+
+/**
+ * Find a single-select option or iteration by name, ignoring case
+ * @param {Array<Object>} choices Options ({ id, name }) or iterations ({ id, title })
+ * @param {string} name Name to look for
+ * @returns {Object|undefined} Matching choice
+ */
+function findChoice(choices = [], name) {
+  const wanted = String(name).toLowerCase();
+  return choices.find(choice => (choice.name ?? choice.title).toLowerCase() === wanted);
+}
+
+/**
+ * Adds migrated issues to a GitHub Projects (v2) board and fills in its fields
+ * from the Jira status, priority, story points and sprint
+ */
+export class ProjectMapper {
+  /**
+   * @param {GitHubClient} githubClient GitHub API client
+   * @param {Object} config Project configuration ({ owner, number, fields })
+   * @param {Object} jiraConfig Jira configuration (for `sprintField`)
+   */
+  constructor(githubClient, config, jiraConfig = {}) {
+    this.githubClient = githubClient;
+    this.config = config;
+    this.fieldConfig = { ...DEFAULT_FIELDS, ...config.fields };
+    this.sprintField = jiraConfig.sprintField;
+    this.project = null;
+    this.warned = new Set();
+  }
+
+  /**
+   * Load the project and its fields (once per run)
+   * @returns {Promise<Object>} Project as { id, title, fields }
+   */
+  async load() {
+    if (!this.project) {
+      this.project = await this.githubClient.getProject(this.config.owner, this.config.number);
+      logger.info(`Adding issues to project "${this.project.title}"`);
+    }
+    return this.project;
+  }
+
+  /**
+   * Add an issue to the project and set its mapped fields
+   * @param {Object} jiraIssue Jira issue object
+   * @param {string} nodeId GraphQL node id of the GitHub issue
+   * @param {Object} customValues Values of mapped custom fields by project field name
+   * @returns {Promise<string>} Project item id
+   */
+  async addIssue(jiraIssue, nodeId, customValues = {}) {
+    const project = await this.load();
+    const itemId = await this.githubClient.addProjectItem(project.id, nodeId);
+
+    for (const { field, value } of this.buildFieldValues(jiraIssue, customValues)) {
+      await this.githubClient.updateProjectItemField(project.id, itemId, field.id, value);
+    }
+
+    return itemId;
+  }
+
+  /**
+   * Work out the project field values of a Jira issue; values without a matching
+   * project field or option are skipped with a warning
+   * @param {Object} jiraIssue Jira issue object
+   * @param {Object} customValues Values of mapped custom fields by project field name
+   * @returns {Array<{field: Object, value: Object}>} Fields and their values
+   */
+  buildFieldValues(jiraIssue, customValues = {}) {
+    const fields = jiraIssue.fields;
+    const sprints = this.sprintField ? [fields[this.sprintField] || []].flat() : [];
+    const jiraValues = {
+      status: fields.status?.name,
+      priority: fields.priority?.name,
+      storyPoints: this.fieldConfig.storyPoints?.jiraField
+        ? fields[this.fieldConfig.storyPoints.jiraField]
+        : undefined,
+      sprint: sprints.map(parseSprint).filter(Boolean).at(-1)?.name
+    };
+    const settingsList = Object.entries(this.fieldConfig).map(([attribute, settings]) => ({
+      attribute,
+      settings,
+      jiraValue: jiraValues[attribute]
+    }));
+    for (const [name, jiraValue] of Object.entries(customValues)) {
+      settingsList.push({ attribute: name, settings: { name }, jiraValue });
+    }
+
+    const values = [];
+    for (const { attribute, settings, jiraValue } of settingsList) {
+      if (!settings?.name || jiraValue === undefined || jiraValue === null) {
+        continue;
+      }
+
+      const field = this.project.fields.find(candidate => candidate.name === settings.name);
+      if (!field) {
+        this.warnOnce(`Project has no field "${settings.name}" - ${attribute} is not set`);
+        continue;
+      }
+
+      const value = this.toFieldValue(field, settings.mapping?.[jiraValue] ?? jiraValue);
+      if (value) {
+        values.push({ field, value });
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Convert a value to the input type of a project field
+   * @param {Object} field Project field
+   * @param {*} value Mapped Jira value
+   * @returns {Object|null} ProjectV2FieldValue input
+   */
+  toFieldValue(field, value) {
+    switch (field.dataType) {
+    case 'SINGLE_SELECT': {
+      const option = findChoice(field.options, value);
+      if (option) return { singleSelectOptionId: option.id };
+      break;
+    }
+    case 'ITERATION': {
+      const { iterations = [], completedIterations = [] } = field.configuration || {};
+      const iteration = findChoice([...iterations, ...completedIterations], value);
+      if (iteration) return { iterationId: iteration.id };
+      break;
+    }
+    case 'NUMBER': {
+      const number = Number(value);
+      if (Number.isFinite(number)) return { number };
+      break;
+    }
+    case 'DATE': {
+      // Jira dates and datetimes keep the calendar day they were entered with
+      const text = String(value);
+      const time = Date.parse(text);
+      if (/^\d{4}-\d{2}-\d{2}/.test(text) && !Number.isNaN(time)) return { date: text.slice(0, 10) };
+      if (!Number.isNaN(time)) return { date: new Date(time).toISOString().slice(0, 10) };
+      this.warnOnce(`Project field "${field.name}" cannot take the date "${value}"`);
+      return null;
+    }
+    default:
+      return { text: String(value) };
+    }
+
+    this.warnOnce(`Project field "${field.name}" has no option "${value}"`);
+    return null;
+  }
+
+  /**
+   * Log a warning once per run
+   * @param {string} message Warning message
+   */
+  warnOnce(message) {
+    if (!this.warned.has(message)) {
+      this.warned.add(message);
+      logger.warn(message);
+    }
+  }
+}
+
+/**
+ * Create a project mapper
+ * @param {GitHubClient} githubClient GitHub API client
+ * @param {Object} config Full configuration object
+ * @returns {ProjectMapper|null} Mapper, or null when no project is configured
+ */
+export function createProjectMapper(githubClient, config) {
+  if (!config.project) {
+    return null;
+  }
+
+  const owner = config.project.owner || config.github.repo.split('/')[0];
+  return new ProjectMapper(githubClient, { ...config.project, owner }, config.jira);
+}
@@ -0,0 +1,97 @@
+/**
+ * Read a header from a plain object (Octokit, OpenAI errors), `Headers` (fetch) or `AxiosHeaders`
+ * @param {Object} headers Response headers
+ * @param {string} name Lowercase header name
+ * @returns {string|undefined} Header value
+ */
+function getHeader(headers, name) {
+  if (!headers) {
+    return undefined;
+  }
+  if (typeof headers.get === 'function') {
+    return headers.get(name) ?? undefined;
+  }
+  return headers[name] ?? undefined;
+}
+
+/**
+ * Parse a reset header: epoch seconds (GitHub), an ISO 8601 date (Jira) or a
+ * duration such as `6m0s` or `20ms` (OpenAI)
+ * @param {string} value Header value
+ * @param {number} now Current time in milliseconds
+ * @returns {number|null} Reset time in milliseconds
+ */
+function parseReset(value, now) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const text = String(value);
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Number(text) * 1000;
+  }
+
+  if (/^(\d+(\.\d+)?(ms|h|m|s))+$/.test(text)) {
+    const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+    const parts = [...text.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+    return now + parts.reduce((total, [, amount, unit]) => total + Number(amount) * units[unit], 0);
+  }
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : date;
+}
+
+/**
+ * Express the remaining budget in requests, which is what the scheduler paces
+ * @param {Object} budget Scarcest budget
+ * @param {Array<Object>} budgets All budgets of the response
+ * @returns {number} Requests left
+ */
+function toRequests(budget, budgets) {
+  const requests = budgets.find(other => other.unit === 'requests' && other.share !== null);
+  if (budget.unit === 'requests' || budget.share === null || !requests) {
+    return budget.remaining;
+  }
+  return Math.floor(budget.share * requests.limit);
+}
+
+/**
+ * Parse the rate limit headers of a response
+ * @param {Object} headers Response headers
+ * @param {number} now Current time in milliseconds
+ * @returns {{remaining: number|null, resetAt: number|null, retryAt: number|null}} Requests
+ *   left, when the limit resets and when a rate-limited client may retry
+ */
+export function parseRateLimitHeaders(headers, now = Date.now()) {
+  const retryAfterMs = getHeader(headers, 'retry-after-ms');
+  const retryAfter = getHeader(headers, 'retry-after');
+  let retryAt = null;
+  if (retryAfterMs !== undefined) {
+    retryAt = now + Number(retryAfterMs);
+  } else if (retryAfter !== undefined) {
+    retryAt = /^\d+$/.test(String(retryAfter)) ? now + Number(retryAfter) * 1000 : parseReset(retryAfter, now);
+  }
+
+  // OpenAI reports separate request and token budgets; the one with the smallest
+  // share of its limit left counts, so tokens are not compared with requests
+  const budgets = [
+    ['x-ratelimit-remaining', 'x-ratelimit-limit', 'x-ratelimit-reset', 'requests'],
+    ['x-ratelimit-remaining-requests', 'x-ratelimit-limit-requests', 'x-ratelimit-reset-requests', 'requests'],
+    ['x-ratelimit-remaining-tokens', 'x-ratelimit-limit-tokens', 'x-ratelimit-reset-tokens', 'tokens']
+  ]
+    .map(([remaining, limit, reset, unit]) => ({
+      remaining: Number(getHeader(headers, remaining) ?? NaN),
+      limit: Number(getHeader(headers, limit) ?? NaN),
+      resetAt: parseReset(getHeader(headers, reset), now),
+      unit
+    }))
+    .filter(budget => !Number.isNaN(budget.remaining))
+    .map(budget => ({ ...budget, share: budget.limit > 0 ? budget.remaining / budget.limit : null }))
+    .sort((a, b) => (a.share !== null && b.share !== null ? a.share - b.share : a.remaining - b.remaining));
+
+  const [scarcest] = budgets;
+  return {
+    remaining: scarcest ? toRequests(scarcest, budgets) : null,
+    resetAt: scarcest ? scarcest.resetAt : null,
+    retryAt
+  };
+}
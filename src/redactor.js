@@ -0,0 +1,168 @@
+import { logger } from './utils.js';
+
+/**
+ * Built-in detectors of secrets and personal data, by name
+ */
+export const DETECTORS = {
+  privateKey:
+    /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----/g,
+  awsAccessKey: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  awsSecretKey: /\baws_?secret_?(?:access_?)?key\b["']?\s*[:=]\s*["']?[A-Za-z0-9/+=]{40}(?![A-Za-z0-9/+=])/gi,
+  githubToken: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g,
+  jwt: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]+/g,
+  email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g,
+  // Separated digit groups with an optional country code; IPs and dates don't match
+  phone: /(?<![\w.+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{2,4}\)[ .-]?|\d{2,4}[ .-])\d{3,4}[ .-]\d{3,4}(?![\w]|\.\d)/g
+};
+
+/**
+ * Properties of Jira objects that identify records rather than hold content
+ */
+const SKIP_KEYS = new Set(['self', 'id', 'key', 'accountId', 'emailAddress', 'avatarUrls', 'iconUrl', 'url']);
+
+/**
+ * Issue fields whose text is redacted, besides custom fields
+ */
+const ISSUE_FIELDS = ['summary', 'description', 'environment'];
+
+/**
+ * Count the redactions in a findings object
+ * @param {Object} findings Redaction counts by detector name
+ * @returns {number} Total number of redactions
+ */
+export function countFindings(findings = {}) {
+  return Object.values(findings).reduce((total, count) => total + count, 0);
+}
+
+/**
+ * Describe findings for the log, e.g. `2 email, 1 awsAccessKey`
+ * @param {Object} findings Redaction counts by detector name
+ * @returns {string} Description
+ */
+export function formatFindings(findings = {}) {
+  return Object.entries(findings)
+    .map(([name, count]) => `${count} ${name}`)
+    .join(', ');
+}
+
+/**
+ * Replaces secrets and personal data in Jira content with placeholders
+ */
+export class Redactor {
+  /**
+   * @param {Object} config Redaction configuration
+   * @param {Array<string>} config.detectors Built-in detectors to use (all by default)
+   * @param {Array<Object>} config.patterns Extra patterns as { name, pattern, flags }
+   * @param {string} config.replacement Placeholder; `{type}` is replaced by the detector name
+   */
+  constructor(config = {}) {
+    const names = config.detectors || Object.keys(DETECTORS);
+    for (const name of names.filter(name => !DETECTORS[name])) {
+      logger.warn(`Unknown redaction detector "${name}" (expected one of: ${Object.keys(DETECTORS).join(', ')})`);
+    }
+
+    this.rules = [
+      ...names.filter(name => DETECTORS[name]).map(name => ({ name, regex: DETECTORS[name] })),
+      ...(config.patterns || []).map(({ name, pattern, flags = 'g' }) => ({
+        name: name || 'custom',
+        regex: new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`)
+      }))
+    ];
+    this.replacement = config.replacement || '[REDACTED:{type}]';
+  }
+
+  /**
+   * Redact a piece of text
+   * @param {string} text Text to redact
+   * @param {Object} findings Receives redaction counts by detector name
+   * @returns {string} Redacted text
+   */
+  redactText(text, findings = {}) {
+    if (typeof text !== 'string' || !text) {
+      return text;
+    }
+
+    return this.rules.reduce(
+      (current, { name, regex }) =>
+        current.replace(regex, () => {
+          findings[name] = (findings[name] || 0) + 1;
+          return this.replacement.replace('{type}', name);
+        }),
+      text
+    );
+  }
+
+  /**
+   * Redact every string in a value, such as an ADF document or a custom field
+   * value; identifiers like account ids and emails of user objects are kept
+   * @param {*} value Value to redact
+   * @param {Object} findings Receives redaction counts by detector name
+   * @returns {*} Redacted copy
+   */
+  redactValue(value, findings = {}) {
+    if (typeof value === 'string') {
+      return this.redactText(value, findings);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactValue(item, findings));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          SKIP_KEYS.has(key) ? item : this.redactValue(item, findings)
+        ])
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Redact the summary, description, environment and custom fields of an issue
+   * @param {Object} jiraIssue Jira issue object
+   * @param {Object} findings Receives redaction counts by detector name
+   * @returns {Object} Redacted copy of the issue
+   */
+  redactIssue(jiraIssue, findings = {}) {
+    const fields = { ...jiraIssue.fields };
+    for (const name of Object.keys(fields)) {
+      if (ISSUE_FIELDS.includes(name) || name.startsWith('customfield_')) {
+        fields[name] = this.redactValue(fields[name], findings);
+      }
+    }
+
+    // Rendered HTML repeats the raw fields, so it is not counted again
+    const redacted = { ...jiraIssue, fields };
+    if (jiraIssue.renderedFields) {
+      redacted.renderedFields = this.redactValue(jiraIssue.renderedFields);
+    }
+    return redacted;
+  }
+
+  /**
+   * Redact the body of a comment
+   * @param {Object} jiraComment Jira comment object
+   * @param {Object} findings Receives redaction counts by detector name
+   * @returns {Object} Redacted copy of the comment
+   */
+  redactComment(jiraComment, findings = {}) {
+    return {
+      ...jiraComment,
+      body: this.redactValue(jiraComment.body, findings),
+      renderedBody: this.redactText(jiraComment.renderedBody)
+    };
+  }
+}
+
+/**
+ * Create a redactor
+ * @param {Object} config Full configuration object
+ * @returns {Redactor|null} Redactor, or null when redaction is not configured
+ */
+export function createRedactor(config) {
+  const redactionConfig = config.migration.redaction;
+  if (!redactionConfig) {
+    return null;
+  }
+  return new Redactor(redactionConfig === true ? {} : redactionConfig);
+}
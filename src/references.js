@@ -0,0 +1,103 @@
+/**
+ * Jira issue key, e.g. PROJ-123 (the same shape textUtils.extractJiraKey looks for)
+ */
+const JIRA_KEY = '[A-Z][A-Z0-9_]{1,9}-\\d+';
+
+/**
+ * Code, images and links are handled as a whole so keys inside them are not touched
+ */
+const SEGMENT_PATTERN = /(```[\s\S]*?```|~~~[\s\S]*?~~~|`[^`\n]+`|!?\[[^\]\n]*\]\([^)\s]*(?:\s+"[^"]*")?\))/;
+
+/**
+ * Bare Jira keys that are not part of a word, path or query string
+ */
+const KEY_PATTERN = new RegExp(`(?<![\\w/.=#-])(${JIRA_KEY})(?![\\w-])`, 'g');
+
+/**
+ * Get the project part of a Jira key
+ * @param {string} jiraKey Jira issue key
+ * @returns {string} Project key, e.g. "PROJ" for "PROJ-123"
+ */
+export function getProjectKey(jiraKey) {
+  return jiraKey.slice(0, jiraKey.lastIndexOf('-'));
+}
+
+/**
+ * Format a reference to a GitHub issue, qualified with its repository when it
+ * lives in a different one than the issue being written
+ * @param {string} githubUrl URL of the referenced issue
+ * @param {number} githubNumber Number of the referenced issue
+ * @param {string} repo Repository being written to ("owner/repo")
+ * @returns {string} `#123` or `owner/other#123`
+ */
+export function formatIssueReference(githubUrl, githubNumber, repo) {
+  const targetRepo = (githubUrl || '').match(/([^/]+\/[^/]+)\/issues\/\d+\/?$/)?.[1];
+  if (!targetRepo || targetRepo.toLowerCase() === String(repo).toLowerCase()) {
+    return `#${githubNumber}`;
+  }
+  return `${targetRepo}#${githubNumber}`;
+}
+
+/**
+ * Replace Jira keys and Jira browse URLs in Markdown with GitHub issue references
+ *
+ * `[label](…/browse/KEY)` links keep a custom label but point at the GitHub issue;
+ * code spans, code blocks and images are left as they are.
+ * @param {string} text Markdown text
+ * @param {Object} options Options
+ * @param {string} options.jiraUrl Jira base URL
+ * @param {Function} options.resolve Returns { reference, url } for a key, or null to leave it
+ * @returns {{text: string, unresolved: Array<string>}} Rewritten text and the keys left as they were
+ */
+export function rewriteJiraReferences(text, { jiraUrl, resolve }) {
+  if (!text) {
+    return { text: text || '', unresolved: [] };
+  }
+
+  const base = String(jiraUrl || '').replace(/\/+$/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const browseUrl = base ? `${base}/browse/(${JIRA_KEY})(?:[?#][^\\s)>]*)?` : null;
+  const linkHref = browseUrl ? new RegExp(`^${browseUrl}$`) : null;
+  const bareUrl = browseUrl ? new RegExp(`<${browseUrl}>|${browseUrl}`, 'g') : null;
+  const unresolved = new Set();
+
+  const lookup = key => {
+    const target = resolve(key);
+    if (!target) {
+      unresolved.add(key);
+    }
+    return target;
+  };
+
+  const rewriteLink = segment => {
+    const match = segment.match(/^\[([^\]\n]*)\]\(([^)\s]*)((?:\s+"[^"]*")?)\)$/);
+    const key = match && linkHref ? match[2].match(linkHref)?.[1] : null;
+    const target = key ? lookup(key) : null;
+    if (!target) {
+      return segment;
+    }
+
+    const [, label, href, title] = match;
+    return label === key || label === href ? target.reference : `[${label}](${target.url}${title})`;
+  };
+
+  const rewritePlain = segment => {
+    let result = segment;
+    if (bareUrl) {
+      result = result.replace(bareUrl, (url, bracketedKey, key) => {
+        const target = lookup(bracketedKey || key);
+        return target ? target.reference : url;
+      });
+    }
+    return result.replace(KEY_PATTERN, key => lookup(key)?.reference || key);
+  };
+
+  const rewritten = text
+    .split(SEGMENT_PATTERN)
+    .map((segment, index) => {
+      if (index % 2 === 0) return rewritePlain(segment);
+      return segment.startsWith('[') ? rewriteLink(segment) : segment;
+    })
+    .join('');
+
+  return { text: rewritten, unresolved: [...unresolved] };
+}
@@ -0,0 +1,388 @@
+import { createGitHubClient } from './githubClient.js';
+import { createJournal } from './journal.js';
+import { SUB_ISSUES_SECTION, formatSubIssueList } from './hierarchy.js';
+import { markdownUtils } from './markdownUtils.js';
+import { logger } from './utils.js';
+
+/**
+ * Mapping statuses of issues created by GitPorter (existing issues are never touched)
+ */
+const CREATED_STATUSES = ['migrated', 'partial'];
+
+/**
+ * Parse a date option of the rollback selection
+ * @param {string} value Date string (ISO 8601)
+ * @param {string} name Option name used in the error message
+ * @returns {number} Time in milliseconds
+ */
+function parseTime(value, name) {
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${name} date "${value}" - use ISO 8601, e.g. 2024-01-15T09:00:00Z`);
+  }
+  return time;
+}
+
+/**
+ * Undoes a migration run: removes the issues, comments, release assets and
+ * labels it created, using the run ids and timestamps recorded in the mapping
+ */
+export class Rollback {
+  /**
+   * @param {GitHubClient} githubClient GitHub client
+   * @param {Journal} journal Journal that records the rollback's own writes (optional)
+   */
+  constructor(githubClient, journal = null) {
+    this.githubClient = githubClient;
+    this.journal = journal;
+  }
+
+  /**
+   * Build a predicate that matches mapping records written by the selected run(s)
+   * @param {Object} options Selection options
+   * @param {string} options.runId Only records written by this run
+   * @param {string} options.since Only records migrated at or after this ISO time
+   * @param {string} options.until Only records migrated at or before this ISO time
+   * @returns {Function} Predicate receiving a record with runId/migratedAt
+   */
+  createSelector({ runId, since, until } = {}) {
+    if (!runId && !since && !until) {
+      throw new Error('Select what to roll back with a run id or a time window');
+    }
+
+    const sinceTime = since ? parseTime(since, 'since') : -Infinity;
+    const untilTime = until ? parseTime(until, 'until') : Infinity;
+
+    return record => {
+      if (!record) return false;
+      if (runId && record.runId !== runId) return false;
+
+      const migratedAt = new Date(record.migratedAt).getTime();
+      return migratedAt >= sinceTime && migratedAt <= untilTime;
+    };
+  }
+
+  /**
+   * Roll back everything the selected run(s) wrote to GitHub
+   * @param {Object} mapping Mapping of Jira keys to mapping entries (updated in place)
+   * @param {Object} options Selection options plus rollback behaviour
+   * @param {boolean} options.deleteIssues Delete issues via GraphQL instead of closing them
+   * @param {boolean} options.removeLabels Delete created labels no other issue uses
+   * @param {boolean} options.removeMilestones Delete created milestones no other issue uses
+   * @param {boolean} options.dryRun Only log what would be rolled back
+   * @param {Function} options.save Saves the mapping; called after every entry so an
+   * interrupted rollback can be resumed (optional)
+   * @returns {Promise<Object>} Counts of removed resources and errors
+   */
+  async run(mapping, options = {}) {
+    const selected = this.createSelector(options);
+    const checkpoint = async () => {
+      if (options.save && !options.dryRun) {
+        await options.save(mapping);
+      }
+    };
+    const result = {
+      closed: 0,
+      deleted: 0,
+      comments: 0,
+      assets: 0,
+      releases: 0,
+      labels: 0,
+      milestones: 0,
+      errors: 0
+    };
+    const rolledBackNumbers = [];
+    const createdLabels = new Set();
+    const createdMilestones = new Map();
+
+    for (const [jiraKey, entry] of Object.entries(mapping)) {
+      try {
+        await this.withJiraKey(jiraKey, async () => {
+          const createdIssue =
+            CREATED_STATUSES.includes(entry.status) && entry.githubNumber && selected(entry);
+
+          if (createdIssue) {
+            await this.rollbackIssue(jiraKey, entry, options, result, mapping);
+            rolledBackNumbers.push(entry.githubNumber);
+          } else if (entry.githubNumber) {
+            // Comments appended (e.g. by sync) to an issue created outside the selection
+            await this.rollbackComments(entry, selected, options, result);
+          }
+
+          await this.rollbackAttachments(entry, selected, options, result);
+        });
+
+        for (const label of entry.createdLabels || []) {
+          if (selected(label)) createdLabels.add(label.name);
+        }
+        for (const milestone of entry.createdMilestones || []) {
+          if (selected(milestone)) createdMilestones.set(milestone.number, milestone.title);
+        }
+      } catch (error) {
+        result.errors++;
+        logger.error(`Failed to roll back ${jiraKey}: ${error.message}`);
+      }
+
+      await checkpoint();
+    }
+
+    if (options.removeLabels) {
+      await this.removeUnusedLabels([...createdLabels], rolledBackNumbers, options, result);
+      for (const entry of Object.values(mapping)) {
+        if (entry.createdLabels && !options.dryRun) {
+          entry.createdLabels = entry.createdLabels.filter(label => !selected(label));
+        }
+      }
+      await checkpoint();
+    }
+
+    if (options.removeMilestones) {
+      await this.removeUnusedMilestones(createdMilestones, rolledBackNumbers, options, result);
+      for (const entry of Object.values(mapping)) {
+        if (entry.createdMilestones && !options.dryRun) {
+          entry.createdMilestones = entry.createdMilestones.filter(milestone => !selected(milestone));
+        }
+      }
+      await checkpoint();
+    }
+
+    return result;
+  }
+
+  /**
+   * Run a function with the Jira key attached to the journal records it causes
+   * @param {string} jiraKey Jira issue key
+   * @param {Function} fn Function to run
+   * @returns {Promise<*>} Result of the function
+   */
+  withJiraKey(jiraKey, fn) {
+    return this.journal ? this.journal.withContext({ jiraKey }, fn) : fn();
+  }
+
+  /**
+   * Delete or close and lock an issue created by the selected run, and take it off
+   * its project board and its parent's task list
+   * @param {string} jiraKey Jira issue key
+   * @param {Object} entry Mapping entry of the issue
+   * @param {Object} options Rollback options
+   * @param {Object} result Result counters
+   * @param {Object} mapping Full mapping, to find the parent's other children
+   */
+  async rollbackIssue(jiraKey, entry, options, result, mapping = {}) {
+    const number = entry.githubNumber;
+
+    if (options.dryRun) {
+      const action = options.deleteIssues ? 'delete' : 'close and lock';
+      logger.info(`[DRY RUN] Would ${action} #${number} (${jiraKey})`);
+      return;
+    }
+
+    if (entry.projectItemId && entry.projectId) {
+      await this.githubClient.deleteProjectItem(entry.projectId, entry.projectItemId);
+      delete entry.projectItemId;
+      delete entry.projectId;
+    }
+
+    if (options.deleteIssues && (await this.deleteIssue(number))) {
+      entry.deleted = true;
+      entry.comments = {};
+      result.deleted++;
+    } else {
+      // Deleting the comments keeps a closed issue from carrying migrated content
+      await this.rollbackComments(entry, () => true, options, result);
+      await this.githubClient.updateIssue(number, { state: 'closed', state_reason: 'not_planned' });
+      await this.githubClient.lockIssue(number);
+      result.closed++;
+    }
+
+    entry.status = 'rolled-back';
+    entry.rolledBackAt = new Date().toISOString();
+    await this.removeFromTaskList(entry, mapping);
+    logger.success(`Rolled back ${jiraKey} (#${number})`);
+  }
+
+  /**
+   * Remove a rolled back issue from the task list of its parent
+   * @param {Object} entry Mapping entry of the rolled back issue
+   * @param {Object} mapping Full mapping
+   */
+  async removeFromTaskList(entry, mapping) {
+    if (entry.parent?.linkedVia !== 'tasklist') {
+      return;
+    }
+
+    const parentKey = entry.parent.jiraKey;
+    const parentEntry = mapping[parentKey];
+    delete entry.parent;
+    if (!parentEntry?.githubNumber || parentEntry.status === 'rolled-back') {
+      return;
+    }
+
+    const children = Object.values(mapping)
+      .filter(other => other.parent?.jiraKey === parentKey && other.parent.linkedVia === 'tasklist')
+      .map(other => ({ githubNumber: other.githubNumber, closed: other.parent.closed }));
+    const parentIssue = await this.githubClient.getIssue(parentEntry.githubNumber);
+    await this.githubClient.updateIssue(parentEntry.githubNumber, {
+      body: markdownUtils.upsertSection(
+        parentIssue.body,
+        SUB_ISSUES_SECTION,
+        children.length > 0 ? formatSubIssueList(children) : ''
+      )
+    });
+  }
+
+  /**
+   * Delete an issue via GraphQL, which only works for repository admins
+   * @param {number} number Issue number
+   * @returns {Promise<boolean>} True if deleted, false if the token may not delete issues
+   */
+  async deleteIssue(number) {
+    try {
+      const issue = await this.githubClient.getIssue(number);
+      await this.githubClient.deleteIssue(issue.node_id);
+      return true;
+    } catch (error) {
+      logger.warn(`Cannot delete #${number} (${error.message}) - closing it instead`);
+      return false;
+    }
+  }
+
+  /**
+   * Delete the mirrored comments of an entry that match the selection
+   * @param {Object} entry Mapping entry
+   * @param {Function} selected Record predicate
+   * @param {Object} options Rollback options
+   * @param {Object} result Result counters
+   */
+  async rollbackComments(entry, selected, options, result) {
+    for (const [commentId, comment] of Object.entries(entry.comments || {})) {
+      if (!selected(comment) || !comment.githubCommentId) continue;
+
+      if (options.dryRun) {
+        logger.info(`[DRY RUN] Would delete comment ${comment.githubCommentId} on #${entry.githubNumber}`);
+        continue;
+      }
+
+      await this.githubClient.deleteComment(comment.githubCommentId);
+      delete entry.comments[commentId];
+      result.comments++;
+    }
+  }
+
+  /**
+   * Delete uploaded attachments of an entry that match the selection, and the
+   * release holding them when the same run created it
+   * @param {Object} entry Mapping entry
+   * @param {Function} selected Record predicate
+   * @param {Object} options Rollback options
+   * @param {Object} result Result counters
+   */
+  async rollbackAttachments(entry, selected, options, result) {
+    const attachments = Object.entries(entry.attachments || {}).filter(([, attachment]) =>
+      selected(attachment)
+    );
+
+    for (const [attachmentId, attachment] of attachments) {
+      if (options.dryRun) {
+        if (attachment.assetId) {
+          logger.info(`[DRY RUN] Would delete release asset ${attachment.filename}`);
+        }
+        continue;
+      }
+
+      if (attachment.assetId) {
+        await this.githubClient.deleteReleaseAsset(attachment.assetId);
+        result.assets++;
+      }
+      delete entry.attachments[attachmentId];
+    }
+
+    // Releases go last, and only once empty: later runs may have uploaded to them too
+    for (const [, attachment] of attachments) {
+      if (!attachment.releaseCreated || !attachment.releaseId) continue;
+
+      if (options.dryRun) {
+        logger.info(`[DRY RUN] Would delete release ${attachment.releaseTag} if no other assets remain`);
+        continue;
+      }
+
+      if (await this.githubClient.hasReleaseAssets(attachment.releaseId)) {
+        logger.debug(`Keeping release ${attachment.releaseTag} - it has other assets`);
+        continue;
+      }
+      await this.githubClient.deleteRelease(attachment.releaseId, attachment.releaseTag);
+      result.releases++;
+    }
+  }
+
+  /**
+   * Delete labels created by the selected run that no remaining issue uses
+   * @param {Array<string>} labels Label names created by the run
+   * @param {Array<number>} rolledBackNumbers Issues rolled back (their labels don't count)
+   * @param {Object} options Rollback options
+   * @param {Object} result Result counters
+   */
+  async removeUnusedLabels(labels, rolledBackNumbers, options, result) {
+    for (const name of labels) {
+      try {
+        if (await this.githubClient.isLabelUsed(name, rolledBackNumbers)) {
+          logger.debug(`Keeping label ${name} - still in use`);
+          continue;
+        }
+
+        if (options.dryRun) {
+          logger.info(`[DRY RUN] Would delete label ${name}`);
+          continue;
+        }
+
+        await this.githubClient.deleteLabel(name);
+        result.labels++;
+      } catch (error) {
+        result.errors++;
+        logger.error(`Failed to remove label ${name}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Delete milestones created by the selected run that no remaining issue uses
+   * @param {Map<number, string>} milestones Titles of the created milestones by number
+   * @param {Array<number>} rolledBackNumbers Issues rolled back (their milestones don't count)
+   * @param {Object} options Rollback options
+   * @param {Object} result Result counters
+   */
+  async removeUnusedMilestones(milestones, rolledBackNumbers, options, result) {
+    for (const [number, title] of milestones) {
+      try {
+        if (await this.githubClient.isMilestoneUsed(number, rolledBackNumbers)) {
+          logger.debug(`Keeping milestone ${title} - still in use`);
+          continue;
+        }
+
+        if (options.dryRun) {
+          logger.info(`[DRY RUN] Would delete milestone ${title}`);
+          continue;
+        }
+
+        await this.githubClient.deleteMilestone(number);
+        result.milestones++;
+      } catch (error) {
+        result.errors++;
+        logger.error(`Failed to remove milestone ${title}: ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Create and configure rollback
+ * @param {Object} config Full configuration object
+ * @returns {Rollback} Configured rollback instance
+ */
+export function createRollback(config) {
+  const githubClient = createGitHubClient(config.github);
+  const journal = createJournal(config.migration);
+  githubClient.setJournal(journal);
+
+  return new Rollback(githubClient, journal);
+}
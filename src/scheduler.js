@@ -0,0 +1,162 @@
+import { setTimeout } from 'timers/promises';
+import { logger } from './utils.js';
+import { parseRateLimitHeaders } from './rateLimitHeaders.js';
+
+/**
+ * How long to pause a service that reported a rate limit without saying for how
+ * long (GitHub asks for at least a minute after a secondary rate limit)
+ */
+const DEFAULT_PAUSE = 60000;
+
+/**
+ * Below this many remaining requests, the rest are spread evenly until the limit resets
+ */
+const LOW_WATER = 20;
+
+/**
+ * Paces API requests of every client from the rate limit headers of their
+ * responses, and runs work in parallel
+ *
+ * Each service (`github:core`, `jira`, `openai`, ...) has a budget of remaining
+ * requests. When it runs low, requests are spread evenly until the budget resets;
+ * when a service rate-limits a request, every request to it waits until the
+ * service allows them again instead of failing one after the other.
+ */
+export class Scheduler {
+  /**
+   * @param {Object} options Scheduler options
+   * @param {Function} options.now Returns the current time in milliseconds
+   * @param {Function} options.sleep Waits for a number of milliseconds
+   */
+  constructor({ now = Date.now, sleep = setTimeout } = {}) {
+    this.now = now;
+    this.sleep = sleep;
+    this.services = new Map();
+    this.queues = new Map();
+  }
+
+  /**
+   * Get the pacing state of a service
+   * @param {string} service Service name
+   * @returns {Object} State ({ remaining, resetAt, pausedUntil, nextAt })
+   */
+  getService(service) {
+    if (!this.services.has(service)) {
+      this.services.set(service, { remaining: null, resetAt: null, pausedUntil: 0, nextAt: 0 });
+    }
+    return this.services.get(service);
+  }
+
+  /**
+   * Wait until a request to a service may be sent
+   * @param {string} service Service name
+   * @returns {Promise<void>}
+   */
+  async acquire(service) {
+    const state = this.getService(service);
+
+    for (;;) {
+      const now = this.now();
+      if (state.resetAt !== null && state.resetAt <= now) {
+        state.remaining = null;
+        state.resetAt = null;
+      }
+
+      // Out of requests until the budget resets
+      const exhaustedUntil = state.remaining !== null && state.remaining <= 0 ? state.resetAt : 0;
+      const start = Math.max(now, state.pausedUntil, state.nextAt, exhaustedUntil || 0);
+      if (start <= now) {
+        break;
+      }
+      logger.debug(`Waiting ${Math.ceil((start - now) / 1000)}s for the ${service} rate limit`);
+      await this.sleep(start - now);
+    }
+
+    const now = this.now();
+    if (state.remaining !== null) {
+      // Spread the last requests until the reset, counting requests still in flight
+      if (state.remaining < LOW_WATER && state.resetAt !== null) {
+        state.nextAt = now + Math.max(0, state.resetAt - now) / Math.max(state.remaining, 1);
+      }
+      state.remaining--;
+    }
+  }
+
+  /**
+   * Record the rate limit headers of a response
+   * @param {string} service Service name
+   * @param {Object} headers Response headers
+   * @param {Object} options Response details
+   * @param {boolean} options.limited True when the request was rejected for its rate limit
+   */
+  update(service, headers, { limited = false } = {}) {
+    const state = this.getService(service);
+    const now = this.now();
+    const { remaining, resetAt, retryAt } = parseRateLimitHeaders(headers, now);
+
+    if (remaining !== null) {
+      state.remaining = remaining;
+      state.resetAt = resetAt;
+      if (remaining >= LOW_WATER) {
+        state.nextAt = 0;
+      }
+    }
+
+    let pauseUntil = retryAt;
+    if (limited && !pauseUntil) {
+      pauseUntil = remaining === 0 && resetAt ? resetAt : now + DEFAULT_PAUSE;
+    }
+    if (pauseUntil && pauseUntil > state.pausedUntil) {
+      state.pausedUntil = pauseUntil;
+      logger.warn(`${service} rate limit reached - pausing its requests for ${Math.ceil((pauseUntil - now) / 1000)}s`);
+    }
+  }
+
+  /**
+   * Run a function for every item with at most `concurrency` running at a time
+   * @param {Array} items Items to process
+   * @param {number} concurrency Maximum number of parallel calls
+   * @param {Function} fn Called with each item and its index
+   * @returns {Promise<Array>} Results in item order
+   */
+  async map(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(Math.max(concurrency, 1), items.length) }, worker));
+    return results;
+  }
+
+  /**
+   * Run a function once every earlier function queued under the same key has finished
+   * @param {string} key Queue key, e.g. `mapping` or `issue:12`
+   * @param {Function} fn Function to run
+   * @returns {Promise<*>} Result of the function
+   */
+  async exclusive(key, fn) {
+    const previous = this.queues.get(key) || Promise.resolve();
+    const run = previous.then(fn);
+    const tail = run.catch(() => {});
+    this.queues.set(key, tail);
+
+    try {
+      return await run;
+    } finally {
+      if (this.queues.get(key) === tail) {
+        this.queues.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Scheduler shared by every API client of the process
+ */
+export const scheduler = new Scheduler();
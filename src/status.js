@@ -0,0 +1,87 @@
+import { logger } from './utils.js';
+
+/**
+ * Summarize a migration mapping
+ * @param {Object} mapping Mapping of Jira keys to mapping entries
+ * @returns {Object} Counts by status and run, mirrored comment/attachment totals and keys needing attention
+ */
+export function summarizeMapping(mapping = {}) {
+  const summary = {
+    total: 0,
+    byStatus: {},
+    byRun: {},
+    comments: 0,
+    attachments: 0,
+    partial: [],
+    errors: [],
+    lastMigratedAt: null,
+    lastSyncedAt: null
+  };
+
+  for (const [jiraKey, entry] of Object.entries(mapping)) {
+    summary.total++;
+    summary.byStatus[entry.status] = (summary.byStatus[entry.status] || 0) + 1;
+    if (entry.runId) {
+      summary.byRun[entry.runId] = (summary.byRun[entry.runId] || 0) + 1;
+    }
+    summary.comments += Object.keys(entry.comments || {}).length;
+    summary.attachments += Object.keys(entry.attachments || {}).length;
+
+    if (entry.status === 'partial') {
+      summary.partial.push({ jiraKey, githubNumber: entry.githubNumber, error: entry.error });
+    } else if (entry.status === 'error') {
+      summary.errors.push({ jiraKey, error: entry.error });
+    }
+
+    if (entry.migratedAt && (!summary.lastMigratedAt || entry.migratedAt > summary.lastMigratedAt)) {
+      summary.lastMigratedAt = entry.migratedAt;
+    }
+    if (entry.syncedAt && (!summary.lastSyncedAt || entry.syncedAt > summary.lastSyncedAt)) {
+      summary.lastSyncedAt = entry.syncedAt;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Print a mapping summary
+ * @param {Object} summary Summary from summarizeMapping
+ * @param {string} mappingFile Path of the summarized mapping file
+ */
+export function printStatus(summary, mappingFile) {
+  logger.info(`\n📋 Migration Status (${mappingFile}):`);
+  logger.info(`  Jira Issues Tracked: ${summary.total}`);
+
+  for (const [status, count] of Object.entries(summary.byStatus)) {
+    logger.info(`  ${status}: ${count}`);
+  }
+
+  logger.info(`  Comments Mirrored: ${summary.comments}`);
+  logger.info(`  Attachments Recorded: ${summary.attachments}`);
+
+  if (summary.lastMigratedAt) {
+    logger.info(`  Last Migration: ${summary.lastMigratedAt}`);
+  }
+  if (summary.lastSyncedAt) {
+    logger.info(`  Last Sync: ${summary.lastSyncedAt}`);
+  }
+
+  const runs = Object.entries(summary.byRun);
+  if (runs.length > 0) {
+    logger.info('\n  Issues Created per Run:');
+    runs.forEach(([runId, count]) => logger.info(`    ${runId}: ${count}`));
+  }
+
+  if (summary.partial.length > 0) {
+    logger.warn(`\nPartially migrated (${summary.partial.length}) - re-run migrate to resume:`);
+    summary.partial.forEach(item =>
+      logger.warn(`  ${item.jiraKey} → #${item.githubNumber}${item.error ? `: ${item.error}` : ''}`)
+    );
+  }
+
+  if (summary.errors.length > 0) {
+    logger.warn(`\nFailed (${summary.errors.length}):`);
+    summary.errors.forEach(item => logger.warn(`  ${item.jiraKey}: ${item.error}`));
+  }
+}
@@ -1,18 +1,27 @@
 import OpenAI from 'openai';
-import { logger, RateLimiter } from './utils.js';
+import { createRateLimiter, logger } from './utils.js';
+import { scheduler } from './scheduler.js';
 
 /**
  * AI-powered summarizer using OpenAI
  */
 export class Summarizer {
-  constructor(config) {
+  /**
+   * @param {Object} config OpenAI configuration
+   * @param {Redactor} redactor Redacts prompts before they are sent (optional)
+   */
+  constructor(config, redactor = null) {
     this.config = config;
-    this.rateLimiter = new RateLimiter();
+    this.redactor = redactor;
+    this.rateLimiter = createRateLimiter(config.retry);
+    this.scheduler = scheduler;
 
     // Initialize OpenAI client
     if (config.apiKey) {
+      // Retries are left to the rate limiter so they follow the same policy as the other clients
       this.openai = new OpenAI({
-        apiKey: config.apiKey
+        apiKey: config.apiKey,
+        maxRetries: 0
       });
     } else {
       logger.warn('OpenAI API key not provided. Summaries will be disabled.');
@@ -55,24 +64,36 @@ export class Summarizer {
 
       const prompt = this.buildSummaryPrompt(text);
 
-      const response = await this.openai.chat.completions.create({
-        model,
-        messages: [
-          {
-            role: 'system',
-            content:
-              'You are a helpful assistant that creates concise, clear summaries of Jira issues for GitHub migration. Focus on the key problem, solution, and important details.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: maxTokens,
-        temperature,
-        presence_penalty: 0.1,
-        frequency_penalty: 0.1
-      });
+      // Pace requests by OpenAI's rate limit headers
+      await this.scheduler.acquire('openai');
+      let response;
+      try {
+        const { data, response: raw } = await this.openai.chat.completions
+          .create({
+            model,
+            messages: [
+              {
+                role: 'system',
+                content:
+                  'You are a helpful assistant that creates concise, clear summaries of Jira issues for GitHub migration. Focus on the key problem, solution, and important details.'
+              },
+              {
+                role: 'user',
+                content: prompt
+              }
+            ],
+            max_tokens: maxTokens,
+            temperature,
+            presence_penalty: 0.1,
+            frequency_penalty: 0.1
+          })
+          .withResponse();
+        this.scheduler.update('openai', raw.headers);
+        response = data;
+      } catch (error) {
+        this.scheduler.update('openai', error.headers, { limited: error.status === 429 });
+        throw error;
+      }
 
       const summary = response.choices[0]?.message?.content?.trim();
 
@@ -92,8 +113,8 @@ export class Summarizer {
    * @returns {string} Formatted prompt
    */
   buildSummaryPrompt(text) {
-    // Clean up the text for better summarization
-    const cleanedText = this.cleanTextForSummary(text);
+    // Clean up the text for better summarization, keeping secrets out of the prompt
+    const cleanedText = this.cleanTextForSummary(this.redactor ? this.redactor.redactText(text) : text);
 
     return `Please provide a concise summary of this Jira issue in 2-3 sentences. Focus on:
 1. What is the main problem or requirement?
@@ -303,8 +324,9 @@ Summary:`;
 /**
  * Create and configure summarizer
  * @param {Object} config OpenAI configuration
+ * @param {Redactor} redactor Redacts prompts before they are sent (optional)
  * @returns {Summarizer} Configured summarizer instance
  */
-export function createSummarizer(config) {
-  return new Summarizer(config);
+export function createSummarizer(config, redactor = null) {
+  return new Summarizer(config, redactor);
 }
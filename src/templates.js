@@ -0,0 +1,215 @@
+import { readFile } from 'fs/promises';
+import { logger } from './utils.js';
+
+/**
+ * Parts of the GitHub output that can be templated
+ */
+export const TEMPLATE_NAMES = ['title', 'body', 'comment'];
+
+const TAG = /\{\{(\{)?\s*([#^/!&]?)\s*([^}]*?)\s*\}?\}\}/g;
+
+/**
+ * Check whether a string holds nothing but spaces and tabs
+ * @param {string} text Text to check
+ * @returns {boolean} True for blank text
+ */
+function isBlank(text) {
+  return /^[ \t]*$/.test(text);
+}
+
+/**
+ * Parse a Mustache-style template into a tree of text, variable and section nodes
+ *
+ * Supported tags: `{{name}}` and `{{{name}}}` (both insert the value as is, since the
+ * output is Markdown), `{{#name}}...{{/name}}` sections, `{{^name}}...{{/name}}`
+ * inverted sections and `{{! comments }}`. Section and comment tags on a line of
+ * their own don't leave an empty line behind.
+ * @param {string} template Template source
+ * @returns {Array<string|Object>} Template nodes
+ * @throws {Error} On unbalanced sections
+ */
+export function parseTemplate(template) {
+  const root = { children: [] };
+  const open = [root];
+  let position = 0;
+
+  for (const match of template.matchAll(TAG)) {
+    const [tag, , type, name] = match;
+    const end = match.index + tag.length;
+    const current = open.at(-1);
+    let textEnd = match.index;
+    let next = end;
+
+    // Drop the whole line of a standalone section or comment tag
+    if (type && type !== '&') {
+      const lineStart = template.lastIndexOf('\n', match.index - 1) + 1;
+      const lineEnd = template.indexOf('\n', end);
+      const rest = template.slice(end, lineEnd === -1 ? template.length : lineEnd);
+      if (lineStart >= position && isBlank(template.slice(lineStart, match.index)) && isBlank(rest)) {
+        textEnd = lineStart;
+        next = lineEnd === -1 ? template.length : lineEnd + 1;
+      }
+    }
+
+    if (textEnd > position) {
+      current.children.push(template.slice(position, textEnd));
+    }
+    position = next;
+
+    switch (type) {
+    case '!':
+      break;
+    case '#':
+    case '^': {
+      const section = { type, name, children: [] };
+      current.children.push(section);
+      open.push(section);
+      break;
+    }
+    case '/':
+      if (open.length === 1 || current.name !== name) {
+        throw new Error(`Unexpected {{/${name}}} in template`);
+      }
+      open.pop();
+      break;
+    default:
+      current.children.push({ name });
+    }
+  }
+
+  if (open.length > 1) {
+    throw new Error(`Unclosed {{#${open.at(-1).name}}} in template`);
+  }
+  if (position < template.length) {
+    root.children.push(template.slice(position));
+  }
+
+  return root.children;
+}
+
+/**
+ * Look up a dotted name in the context stack, innermost scope first
+ * @param {Array<*>} stack Context stack
+ * @param {string} name Variable name (`.` for the current item)
+ * @returns {*} Value, or undefined when not found
+ */
+function lookup(stack, name) {
+  if (name === '.') {
+    return stack.at(-1);
+  }
+
+  const [head, ...path] = name.split('.');
+  const scope = [...stack]
+    .reverse()
+    .find(candidate => candidate !== null && typeof candidate === 'object' && head in candidate);
+  return scope ? path.reduce((value, key) => value?.[key], scope[head]) : undefined;
+}
+
+/**
+ * Render template nodes against a context stack
+ * @param {Array<string|Object>} nodes Template nodes
+ * @param {Array<*>} stack Context stack
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, stack) {
+  return nodes
+    .map(node => {
+      if (typeof node === 'string') {
+        return node;
+      }
+
+      const value = lookup(stack, node.name);
+      if (!node.type) {
+        return value === null || value === undefined ? '' : String(value);
+      }
+
+      const empty = !value || (Array.isArray(value) && value.length === 0);
+      if (node.type === '^') {
+        return empty ? renderNodes(node.children, stack) : '';
+      }
+      if (empty) {
+        return '';
+      }
+      if (Array.isArray(value)) {
+        return value.map(item => renderNodes(node.children, [...stack, item])).join('');
+      }
+      return renderNodes(node.children, typeof value === 'object' ? [...stack, value] : stack);
+    })
+    .join('');
+}
+
+/**
+ * Render a Mustache-style template
+ * @param {string} template Template source
+ * @param {Object} context Values available to the template
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(template, context) {
+  return renderNodes(parseTemplate(template), [context]);
+}
+
+/**
+ * Loads the user's title, body and comment templates and renders them
+ */
+export class TemplateRenderer {
+  /**
+   * @param {Object} files Template file paths by name ({ title, body, comment })
+   */
+  constructor(files = {}) {
+    this.files = files;
+    this.templates = {};
+  }
+
+  /**
+   * Read and parse the configured template files
+   * @returns {Promise<Array<string>>} Names of the loaded templates
+   * @throws {Error} When a template cannot be read or parsed
+   */
+  async load() {
+    for (const [name, file] of Object.entries(this.files)) {
+      if (!TEMPLATE_NAMES.includes(name)) {
+        logger.warn(`Ignoring unknown template "${name}" (expected one of: ${TEMPLATE_NAMES.join(', ')})`);
+        continue;
+      }
+      if (!file) {
+        continue;
+      }
+
+      try {
+        this.templates[name] = parseTemplate(await readFile(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`Failed to load ${name} template ${file}: ${error.message}`);
+      }
+    }
+
+    return Object.keys(this.templates);
+  }
+
+  /**
+   * Check whether a template is configured
+   * @param {string} name Template name
+   * @returns {boolean} True if the template was loaded
+   */
+  has(name) {
+    return Boolean(this.templates[name]);
+  }
+
+  /**
+   * Render a loaded template
+   * @param {string} name Template name
+   * @param {Object} context Values available to the template
+   * @returns {string} Rendered text
+   */
+  render(name, context) {
+    return renderNodes(this.templates[name], [context]);
+  }
+}
+
+/**
+ * Create a template renderer
+ * @param {Object} config Full configuration object
+ * @returns {TemplateRenderer} Renderer for `migration.templates` (none by default)
+ */
+export function createTemplateRenderer(config) {
+  return new TemplateRenderer(config.migration.templates);
+}
@@ -0,0 +1,173 @@
+import { readFile } from 'fs/promises';
+import { logger } from './utils.js';
+
+/**
+ * Column names accepted for the GitHub login in a users CSV file
+ */
+const GITHUB_COLUMNS = ['github', 'githublogin', 'github_login', 'login'];
+
+/**
+ * Parse CSV text into rows of cells (supports quoted cells and escaped quotes)
+ * @param {string} text CSV content
+ * @returns {Array<Array<string>>} Rows of trimmed cells
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(Boolean));
+}
+
+/**
+ * Maps Jira users (account id, email or username) to GitHub logins
+ */
+export class UserMapper {
+  constructor(mapping = {}) {
+    this.mapping = {};
+    this.unmapped = new Map();
+    this.addMappings(mapping);
+  }
+
+  /**
+   * Add Jira identifier to GitHub login mappings
+   * @param {Object} mapping Map of Jira account id / email / username to GitHub login
+   */
+  addMappings(mapping = {}) {
+    for (const [jiraId, login] of Object.entries(mapping)) {
+      if (jiraId && login) {
+        this.mapping[jiraId.trim().toLowerCase()] = String(login).trim().replace(/^@/, '');
+      }
+    }
+  }
+
+  /**
+   * Load mappings from a CSV file
+   *
+   * The file needs a header row with a `github` column; every other column
+   * (e.g. `accountId`, `email`, `username`) is treated as a Jira identifier.
+   * @param {string} filePath Path to the CSV file
+   * @returns {Promise<number>} Number of rows loaded
+   */
+  async loadCsv(filePath) {
+    const rows = parseCsv(await readFile(filePath, 'utf8'));
+    if (rows.length === 0) {
+      return 0;
+    }
+
+    const header = rows[0].map(column => column.toLowerCase().replace(/\s+/g, ''));
+    const githubIndex = header.findIndex(column => GITHUB_COLUMNS.includes(column));
+    if (githubIndex === -1) {
+      throw new Error(`User mapping file ${filePath} needs a "github" column`);
+    }
+
+    let loaded = 0;
+    for (const cells of rows.slice(1)) {
+      const login = cells[githubIndex];
+      if (!login) continue;
+
+      cells.forEach((value, index) => {
+        if (index !== githubIndex && value) {
+          this.addMappings({ [value]: login });
+        }
+      });
+      loaded++;
+    }
+
+    logger.debug(`Loaded ${loaded} user mappings from ${filePath}`);
+    return loaded;
+  }
+
+  /**
+   * Resolve a Jira user to a GitHub login
+   * @param {Object} jiraUser Jira user (accountId, emailAddress, name, key, displayName)
+   * @returns {string|null} GitHub login or null if unmapped
+   */
+  resolve(jiraUser) {
+    if (!jiraUser) {
+      return null;
+    }
+
+    const identifiers = [jiraUser.accountId, jiraUser.emailAddress, jiraUser.name, jiraUser.key]
+      .filter(Boolean)
+      .map(identifier => String(identifier).toLowerCase());
+
+    for (const identifier of identifiers) {
+      if (this.mapping[identifier]) {
+        return this.mapping[identifier];
+      }
+    }
+
+    if (identifiers.length > 0) {
+      this.unmapped.set(identifiers[0], jiraUser.displayName || identifiers[0]);
+    }
+    return null;
+  }
+
+  /**
+   * Format a Jira user for display, adding the GitHub login when mapped
+   * @param {Object} jiraUser Jira user
+   * @param {string} fallback Text to use when there is no user
+   * @returns {string} Display text
+   */
+  formatUser(jiraUser, fallback = 'Unknown') {
+    if (!jiraUser) {
+      return fallback;
+    }
+
+    const login = this.resolve(jiraUser);
+    const displayName = jiraUser.displayName || login || fallback;
+    return login ? `${displayName} (@${login})` : displayName;
+  }
+
+  /**
+   * Get Jira users that were encountered but have no mapping
+   * @returns {Array<Object>} Unmapped users with their Jira id and display name
+   */
+  getUnmappedUsers() {
+    return [...this.unmapped.entries()].map(([id, displayName]) => ({ id, displayName }));
+  }
+}
+
+/**
+ * Create and configure user mapper
+ * @param {Object} config Users configuration ({ mapping, file })
+ * @returns {UserMapper} Configured user mapper instance (call loadCsv for config.file)
+ */
+export function createUserMapper(config = {}) {
+  return new UserMapper(config.mapping);
+}
@@ -1,5 +1,8 @@
 import TurndownService from 'turndown';
 import { setTimeout } from 'timers/promises';
+import { AdfRenderer } from './adfRenderer.js';
+import { WikiMarkupParser, WikiMarkupRenderer } from './wikiMarkup.js';
+import { parseRateLimitHeaders } from './rateLimitHeaders.js';
 
 /**
  * Logger utility with verbose mode support
@@ -39,68 +42,242 @@ class Logger {
 export const logger = new Logger();
 
 /**
- * Rate limiting and retry utility
+ * Error codes of connections that failed before a response arrived
+ */
+const NETWORK_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EPIPE',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+];
+
+/**
+ * Error classes that are worth another attempt; `client` errors (4xx) and errors
+ * that are not API errors at all (`unknown`, e.g. bugs or deliberate throws) are not
+ */
+const RETRYABLE_ERRORS = ['network', 'server', 'rate-limit', 'secondary-limit', 'abuse'];
+
+/**
+ * How long to wait after a GitHub secondary rate limit or abuse detection
+ * without Retry-After (GitHub asks for at least a minute)
+ */
+const SECONDARY_LIMIT_DELAY = 60000;
+
+/**
+ * Get the response headers of an API error
+ * @param {Error} error Error thrown by an API client
+ * @returns {Object|undefined} Response headers
+ */
+function getErrorHeaders(error) {
+  return error.response?.headers ?? error.headers;
+}
+
+/**
+ * Classify an API error to decide whether and how to retry it
+ * @param {Error} error Error thrown by Octokit, axios, the OpenAI SDK or fetch
+ * @returns {string} One of network, server, rate-limit, secondary-limit, abuse, client, unknown
+ */
+export function classifyError(error) {
+  const status = error.status ?? error.response?.status;
+  const message = String(error.message || '').toLowerCase();
+  const code = error.code ?? error.cause?.code;
+
+  if (status === 403 || status === 429) {
+    if (message.includes('secondary rate limit')) {
+      return 'secondary-limit';
+    }
+    if (message.includes('abuse')) {
+      return 'abuse';
+    }
+  }
+  if (status === 429 || (status === 403 && parseRateLimitHeaders(getErrorHeaders(error)).remaining === 0)) {
+    return 'rate-limit';
+  }
+  // Octokit reports requests that got no response at all as a 500 without a response
+  if (status >= 500 && error.name === 'HttpError' && !error.response) {
+    return 'network';
+  }
+  if (status >= 500) {
+    return 'server';
+  }
+  if (status >= 400) {
+    return 'client';
+  }
+  if (NETWORK_ERROR_CODES.includes(code) || ['APIConnectionError', 'APIConnectionTimeoutError'].includes(error.name)) {
+    return 'network';
+  }
+  if (message.includes('rate limit') || message.includes('too many requests')) {
+    return 'rate-limit';
+  }
+  return 'unknown';
+}
+
+/**
+ * Reduce an operation description to a name shared by all its calls, e.g.
+ * `create issue: [APP-1] Crash` and `update issue #12` to `create issue` and `update issue #*`
+ * @param {string} operation Operation description
+ * @returns {string} Operation name for metrics
+ */
+export function getOperationName(operation) {
+  return operation
+    .split(': ')[0]
+    .split(' ')
+    .map(word => (/\d/.test(word) ? word.replace(/[\w.-]*\d[\w.-]*/g, '*') : word))
+    .join(' ');
+}
+
+/**
+ * Retries failed API calls: network errors, server errors and rate limits are
+ * retried after the wait their Retry-After or rate limit reset headers ask for,
+ * or else after an exponential backoff with jitter; client errors fail at once
  */
 export class RateLimiter {
-  constructor(maxRetries = 3, baseDelay = 1000) {
+  /**
+   * @param {number} maxRetries Retries after the first attempt
+   * @param {number} baseDelay Backoff before the first retry in milliseconds, doubled on every retry
+   * @param {Object} options Retry options
+   * @param {number} options.maxDelay Longest backoff in milliseconds
+   * @param {number} options.maxWait Longest wait a rate limit may ask for before the call fails instead
+   * @param {boolean} options.jitter Randomize backoffs so parallel calls do not retry in lockstep
+   * @param {Function} options.now Returns the current time in milliseconds
+   * @param {Function} options.sleep Waits for a number of milliseconds
+   */
+  constructor(
+    maxRetries = 3,
+    baseDelay = 1000,
+    { maxDelay = 30000, maxWait = 3600000, jitter = true, now = Date.now, sleep = setTimeout } = {}
+  ) {
     this.maxRetries = maxRetries;
     this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.maxWait = maxWait;
+    this.jitter = jitter;
+    this.now = now;
+    this.sleep = sleep;
+    this.metrics = {};
   }
 
   /**
-   * Execute a function with exponential backoff retry
+   * Get the retry metrics of an operation
+   * @param {string} operation Operation description
+   * @returns {Object} Metrics ({ calls, retries, failures, waited, errors })
+   */
+  getMetrics(operation) {
+    const name = getOperationName(operation);
+    if (!this.metrics[name]) {
+      this.metrics[name] = { calls: 0, retries: 0, failures: 0, waited: 0, errors: {} };
+    }
+    return this.metrics[name];
+  }
+
+  /**
+   * Get how long to wait before retrying a failed call
+   * @param {Error} error Error of the failed call
+   * @param {string} errorClass Class of the error
+   * @param {number} attempt Zero-based number of the failed attempt
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(error, errorClass, attempt) {
+    const now = this.now();
+    const { remaining, resetAt, retryAt } = parseRateLimitHeaders(getErrorHeaders(error), now);
+    if (retryAt !== null) {
+      return Math.max(retryAt - now, 0);
+    }
+    if (errorClass === 'rate-limit' && remaining === 0 && resetAt !== null) {
+      return Math.max(resetAt - now, 0);
+    }
+    if (errorClass === 'secondary-limit' || errorClass === 'abuse') {
+      return SECONDARY_LIMIT_DELAY;
+    }
+
+    const backoff = Math.min(this.baseDelay * Math.pow(2, attempt), this.maxDelay);
+    return this.jitter ? Math.round(backoff / 2 + (Math.random() * backoff) / 2) : backoff;
+  }
+
+  /**
+   * Execute a function, retrying it while it fails with a retryable error
    * @param {Function} fn Function to execute
    * @param {string} operation Description of the operation for logging
+   * @param {Object} options Retry options
+   * @param {boolean} options.idempotent False for requests that create something: a
+   *   network error may hide a request the server accepted, so retrying could create it twice
    * @returns {Promise} Result of the function
    */
-  async executeWithRetry(fn, operation = 'operation') {
-    let lastError;
+  async executeWithRetry(fn, operation = 'operation', { idempotent = true } = {}) {
+    const metrics = this.getMetrics(operation);
+    metrics.calls++;
 
-    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+    for (let attempt = 0; ; attempt++) {
       try {
         return await fn();
       } catch (error) {
-        lastError = error;
+        const errorClass = classifyError(error);
+        metrics.errors[errorClass] = (metrics.errors[errorClass] || 0) + 1;
 
-        if (attempt === this.maxRetries) {
-          break;
+        if (attempt >= this.maxRetries || !RETRYABLE_ERRORS.includes(errorClass)) {
+          metrics.failures++;
+          throw error;
+        }
+        if (!idempotent && errorClass === 'network') {
+          logger.warn(`${operation} failed: ${error.message} - not retried, the request may have been received`);
+          metrics.failures++;
+          throw error;
         }
 
-        // Check if it's a rate limit error
-        const isRateLimit =
-          error.response?.status === 429 ||
-          error.message?.includes('rate limit') ||
-          error.message?.includes('too many requests');
-
-        if (!isRateLimit && error.response?.status < 500) {
-          // Don't retry client errors (4xx) except rate limits
-          break;
+        const delay = this.getDelay(error, errorClass, attempt);
+        if (delay > this.maxWait) {
+          logger.warn(`${operation} failed: ${error.message} - not waiting ${Math.ceil(delay / 1000)}s for the rate limit`);
+          metrics.failures++;
+          throw error;
         }
 
-        const delay = this.baseDelay * Math.pow(2, attempt);
         logger.warn(
-          `${operation} failed (attempt ${attempt + 1}/${this.maxRetries + 1}): ${error.message}`
+          `${operation} failed (attempt ${attempt + 1}/${this.maxRetries + 1}, ${errorClass}): ${error.message}`
         );
         logger.debug(`Retrying in ${delay}ms...`);
-
-        await setTimeout(delay);
+        metrics.retries++;
+        metrics.waited += delay;
+        await this.sleep(delay);
       }
     }
-
-    throw lastError;
   }
 }
 
+/**
+ * Create a rate limiter from a `retry` configuration section
+ * @param {Object} retryConfig Retry configuration ({ maxRetries, baseDelay, maxDelay, maxWait, jitter })
+ * @returns {RateLimiter} Rate limiter
+ */
+export function createRateLimiter(retryConfig = {}) {
+  const { maxRetries, baseDelay, ...options } = retryConfig;
+  return new RateLimiter(maxRetries, baseDelay, options);
+}
+
 /**
  * Markdown conversion utility
  */
 export class MarkdownConverter {
-  constructor() {
+  /**
+   * @param {Object} options Converter options
+   * @param {Function} options.resolveMention Resolves a Jira user to a GitHub login (or null)
+   */
+  constructor(options = {}) {
+    this.options = options;
     this.turndownService = new TurndownService({
       headingStyle: 'atx',
       bulletListMarker: '-',
       codeBlockStyle: 'fenced'
     });
+    this.adfRenderer = new AdfRenderer();
+    this.wikiParser = new WikiMarkupParser();
+    this.wikiRenderer = new WikiMarkupRenderer();
 
     // Custom rules for Jira-specific formatting
     this.turndownService.addRule('jiraCode', {
@@ -121,77 +298,29 @@ export class MarkdownConverter {
     });
   }
 
-  /**
-   * Extract text content from Atlassian Document Format (ADF)
-   * @param {Object} adfContent ADF content object
-   * @returns {string} Extracted text content
-   */
-  extractTextFromADF(adfContent) {
-    if (!adfContent || typeof adfContent !== 'object') {
-      return '';
-    }
-
-    let text = '';
-
-    // Handle different ADF node types
-    if (adfContent.type === 'text') {
-      text += adfContent.text || '';
-    } else if (adfContent.type === 'hardBreak') {
-      text += '\n';
-    } else if (adfContent.type === 'paragraph') {
-      if (adfContent.content) {
-        text += adfContent.content.map(node => this.extractTextFromADF(node)).join('');
-        text += '\n\n';
-      }
-    } else if (adfContent.type === 'orderedList' || adfContent.type === 'bulletList') {
-      if (adfContent.content) {
-        adfContent.content.forEach((item, index) => {
-          const prefix = adfContent.type === 'orderedList' ? `${index + 1}. ` : '- ';
-          text += `${prefix + this.extractTextFromADF(item).trim()}\n`;
-        });
-        text += '\n';
-      }
-    } else if (adfContent.type === 'listItem') {
-      if (adfContent.content) {
-        text += adfContent.content.map(node => this.extractTextFromADF(node)).join('').trim();
-      }
-    } else if (adfContent.type === 'codeBlock') {
-      if (adfContent.content) {
-        text += '```\n';
-        text += adfContent.content.map(node => this.extractTextFromADF(node)).join('');
-        text += '\n```\n\n';
-      }
-    } else if (adfContent.type === 'heading') {
-      const level = adfContent.attrs?.level || 1;
-      const headingPrefix = `${'#'.repeat(level)} `;
-      if (adfContent.content) {
-        text += `${headingPrefix + adfContent.content.map(node => this.extractTextFromADF(node)).join('')}\n\n`;
-      }
-    } else if (adfContent.type === 'media' || adfContent.type === 'mediaSingle' || adfContent.type === 'mediaGroup') {
-      // Handle media attachments
-      const alt = adfContent.attrs?.alt || 'attachment';
-      text += `[${alt}]`;
-    } else if (adfContent.content && Array.isArray(adfContent.content)) {
-      // Recursively process content array
-      text += adfContent.content.map(node => this.extractTextFromADF(node)).join('');
-    }
-
-    return text;
-  }
-
   /**
    * Convert Jira wiki markup or HTML to Markdown
    * @param {string} content Content to convert
+   * @param {Object} options Conversion options
+   * @param {Array<Object>} options.attachments Resolved issue attachments for inline media
+   * @param {string} options.rendered Rendered HTML of the same content, which tells which
+   *   attachment an ADF media node shows
    * @returns {string} Markdown content
    */
-  toMarkdown(content) {
+  toMarkdown(content, options = {}) {
     if (!content) return '';
+
+    const media = this.collectRenderedMedia(options.rendered);
+    const renderContext = {
+      resolveMedia: ref => this.findAttachment(options.attachments || [], { ...ref, ...media.get(ref.id) }),
+      resolveMention: user => this.options.resolveMention?.(user) || null
+    };
     
     // Handle Atlassian Document Format (ADF)
     if (typeof content === 'object' && content !== null) {
       if (content.type === 'doc' && content.content) {
         // This is ADF format
-        return this.extractTextFromADF(content);
+        return this.adfRenderer.render(content, renderContext);
       } else if (content.content || content.body || content.text || content.value) {
         // Try to extract meaningful content from object
         content = content.content || content.body || content.text || content.value || String(content);
@@ -205,27 +334,78 @@ export class MarkdownConverter {
       content = String(content);
     }
 
-    // First convert common Jira wiki markup to HTML
-    const processed = content
-      // Bold text
-      .replace(/\*([^*]+)\*/g, '<strong>$1</strong>')
-      // Italic text
-      .replace(/_([^_]+)_/g, '<em>$1</em>')
-      // Code blocks
-      .replace(/\{code(?::([^}]+))?\}([\s\S]*?)\{code\}/g, '<pre><code class="$1">$2</code></pre>')
-      // Inline code
-      .replace(/\{\{([^}]+)\}\}/g, '<code>$1</code>')
-      // Links
-      .replace(/\[([^|]+)\|([^\]]+)\]/g, '<a href="$2">$1</a>')
-      // Simple links
-      .replace(/\[([^\]]+)\]/g, '<a href="$1">$1</a>')
-      // Headers
-      .replace(/^h([1-6])\.\s*(.+)$/gm, '<h$1>$2</h$1>')
-      // Line breaks
-      .replace(/\r\n|\r/g, '\n');
-
-    // Convert HTML to Markdown
-    return this.turndownService.turndown(processed);
+    // Rendered fields arrive as HTML; everything else is Jira wiki markup
+    if (this.isHtml(content)) {
+      return this.turndownService.turndown(content);
+    }
+
+    return this.wikiRenderer.render(this.wikiParser.parse(content), renderContext);
+  }
+
+  /**
+   * Map the Media Services ids of ADF media nodes to Jira attachments, using the
+   * rendered HTML where Jira puts `data-media-services-id` next to the attachment URL
+   * @param {string} html Rendered HTML
+   * @returns {Map<string, Object>} Attachment reference ({ id, filename }) by media id
+   */
+  collectRenderedMedia(html) {
+    const media = new Map();
+    if (typeof html !== 'string') return media;
+
+    for (const [tag] of html.matchAll(/<(?:img|a)\b[^>]*>/gi)) {
+      const attribute = name => tag.match(new RegExp(`\\s${name}="([^"]*)"`, 'i'))?.[1];
+      const mediaId = attribute('data-media-services-id');
+      if (!mediaId) continue;
+
+      const url = attribute('src') || attribute('href') || '';
+      const id = url.match(/\/attachment\/(?:content\/)?(\d+)/)?.[1];
+      const filename = attribute('data-attachment-name')
+        ?.replace(/&quot;/g, '"')
+        .replace(/&#39;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+      media.set(mediaId, { ...(id && { id }), ...(filename && { filename }) });
+    }
+
+    return media;
+  }
+
+  /**
+   * Find the attachment a media node or wiki embed refers to
+   * @param {Array<Object>} attachments Resolved issue attachments
+   * @param {Object} ref Media reference
+   * @param {string} ref.id Media or attachment id
+   * @param {string} ref.filename File name
+   * @returns {Object|null} Matching attachment or null
+   */
+  findAttachment(attachments, ref) {
+    if (ref.id) {
+      const byId = attachments.find(attachment => String(attachment.id) === String(ref.id));
+      if (byId) return byId;
+    }
+
+    if (ref.filename) {
+      const filename = ref.filename.trim();
+      return (
+        attachments.find(attachment => attachment.filename === filename) ||
+        attachments.find(
+          attachment => attachment.filename?.toLowerCase() === filename.toLowerCase()
+        ) ||
+        null
+      );
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a string is HTML rather than wiki markup
+   * @param {string} content Content to inspect
+   * @returns {boolean} True if the content looks like HTML
+   */
+  isHtml(content) {
+    return /^\s*<[a-z][a-z0-9]*\b[^>]*>/i.test(content) && /<\/[a-z][a-z0-9]*>/i.test(content);
   }
 }
 
@@ -267,8 +447,20 @@ export class StatusMapper {
  * Label mapping utility
  */
 export class LabelMapper {
-  constructor(mapping = {}) {
+  /**
+   * @param {Object} mapping GitHub labels by Jira issue type
+   * @param {boolean|Object} builtIn Built-in labels to add: false for none, or
+   *   { priority, component, status, migrated } switches (all on by default)
+   */
+  constructor(mapping = {}, builtIn = {}) {
     this.mapping = mapping;
+    this.builtIn = {
+      priority: true,
+      component: true,
+      status: true,
+      migrated: true,
+      ...(builtIn === false ? { priority: false, component: false, status: false, migrated: false } : builtIn)
+    };
   }
 
   /**
@@ -287,13 +479,13 @@ export class LabelMapper {
 
     // Add priority label
     const priority = jiraIssue.fields.priority?.name;
-    if (priority) {
+    if (priority && this.builtIn.priority) {
       const priorityStr = typeof priority === 'string' ? priority : String(priority);
       labels.push(`priority:${priorityStr.toLowerCase().replace(/\s+/g, '-')}`);
     }
 
     // Add component labels
-    const components = jiraIssue.fields.components || [];
+    const components = this.builtIn.component ? jiraIssue.fields.components || [] : [];
     components.forEach(component => {
       const componentName = typeof component.name === 'string' ? component.name : String(component.name || '');
       if (componentName) {
@@ -303,13 +495,15 @@ export class LabelMapper {
 
     // Add status label for tracking
     const status = jiraIssue.fields.status?.name;
-    if (status) {
+    if (status && this.builtIn.status) {
       const statusStr = typeof status === 'string' ? status : String(status);
       labels.push(`jira-status:${statusStr.toLowerCase().replace(/\s+/g, '-')}`);
     }
 
     // Add migration label
-    labels.push('migrated-from-jira');
+    if (this.builtIn.migrated) {
+      labels.push('migrated-from-jira');
+    }
 
     return labels.filter(Boolean);
   }
@@ -0,0 +1,84 @@
+import { createGitHubClient } from './githubClient.js';
+import { logger } from './utils.js';
+
+/**
+ * Checks that the GitHub issues recorded in a mapping still exist and match their Jira issues
+ */
+export class Verifier {
+  constructor(githubClient) {
+    this.githubClient = githubClient;
+  }
+
+  /**
+   * Verify every mapping entry that points at a GitHub issue; rolled back issues are
+   * expected to be closed or deleted and are only counted
+   * @param {Object} mapping Mapping of Jira keys to mapping entries
+   * @returns {Promise<Object>} Result with checked/ok/rolledBack counts and a list of problems
+   */
+  async verify(mapping = {}) {
+    const result = { checked: 0, ok: 0, rolledBack: 0, problems: [] };
+
+    for (const [jiraKey, entry] of Object.entries(mapping)) {
+      if (!entry.githubNumber) {
+        continue;
+      }
+      if (entry.status === 'rolled-back') {
+        result.rolledBack++;
+        logger.debug(`${jiraKey} → #${entry.githubNumber}: rolled back, skipped`);
+        continue;
+      }
+
+      result.checked++;
+      const problem = await this.verifyEntry(jiraKey, entry);
+
+      if (problem) {
+        result.problems.push({ jiraKey, githubNumber: entry.githubNumber, problem });
+        logger.warn(`${jiraKey} → #${entry.githubNumber}: ${problem}`);
+      } else {
+        result.ok++;
+        logger.debug(`${jiraKey} → #${entry.githubNumber}: ok`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Verify a single mapping entry
+   * @param {string} jiraKey Jira issue key
+   * @param {Object} entry Mapping entry
+   * @returns {Promise<string|null>} Problem description, or null if the issue matches
+   */
+  async verifyEntry(jiraKey, entry) {
+    let issue;
+    try {
+      issue = await this.githubClient.getIssue(entry.githubNumber);
+    } catch (error) {
+      if (error.status === 404) return 'issue not found';
+      if (error.status === 410) return 'issue was deleted';
+      // Report the failure for this issue and go on with the rest
+      return `could not be checked: ${error.message}`;
+    }
+
+    if (issue.pull_request) {
+      return 'number belongs to a pull request';
+    }
+    if (entry.githubUrl && issue.html_url && issue.html_url !== entry.githubUrl) {
+      return `issue moved to ${issue.html_url}`;
+    }
+    if (!issue.title?.includes(jiraKey) && !issue.body?.includes(jiraKey)) {
+      return `issue does not reference ${jiraKey}`;
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Create and configure verifier
+ * @param {Object} config Full configuration object
+ * @returns {Verifier} Configured verifier instance
+ */
+export function createVerifier(config) {
+  return new Verifier(createGitHubClient(config.github));
+}
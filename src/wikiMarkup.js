@@ -0,0 +1,755 @@
+import { markdownUtils } from './markdownUtils.js';
+
+/**
+ * Inline emphasis markers and the node type they produce
+ */
+const EMPHASIS_MARKERS = {
+  '??': 'cite',
+  '*': 'strong',
+  _: 'em',
+  '-': 'strike',
+  '+': 'underline',
+  '^': 'sup',
+  '~': 'sub'
+};
+
+/**
+ * Markers that Jira also honors inside words (e.g. x^2^, H~2~O)
+ */
+const INTRAWORD_MARKERS = new Set(['^', '~']);
+
+/**
+ * Jira emoticons and their Unicode equivalents, longest first
+ */
+const EMOTICONS = [
+  ['(*y)', '⭐'],
+  ['(off)', '💡'],
+  ['(on)', '💡'],
+  ['(y)', '👍'],
+  ['(n)', '👎'],
+  ['(i)', 'ℹ️'],
+  ['(/)', '✅'],
+  ['(x)', '❌'],
+  ['(!)', '⚠️'],
+  ['(+)', '➕'],
+  ['(-)', '➖'],
+  ['(?)', '❓'],
+  ['(*)', '⭐'],
+  [':)', '🙂'],
+  [':(', '🙁'],
+  [':P', '😛'],
+  [':D', '😀'],
+  [';)', '😉']
+];
+
+const PREFORMATTED_START = /^\s*\{(code|noformat)(?::([^}]*))?\}(.*)$/;
+const CONTAINER_START = /^\s*\{(quote|panel)(?::([^}]*))?\}(.*)$/;
+const HEADING = /^\s*h([1-6])\.\s+(.*)$/;
+const BLOCKQUOTE_LINE = /^\s*bq\.\s+(.*)$/;
+const RULE = /^\s*-{4,}\s*$/;
+const LIST_ITEM = /^\s*([*#]+|-)\s+(.*)$/;
+const TABLE_ROW = /^\s*\|/;
+const IMAGE = /^!([^\s!|][^!|\n]*?)(?:\|([^!\n]*))?!/;
+
+const isWordChar = char => char !== undefined && /[\p{L}\p{N}]/u.test(char);
+const isSpace = char => char === undefined || /\s/.test(char);
+
+/**
+ * Parses Jira wiki markup into a small document tree
+ */
+export class WikiMarkupParser {
+  /**
+   * Parse wiki markup text
+   * @param {string} text Jira wiki markup
+   * @returns {Object} Document node with block children
+   */
+  parse(text) {
+    const source = String(text ?? '').replace(/\r\n?/g, '\n');
+    return { type: 'document', children: this.parseBlocks(source.split('\n')) };
+  }
+
+  /**
+   * Parse lines into block nodes
+   * @param {Array<string>} sourceLines Lines of wiki markup
+   * @returns {Array<Object>} Block nodes
+   */
+  parseBlocks(sourceLines) {
+    const lines = [...sourceLines];
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      const preformatted = line.match(PREFORMATTED_START);
+      if (preformatted) {
+        const [, name, params, rest] = preformatted;
+        const macro = this.collectMacro(lines, i, name, rest);
+        blocks.push({
+          type: 'code',
+          language: name === 'code' ? this.parseCodeLanguage(params) : '',
+          text: macro.content.replace(/^\n/, '').replace(/\n\s*$/, '')
+        });
+        i = this.resumeAfterMacro(lines, macro);
+        continue;
+      }
+
+      const container = line.match(CONTAINER_START);
+      if (container) {
+        const [, name, params, rest] = container;
+        const macro = this.collectMacro(lines, i, name, rest);
+        const children = this.parseBlocks(macro.content.split('\n'));
+        blocks.push(
+          name === 'panel'
+            ? { type: 'panel', title: this.parseMacroParams(params).title || '', children }
+            : { type: 'quote', children }
+        );
+        i = this.resumeAfterMacro(lines, macro);
+        continue;
+      }
+
+      const heading = line.match(HEADING);
+      if (heading) {
+        blocks.push({
+          type: 'heading',
+          level: Number(heading[1]),
+          children: this.parseInline(heading[2].trim())
+        });
+        i++;
+        continue;
+      }
+
+      const blockquote = line.match(BLOCKQUOTE_LINE);
+      if (blockquote) {
+        blocks.push({
+          type: 'quote',
+          children: [{ type: 'paragraph', children: this.parseInline(blockquote[1]) }]
+        });
+        i++;
+        continue;
+      }
+
+      if (RULE.test(line)) {
+        blocks.push({ type: 'rule' });
+        i++;
+        continue;
+      }
+
+      if (LIST_ITEM.test(line)) {
+        const entries = [];
+        while (i < lines.length && LIST_ITEM.test(lines[i])) {
+          const [, markers, text] = lines[i].match(LIST_ITEM);
+          entries.push({ markers, text });
+          i++;
+        }
+        blocks.push(...this.buildLists(entries));
+        continue;
+      }
+
+      if (TABLE_ROW.test(line)) {
+        const rows = [];
+        while (i < lines.length && TABLE_ROW.test(lines[i])) {
+          rows.push(this.parseTableRow(lines[i].trim()));
+          i++;
+        }
+        blocks.push({ type: 'table', rows });
+        continue;
+      }
+
+      const paragraphLines = [];
+      while (i < lines.length && lines[i].trim() && !this.startsBlock(lines[i])) {
+        paragraphLines.push(lines[i]);
+        i++;
+      }
+      blocks.push({ type: 'paragraph', children: this.parseInline(paragraphLines.join('\n')) });
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Check whether a line starts a block other than a paragraph
+   * @param {string} line Line of wiki markup
+   * @returns {boolean} True if the line opens a new block
+   */
+  startsBlock(line) {
+    return [PREFORMATTED_START, CONTAINER_START, HEADING, BLOCKQUOTE_LINE, RULE, LIST_ITEM, TABLE_ROW].some(
+      pattern => pattern.test(line)
+    );
+  }
+
+  /**
+   * Collect the body of a {name}...{name} macro starting at the given line
+   * @param {Array<string>} lines Lines of wiki markup
+   * @param {number} start Index of the line holding the opening tag
+   * @param {string} name Macro name
+   * @param {string} rest Text after the opening tag on the first line
+   * @returns {Object} Macro content, index of the closing line and trailing text
+   */
+  collectMacro(lines, start, name, rest) {
+    const closing = `{${name}}`;
+    const collected = [];
+    let current = rest;
+    let index = start;
+
+    while (index < lines.length) {
+      const closeAt = current.indexOf(closing);
+      if (closeAt !== -1) {
+        collected.push(current.slice(0, closeAt));
+        return {
+          content: collected.join('\n'),
+          end: index,
+          trailing: current.slice(closeAt + closing.length)
+        };
+      }
+
+      collected.push(current);
+      index++;
+      current = lines[index] ?? '';
+    }
+
+    // Unterminated macro: everything to the end belongs to it
+    return { content: collected.join('\n'), end: lines.length - 1, trailing: '' };
+  }
+
+  /**
+   * Continue parsing after a macro, re-queuing any text after its closing tag
+   * @param {Array<string>} lines Lines of wiki markup (mutated)
+   * @param {Object} macro Result of collectMacro
+   * @returns {number} Index of the next line to parse
+   */
+  resumeAfterMacro(lines, macro) {
+    if (macro.trailing.trim()) {
+      lines[macro.end] = macro.trailing.trimStart();
+      return macro.end;
+    }
+    return macro.end + 1;
+  }
+
+  /**
+   * Parse macro parameters (e.g. "title=Foo|borderStyle=solid")
+   * @param {string} params Raw parameter string
+   * @returns {Object} Parameter map
+   */
+  parseMacroParams(params) {
+    const result = {};
+    for (const part of String(params || '').split('|')) {
+      const [key, ...value] = part.split('=');
+      if (key && value.length > 0) {
+        result[key.trim()] = value.join('=').trim();
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Extract the language from {code} macro parameters
+   * @param {string} params Raw parameter string (e.g. "java" or "title=x|language=js")
+   * @returns {string} Language identifier or empty string
+   */
+  parseCodeLanguage(params) {
+    if (!params) return '';
+    const parsed = this.parseMacroParams(params);
+    if (parsed.language) return parsed.language;
+
+    const bare = params.split('|').find(part => part && !part.includes('='));
+    return bare ? bare.trim().toLowerCase() : '';
+  }
+
+  /**
+   * Build nested list trees from consecutive list lines
+   * @param {Array<Object>} entries List lines with their marker strings and text
+   * @returns {Array<Object>} Top-level list nodes (a new list starts when the marker type changes)
+   */
+  buildLists(entries) {
+    const roots = [];
+    const stack = [];
+
+    for (const { markers, text } of entries) {
+      const depth = markers === '-' ? 1 : markers.length;
+      const ordered = markers.endsWith('#');
+
+      while (stack.length > depth) {
+        stack.pop();
+      }
+
+      // Switching between * and # at the same depth starts a sibling list
+      if (stack.length === depth && stack[depth - 1].ordered !== ordered) {
+        stack.pop();
+      }
+
+      while (stack.length < depth) {
+        const level = stack.length;
+        const list = { type: 'list', ordered: level === depth - 1 ? ordered : markers[level] === '#', items: [] };
+
+        if (level === 0) {
+          roots.push(list);
+        } else {
+          const parent = stack[level - 1];
+          if (parent.items.length === 0) {
+            parent.items.push({ children: [], lists: [] });
+          }
+          parent.items[parent.items.length - 1].lists.push(list);
+        }
+        stack.push(list);
+      }
+
+      stack[depth - 1].items.push({ children: this.parseInline(text), lists: [] });
+    }
+
+    return roots;
+  }
+
+  /**
+   * Split a table row into header and data cells
+   * @param {string} line Table row markup
+   * @returns {Array<Object>} Cells with header flag and inline children
+   */
+  parseTableRow(line) {
+    const cells = [];
+    let current = null;
+    let i = 0;
+
+    const pushCurrent = () => {
+      if (current) {
+        cells.push({ header: current.header, children: this.parseInline(current.text.trim()) });
+      }
+    };
+
+    while (i < line.length) {
+      if (line.startsWith('||', i)) {
+        pushCurrent();
+        current = { header: true, text: '' };
+        i += 2;
+        continue;
+      }
+
+      if (line[i] === '|') {
+        pushCurrent();
+        current = { header: false, text: '' };
+        i++;
+        continue;
+      }
+
+      // Pipes inside links and monospace don't split cells
+      const closer = line[i] === '[' ? ']' : line.startsWith('{{', i) ? '}}' : null;
+      const end = closer ? line.indexOf(closer, i + 1) : -1;
+      const chunk = end !== -1 ? line.slice(i, end + closer.length) : line[i];
+
+      if (current) {
+        current.text += chunk;
+      }
+      i += chunk.length;
+    }
+
+    // A trailing separator opens an empty cell that isn't really there
+    if (current && current.text.trim()) {
+      pushCurrent();
+    }
+
+    return cells;
+  }
+
+  /**
+   * Parse inline wiki markup
+   * @param {string} text Inline text (may contain line breaks)
+   * @returns {Array<Object>} Inline nodes
+   */
+  parseInline(text) {
+    const nodes = [];
+    let buffer = '';
+    let i = 0;
+
+    const flush = () => {
+      if (buffer) {
+        nodes.push({ type: 'text', text: buffer });
+        buffer = '';
+      }
+    };
+
+    while (i < text.length) {
+      const char = text[i];
+      const rest = text.slice(i);
+
+      // Escapes and forced line breaks
+      if (char === '\\') {
+        if (text[i + 1] === '\\') {
+          flush();
+          nodes.push({ type: 'break' });
+          i += 2;
+          continue;
+        }
+        if (text[i + 1] && /[*_\-+^~?{}[\]!|#\\()]/.test(text[i + 1])) {
+          buffer += text[i + 1];
+          i += 2;
+          continue;
+        }
+      }
+
+      // Monospace is literal: nothing inside it is markup
+      if (rest.startsWith('{{')) {
+        const end = text.indexOf('}}', i + 2);
+        if (end > i + 2) {
+          flush();
+          nodes.push({ type: 'code', text: text.slice(i + 2, end) });
+          i = end + 2;
+          continue;
+        }
+      }
+
+      if (char === '{') {
+        const inlinePre = rest.match(/^\{(code|noformat)(?::[^}]*)?\}([\s\S]*?)\{\1\}/);
+        if (inlinePre) {
+          flush();
+          nodes.push({ type: 'code', text: inlinePre[2] });
+          i += inlinePre[0].length;
+          continue;
+        }
+
+        // Colors and anchors have no GitHub equivalent; keep only their content
+        const ignored = rest.match(/^\{(color|anchor)(?::[^}]*)?\}/);
+        if (ignored) {
+          i += ignored[0].length;
+          continue;
+        }
+      }
+
+      if (char === '[') {
+        const end = text.indexOf(']', i + 1);
+        const inner = end !== -1 ? text.slice(i + 1, end) : '';
+        const link = inner && !inner.includes('\n') ? this.parseLink(inner) : null;
+        if (link) {
+          flush();
+          nodes.push(link);
+          i = end + 1;
+          continue;
+        }
+      }
+
+      if (char === '!') {
+        const image = rest.match(IMAGE);
+        if (image && this.isImageSource(image[1])) {
+          flush();
+          nodes.push({
+            type: 'image',
+            source: image[1].trim(),
+            params: this.parseMacroParams(image[2])
+          });
+          i += image[0].length;
+          continue;
+        }
+      }
+
+      const emoticon = isSpace(text[i - 1])
+        ? EMOTICONS.find(([code]) => rest.startsWith(code))
+        : null;
+      if (emoticon) {
+        buffer += emoticon[1];
+        i += emoticon[0].length;
+        continue;
+      }
+
+      // Typographic dashes only when standing alone between spaces
+      const dash = rest.match(/^-{2,3}(?=\s)/);
+      if (dash && isSpace(text[i - 1]) && i > 0) {
+        buffer += dash[0].length === 3 ? '—' : '–';
+        i += dash[0].length;
+        continue;
+      }
+
+      const marker = rest.startsWith('??') ? '??' : EMPHASIS_MARKERS[char] ? char : null;
+      if (marker) {
+        const emphasis = this.parseEmphasis(text, i, marker);
+        if (emphasis) {
+          flush();
+          nodes.push(emphasis.node);
+          i = emphasis.end;
+          continue;
+        }
+      }
+
+      buffer += char;
+      i++;
+    }
+
+    flush();
+    return nodes;
+  }
+
+  /**
+   * Try to parse an emphasis span opening at the given position
+   * @param {string} text Inline text
+   * @param {number} start Position of the opening marker
+   * @param {string} marker Emphasis marker
+   * @returns {Object|null} Parsed node and end position, or null if not emphasis
+   */
+  parseEmphasis(text, start, marker) {
+    const width = marker.length;
+    const before = text[start - 1];
+    const first = text[start + width];
+    const intraword = INTRAWORD_MARKERS.has(marker);
+
+    if ((!intraword && isWordChar(before)) || before === marker[0]) return null;
+    if (isSpace(first) || first === marker[0]) return null;
+
+    let j = start + width + 1;
+    while (j < text.length && text[j] !== '\n') {
+      // Markers inside monospace don't close the span
+      if (text.startsWith('{{', j)) {
+        const codeEnd = text.indexOf('}}', j + 2);
+        if (codeEnd !== -1) {
+          j = codeEnd + 2;
+          continue;
+        }
+      }
+
+      if (
+        text.startsWith(marker, j) &&
+        !isSpace(text[j - 1]) &&
+        (intraword || !isWordChar(text[j + width]))
+      ) {
+        const inner = text.slice(start + width, j);
+        return {
+          node: { type: EMPHASIS_MARKERS[marker], children: this.parseInline(inner) },
+          end: j + width
+        };
+      }
+      j++;
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse the inside of a [...] link
+   * @param {string} inner Text between the brackets
+   * @returns {Object|null} Link, mention or attachment node, or null if not a link
+   */
+  parseLink(inner) {
+    const separator = inner.indexOf('|');
+    const alias = separator !== -1 ? inner.slice(0, separator) : null;
+    const target = (separator !== -1 ? inner.slice(separator + 1).split('|')[0] : inner).trim();
+    const children = alias !== null ? this.parseInline(alias) : null;
+
+    if (target.startsWith('~')) {
+      return { type: 'mention', user: target.slice(1).replace(/^accountid:/i, ''), children };
+    }
+
+    if (target.startsWith('^')) {
+      return { type: 'attachment', filename: target.slice(1), children };
+    }
+
+    if (/^(https?|ftp|file|mailto):/i.test(target) || /^www\./i.test(target)) {
+      const href = /^www\./i.test(target) ? `https://${target}` : target;
+      return { type: 'link', href, children };
+    }
+
+    // Anchors and Confluence page links have nowhere to point on GitHub
+    if (children) {
+      return { type: 'span', children };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether the inside of !...! names an image rather than punctuation
+   * @param {string} source Candidate image source
+   * @returns {boolean} True if the source is a file name or URL
+   */
+  isImageSource(source) {
+    return /^https?:\/\//i.test(source) || /\.[A-Za-z0-9]{2,5}$/.test(source.trim());
+  }
+}
+
+/**
+ * Renders a parsed wiki markup tree to GitHub-flavored Markdown
+ */
+export class WikiMarkupRenderer {
+  constructor() {
+    this.context = {};
+  }
+
+  /**
+   * Render a parsed document
+   * @param {Object} document Document node from WikiMarkupParser
+   * @param {Object} context Render context
+   * @param {Function} context.resolveMedia Resolves an attachment reference to an attachment
+   * @param {Function} context.resolveMention Resolves a Jira user to a GitHub login
+   * @returns {string} Markdown content
+   */
+  render(document, context = {}) {
+    this.context = context;
+    return this.renderBlocks(document?.children || []).trim();
+  }
+
+  /**
+   * Render block nodes separated by blank lines
+   * @param {Array<Object>} blocks Block nodes
+   * @returns {string} Markdown content
+   */
+  renderBlocks(blocks) {
+    return blocks
+      .map(block => this.renderBlock(block))
+      .filter(rendered => rendered && rendered.trim() !== '')
+      .join('\n\n');
+  }
+
+  /**
+   * Render a single block node
+   * @param {Object} block Block node
+   * @returns {string} Markdown content
+   */
+  renderBlock(block) {
+    switch (block.type) {
+    case 'heading': {
+      const text = this.renderInline(block.children).replace(/\n/g, ' ');
+      return text ? `${'#'.repeat(block.level)} ${text}` : '';
+    }
+
+    case 'paragraph':
+      return this.renderInline(block.children);
+
+    case 'code':
+      return markdownUtils.codeFence(block.text, block.language);
+
+    case 'quote':
+      return markdownUtils.blockquote(this.renderBlocks(block.children));
+
+    case 'panel': {
+      const body = this.renderBlocks(block.children);
+      const title = block.title ? `**${markdownUtils.escapeText(block.title)}**\n\n` : '';
+      return markdownUtils.blockquote(`${title}${body}`);
+    }
+
+    case 'list':
+      return this.renderList(block);
+
+    case 'table': {
+      const rows = block.rows.map(row => row.map(cell => this.renderInline(cell.children)));
+      const hasHeader = block.rows[0]?.length > 0 && block.rows[0].every(cell => cell.header);
+      return markdownUtils.table(rows, hasHeader);
+    }
+
+    case 'rule':
+      return '---';
+
+    default:
+      return '';
+    }
+  }
+
+  /**
+   * Render a (possibly nested) list
+   * @param {Object} list List node
+   * @returns {string} Markdown content
+   */
+  renderList(list) {
+    return list.items
+      .map((item, index) => {
+        const marker = list.ordered ? `${index + 1}. ` : '- ';
+        const parts = [this.renderInline(item.children), ...item.lists.map(nested => this.renderList(nested))];
+        return `${marker}${markdownUtils.indentContinuation(parts.join('\n'), marker.length)}`;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Render inline nodes
+   * @param {Array<Object>} nodes Inline nodes
+   * @returns {string} Markdown content
+   */
+  renderInline(nodes = []) {
+    return nodes.map(node => this.renderInlineNode(node)).join('');
+  }
+
+  /**
+   * Render a single inline node
+   * @param {Object} node Inline node
+   * @returns {string} Markdown content
+   */
+  renderInlineNode(node) {
+    switch (node.type) {
+    case 'text':
+      return markdownUtils.escapeText(node.text);
+
+    case 'break':
+      // A plain newline would join the lines into one paragraph
+      return '<br>';
+
+    case 'strong':
+      return `**${this.renderInline(node.children)}**`;
+
+    case 'em':
+      return `_${this.renderInline(node.children)}_`;
+
+    case 'strike':
+      return `~~${this.renderInline(node.children)}~~`;
+
+    case 'underline':
+      return `<ins>${this.renderInline(node.children)}</ins>`;
+
+    case 'sup':
+      return `<sup>${this.renderInline(node.children)}</sup>`;
+
+    case 'sub':
+      return `<sub>${this.renderInline(node.children)}</sub>`;
+
+    case 'cite':
+      return `— _${this.renderInline(node.children)}_`;
+
+    case 'code':
+      return markdownUtils.codeSpan(node.text);
+
+    case 'span':
+      return this.renderInline(node.children);
+
+    case 'link': {
+      const label = node.children
+        ? this.renderInline(node.children)
+        : markdownUtils.escapeText(node.href.replace(/^mailto:/i, ''));
+      return markdownUtils.link(label, node.href);
+    }
+
+    case 'mention': {
+      // [~accountid:...] on Cloud, [~username] on Server
+      const login = this.context.resolveMention?.({ accountId: node.user, name: node.user });
+      if (login) {
+        return `@${login}`;
+      }
+      // Keep unmapped mentions inert so they can't notify an unrelated GitHub user
+      const label = node.children ? this.renderInline(node.children) : node.user;
+      return markdownUtils.codeSpan(`@${label}`);
+    }
+
+    case 'attachment': {
+      const attachment = this.context.resolveMedia?.({ filename: node.filename });
+      const label = node.children
+        ? this.renderInline(node.children)
+        : markdownUtils.escapeText(node.filename);
+      return attachment
+        ? markdownUtils.link(label, attachment.url)
+        : markdownUtils.escapeText(`[${node.filename}]`);
+    }
+
+    case 'image': {
+      const alt = node.params.alt || node.source;
+      if (/^https?:\/\//i.test(node.source)) {
+        return markdownUtils.image(node.params.alt || '', node.source);
+      }
+      const attachment = this.context.resolveMedia?.({ filename: node.source });
+      return attachment
+        ? markdownUtils.image(alt, attachment.url)
+        : markdownUtils.escapeText(`[${node.source}]`);
+    }
+
+    default:
+      return '';
+    }
+  }
+}
@@ -0,0 +1,103 @@
+import { readdirSync, readFileSync } from 'fs';
+import { AdfRenderer } from '../src/adfRenderer.js';
+import { MarkdownConverter } from '../src/utils.js';
+
+const fixturesDir = new URL('./fixtures/adf/', import.meta.url);
+const fixtures = readdirSync(fixturesDir)
+  .filter(file => file.endsWith('.json'))
+  .map(file => ({ file, ...JSON.parse(readFileSync(new URL(file, fixturesDir), 'utf8')) }));
+
+describe('AdfRenderer fixtures', () => {
+  const renderer = new AdfRenderer();
+
+  test.each(fixtures)('$file: $description', ({ adf, markdown }) => {
+    expect(renderer.render(adf)).toBe(markdown);
+  });
+});
+
+describe('AdfRenderer', () => {
+  let renderer;
+
+  beforeEach(() => {
+    renderer = new AdfRenderer();
+  });
+
+  test('should return empty string for missing content', () => {
+    expect(renderer.render(null)).toBe('');
+    expect(renderer.render({ type: 'doc', content: [] })).toBe('');
+  });
+
+  test('should render unknown block nodes by descending into their content', () => {
+    const doc = {
+      type: 'doc',
+      content: [
+        {
+          type: 'someFutureBlock',
+          content: [{ type: 'paragraph', content: [{ type: 'text', text: 'still here' }] }]
+        }
+      ]
+    };
+
+    expect(renderer.render(doc)).toBe('still here');
+  });
+
+  test('should keep whitespace outside of emphasis delimiters', () => {
+    const doc = {
+      type: 'doc',
+      content: [
+        {
+          type: 'paragraph',
+          content: [
+            { type: 'text', text: 'a' },
+            { type: 'text', text: ' bold ', marks: [{ type: 'strong' }] },
+            { type: 'text', text: 'b' }
+          ]
+        }
+      ]
+    };
+
+    expect(renderer.render(doc)).toBe('a **bold** b');
+  });
+});
+
+describe('MarkdownConverter with ADF content', () => {
+  test('should route ADF documents through the ADF renderer', () => {
+    const converter = new MarkdownConverter();
+    const doc = {
+      type: 'doc',
+      content: [
+        {
+          type: 'paragraph',
+          content: [{ type: 'text', text: 'Hello', marks: [{ type: 'strong' }] }]
+        }
+      ]
+    };
+
+    expect(converter.toMarkdown(doc)).toBe('**Hello**');
+  });
+
+  test('should find the attachment of a media node without alt text in the rendered HTML', () => {
+    const converter = new MarkdownConverter();
+    const doc = {
+      type: 'doc',
+      content: [
+        {
+          type: 'mediaSingle',
+          content: [{ type: 'media', attrs: { id: '2c8f5a1e-uuid', type: 'file', collection: '' } }]
+        }
+      ]
+    };
+    const rendered =
+      '<p><span class="image-wrap"><img src="/rest/api/3/attachment/content/10001" ' +
+      'data-attachment-name="error &amp; stack.png" data-media-services-id="2c8f5a1e-uuid"></span></p>';
+    const attachments = [
+      { id: '10000', filename: 'other.png', url: 'https://example.com/other.png' },
+      { id: '10001', filename: 'error & stack.png', url: 'https://example.com/error.png' }
+    ];
+
+    expect(converter.toMarkdown(doc, { attachments, rendered })).toBe(
+      '![error & stack.png](https://example.com/error.png)'
+    );
+    expect(converter.toMarkdown(doc, { attachments })).toBe('\\[attachment\\]');
+  });
+});
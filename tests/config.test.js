@@ -0,0 +1,87 @@
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadConfig, validateConfig } from '../src/config.js';
+import { buildConfig, askQuestions } from '../src/init.js';
+
+describe('Configuration', () => {
+  const complete = {
+    jira: { url: 'https://x.atlassian.net', email: 'a@b.c', apiToken: 'token' },
+    github: { token: 'ghp', repo: 'owner/repo' }
+  };
+
+  test('should load a config file and apply CLI overrides', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'gitporter-config-'));
+    const file = path.join(dir, 'config.json');
+    await writeFile(file, JSON.stringify({ ...complete, migration: { batchSize: 5 } }));
+
+    try {
+      const config = await loadConfig({ config: file, jql: 'project = X', batchSize: '20', dryRun: true });
+
+      expect(config.jira.jql).toBe('project = X');
+      expect(config.migration).toMatchObject({ batchSize: 20, dryRun: true });
+      expect(config.openai).toEqual({});
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should only validate the sections a command needs', () => {
+    const githubOnly = { jira: {}, github: complete.github };
+
+    expect(() => validateConfig(complete)).not.toThrow();
+    expect(() => validateConfig(githubOnly, ['github'])).not.toThrow();
+    expect(() => validateConfig(githubOnly)).toThrow(/jira\.url[\s\S]*jira\.apiToken/);
+    expect(() =>
+      validateConfig({ ...complete, jira: { url: 'https://jira.example.com', apiToken: 'pat', deployment: 'server' } })
+    ).not.toThrow();
+    expect(() => validateConfig({ ...complete, jira: { ...complete.jira, deployment: 'datacenter' } })).toThrow(
+      'jira.deployment'
+    );
+    expect(() => validateConfig({ github: { token: 't', repo: 'repo' } }, ['github'])).toThrow(
+      'owner/repo'
+    );
+    expect(() => validateConfig({ ...complete, project: { number: '3' } })).toThrow('project.number');
+    expect(() => validateConfig({ ...complete, fieldMapping: { Team: 'label' } })).toThrow('fieldMapping');
+    expect(() =>
+      validateConfig({ ...complete, migration: { labelRules: { rules: [{ match: { priority: 'High' } }] } } })
+    ).toThrow('labelRules.rules');
+    expect(() => validateConfig({ ...complete, migration: { backend: 'graphql' } })).toThrow('migration.backend');
+    expect(() => validateConfig({ ...complete, migration: { concurrency: 0 } })).toThrow('migration.concurrency');
+    expect(() =>
+      validateConfig({ ...complete, github: { ...complete.github, retry: { maxRetries: -1 } } })
+    ).toThrow('github.retry.maxRetries');
+  });
+});
+
+describe('init', () => {
+  test('should build a valid config from answers, using defaults for empty ones', async () => {
+    const replies = ['', 'https://x.atlassian.net', 'a@b.c', 'token', '', 'owner/repo', 'ghp', '', ''];
+    const answers = await askQuestions(async () => replies.shift());
+    const config = buildConfig(answers);
+
+    expect(() => validateConfig(config)).not.toThrow();
+    expect(config.jira.jql).toContain('ORDER BY created');
+    expect(config.migration.attachmentStrategy).toBe('link');
+    expect(config.migration.includeSummary).toBe(false);
+    expect(config.openai).toBeUndefined();
+    expect(config.jira).toMatchObject({ email: 'a@b.c', apiToken: 'token' });
+    expect(config.jira.deployment).toBeUndefined();
+  });
+
+  test('should skip the email and ask for a PAT for Jira Server', async () => {
+    const replies = ['Server', 'https://jira.example.com', 'pat', '', 'owner/repo', 'ghp', '', ''];
+    const prompts = [];
+    const answers = await askQuestions(async prompt => {
+      prompts.push(prompt);
+      return replies.shift();
+    });
+    const config = buildConfig(answers);
+
+    expect(prompts.some(prompt => prompt.includes('email'))).toBe(false);
+    expect(prompts[2]).toBe('Jira personal access token (PAT): ');
+    expect(config.jira).toMatchObject({ url: 'https://jira.example.com', deployment: 'server', apiToken: 'pat' });
+    expect(config.jira.email).toBeUndefined();
+    expect(() => validateConfig(config)).not.toThrow();
+  });
+});
@@ -0,0 +1,99 @@
+import { jest } from '@jest/globals';
+import { FieldMapper, formatFieldValue, getPlainValues } from '../src/fieldMapper.js';
+
+const fields = [
+  { id: 'summary', name: 'Summary', schema: { type: 'string' } },
+  { id: 'customfield_10100', name: 'Acceptance Criteria', schema: { type: 'string' } },
+  { id: 'customfield_10101', name: 'Team', schema: { type: 'option' } },
+  { id: 'customfield_10102', name: 'Team', schema: { type: 'option' } },
+  { id: 'customfield_10103', name: 'Components Affected', schema: { type: 'array', items: 'option' } },
+  { id: 'customfield_10104', name: 'Target Release', schema: { type: 'version' } },
+  { id: 'customfield_10105', name: 'Estimate', schema: { type: 'number' } }
+];
+
+const createMapper = mappings => {
+  const jiraClient = { getFields: jest.fn().mockResolvedValue(fields) };
+  return { jiraClient, mapper: new FieldMapper(jiraClient, mappings) };
+};
+
+const formatters = {
+  formatUser: user => `@${user.displayName.toLowerCase()}`,
+  formatDate: date => `on ${date}`,
+  toMarkdown: content => `md(${typeof content === 'string' ? content : content.type})`
+};
+
+describe('Field Mapping', () => {
+  test('should resolve fields by display name or id', async () => {
+    const { jiraClient, mapper } = createMapper([
+      { field: 'acceptance criteria', target: 'section' },
+      { field: 'customfield_10102', target: 'label' },
+      { field: 'Missing', target: 'metadata' },
+      { field: 'Summary', target: 'nowhere' }
+    ]);
+
+    await mapper.load();
+    await mapper.load();
+
+    expect(jiraClient.getFields).toHaveBeenCalledTimes(1);
+    expect(mapper.getFieldIds()).toEqual(['customfield_10100', 'customfield_10102']);
+    expect(mapper.resolved[0]).toMatchObject({ name: 'Acceptance Criteria', target: 'section' });
+  });
+
+  test('should use the first field when several share a name', async () => {
+    const { mapper } = createMapper([{ field: 'Team', target: 'label' }]);
+
+    await mapper.load();
+
+    expect(mapper.getFieldIds()).toEqual(['customfield_10101']);
+  });
+
+  test('should derive labels, milestones and project values from field values', async () => {
+    const { mapper } = createMapper([
+      { field: 'Team', target: 'label' },
+      { field: 'Components Affected', target: 'label', prefix: '' },
+      { field: 'Target Release', target: 'milestone' },
+      { field: 'Estimate', target: 'project', projectField: 'Points' }
+    ]);
+    await mapper.load();
+    const issue = {
+      key: 'APP-1',
+      fields: {
+        customfield_10101: { value: 'Platform Core' },
+        customfield_10103: [{ value: 'API' }, { value: 'Web UI' }],
+        customfield_10104: { name: '2.0' },
+        customfield_10105: 3
+      }
+    };
+
+    expect(mapper.getLabels(issue)).toEqual(['team:platform-core', 'api', 'web-ui']);
+    expect(mapper.getMilestoneTitle(issue)).toBe('2.0');
+    expect(mapper.getProjectValues(issue)).toEqual({ Points: 3 });
+    expect(mapper.getMilestoneTitle({ key: 'APP-2', fields: {} })).toBeNull();
+  });
+
+  test('should format values according to the field schema', () => {
+    expect(formatFieldValue({ displayName: 'Ada' }, { type: 'user' }, formatters)).toBe('@ada');
+    expect(formatFieldValue('2024-01-02T10:00:00.000+0000', { type: 'datetime' }, formatters)).toBe(
+      'on 2024-01-02T10:00:00.000+0000'
+    );
+    expect(formatFieldValue('2024-01-02', { type: 'date' }, formatters)).toBe('2024-01-02');
+    expect(formatFieldValue(0, { type: 'number' }, formatters)).toBe('0');
+    expect(
+      formatFieldValue([{ displayName: 'Ada' }, { displayName: 'Grace' }], { type: 'array', items: 'user' }, formatters)
+    ).toBe('@ada, @grace');
+    expect(
+      formatFieldValue({ value: 'Hardware', child: { value: 'Laptop' } }, { type: 'option-with-child' }, formatters)
+    ).toBe('Hardware / Laptop');
+    expect(formatFieldValue({ type: 'doc', content: [] }, { type: 'any' }, formatters)).toBe('md(doc)');
+    expect(
+      formatFieldValue('*bold*', { type: 'string', custom: 'com.atlassian.jira.plugin.system.customfieldtypes:textarea' }, formatters)
+    ).toBe('md(*bold*)');
+    expect(formatFieldValue('plain', { type: 'string' }, formatters)).toBe('plain');
+    expect(formatFieldValue([], { type: 'array' }, formatters)).toBe('');
+  });
+
+  test('should read plain values of options and named objects', () => {
+    expect(getPlainValues(null)).toEqual([]);
+    expect(getPlainValues([{ name: '1.0' }, 'x', { id: '1' }])).toEqual(['1.0', 'x']);
+  });
+});
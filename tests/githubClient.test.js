@@ -0,0 +1,171 @@
+import { jest } from '@jest/globals';
+import { GitHubClient } from '../src/githubClient.js';
+import { Scheduler } from '../src/scheduler.js';
+import { RateLimiter } from '../src/utils.js';
+
+const createClient = responses => {
+  const client = new GitHubClient({ token: 'test-token', repo: 'owner/repo' });
+  client.octokit.request = jest.fn();
+  for (const data of responses) {
+    client.octokit.request.mockResolvedValueOnce({ data });
+  }
+  client.getIssue = jest.fn(async number => ({ number, id: 500 + number, html_url: `https://github.com/owner/repo/issues/${number}` }));
+  return client;
+};
+
+const imported = number => ({ id: 9, status: 'imported', issue_url: `https://api.github.com/repos/owner/repo/issues/${number}` });
+
+describe('Issue Import', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should import the issue with its timestamps and comments and wait for it', async () => {
+    const client = createClient([{ id: 9, status: 'pending', url: 'https://api.github.com/import/9' }, { id: 9, status: 'pending' }, imported(42)]);
+
+    const issue = await client.importIssue(
+      {
+        title: '[APP-1] Crash',
+        body: 'Body',
+        labels: ['bug'],
+        state: 'closed',
+        milestone: 3,
+        createdAt: '2023-10-01T12:00:00.000+0200',
+        updatedAt: '2023-10-03T10:00:00.000+0000',
+        closedAt: '2023-10-02T10:00:00.000+0000'
+      },
+      [{ body: 'First', createdAt: '2023-10-01T11:00:00.000+0000' }],
+      { interval: 0 }
+    );
+
+    expect(issue).toMatchObject({ number: 42, id: 542 });
+    expect(client.octokit.request).toHaveBeenCalledTimes(3);
+    const [route, payload] = client.octokit.request.mock.calls[0];
+    expect(route).toBe('POST /repos/{owner}/{repo}/import/issues');
+    expect(payload.issue).toEqual({
+      title: '[APP-1] Crash',
+      body: 'Body',
+      labels: ['bug'],
+      closed: true,
+      milestone: 3,
+      created_at: '2023-10-01T10:00:00Z',
+      updated_at: '2023-10-03T10:00:00Z',
+      closed_at: '2023-10-02T10:00:00Z'
+    });
+    expect(payload.comments).toEqual([{ body: 'First', created_at: '2023-10-01T11:00:00Z' }]);
+    expect(client.octokit.request.mock.calls[1][0]).toBe('GET /repos/{owner}/{repo}/import/issues/{id}');
+  });
+
+  test('should wait for an import submitted by an earlier run instead of submitting it again', async () => {
+    const client = createClient([imported(42)]);
+    const onSubmit = jest.fn();
+
+    await expect(
+      client.importIssue({ title: 'A', body: '' }, [], { interval: 0, pending: { id: 9 }, onSubmit })
+    ).resolves.toMatchObject({ number: 42 });
+    expect(client.octokit.request).toHaveBeenCalledTimes(1);
+    expect(client.octokit.request.mock.calls[0][0]).toBe('GET /repos/{owner}/{repo}/import/issues/{id}');
+    expect(onSubmit).not.toHaveBeenCalled();
+
+    // A failed earlier import is submitted again, and the new import reported before waiting
+    const retried = createClient([{ id: 9, status: 'failed', errors: [] }, { id: 12, status: 'pending' }, imported(43)]);
+    await expect(
+      retried.importIssue({ title: 'B', body: '' }, [], { interval: 0, pending: { id: 9 }, onSubmit })
+    ).resolves.toMatchObject({ number: 43 });
+    expect(onSubmit).toHaveBeenCalledWith({ id: 12, status: 'pending' });
+    expect(retried.octokit.request.mock.calls[1][0]).toBe('POST /repos/{owner}/{repo}/import/issues');
+  });
+
+  test('should drop an unassignable assignee and report failed imports', async () => {
+    const unassignable = { id: 9, status: 'failed', errors: [{ field: 'assignee', code: 'invalid' }] };
+    const client = createClient([unassignable, imported(7)]);
+
+    await expect(client.importIssue({ title: 'A', body: '', assignee: 'ghost' }, [], { interval: 0 })).resolves.toMatchObject({
+      number: 7
+    });
+    expect(client.octokit.request.mock.calls[1][1].issue.assignee).toBeUndefined();
+
+    const failing = createClient([{ id: 10, status: 'failed', errors: [{ field: 'milestone', code: 'invalid' }] }]);
+    await expect(failing.importIssue({ title: 'B', body: '' }, [], { interval: 0 })).rejects.toThrow(
+      'Import of "B" failed (milestone: invalid)'
+    );
+
+    const stuck = createClient([{ id: 11, status: 'pending', url: 'https://api.github.com/import/11' }]);
+    await expect(stuck.importIssue({ title: 'C', body: '' }, [], { interval: 0, timeout: 0 })).rejects.toThrow(
+      'Issue import 11 still pending'
+    );
+  });
+});
+
+describe('Release Assets', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should report a release created by an attempt that was retried', async () => {
+    const client = new GitHubClient({ token: 'test-token', repo: 'owner/repo' });
+    client.rateLimiter = new RateLimiter(3, 0, { jitter: false, sleep: async () => {} });
+    const notFound = Object.assign(new Error('Not Found'), { status: 404 });
+    const timeout = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    client.octokit.rest.repos.getReleaseByTag = jest
+      .fn()
+      .mockRejectedValueOnce(notFound)
+      .mockResolvedValueOnce({ data: { id: 5 } });
+    client.octokit.rest.repos.createRelease = jest.fn().mockResolvedValue({ data: { id: 5 } });
+    client.octokit.rest.repos.uploadReleaseAsset = jest
+      .fn()
+      .mockRejectedValueOnce(timeout)
+      .mockResolvedValueOnce({ data: { id: 50, browser_download_url: 'https://github.com/a.png' } });
+
+    const asset = await client.uploadReleaseAsset('attachments-app-1', Buffer.from('png'), 'a.png');
+
+    expect(client.octokit.rest.repos.createRelease).toHaveBeenCalledTimes(1);
+    expect(asset).toMatchObject({ id: 50, release_id: 5, release_created: true });
+  });
+});
+
+describe('Rate Limits', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should report rate limit headers and secondary limits to the scheduler', async () => {
+    const client = new GitHubClient({ token: 'test-token', repo: 'owner/repo' });
+    client.scheduler = new Scheduler();
+    const respond = (status, data, headers) => async () =>
+      new Response(JSON.stringify(data), { status, headers: { 'content-type': 'application/json', ...headers } });
+
+    await client.octokit.request('GET /search/issues', {
+      q: 'APP-1',
+      request: { fetch: respond(200, { items: [] }, { 'x-ratelimit-remaining': '29', 'x-ratelimit-reset': '1700000000' }) }
+    });
+    await expect(
+      client.octokit.request('POST /repos/{owner}/{repo}/issues', {
+        owner: 'owner',
+        repo: 'repo',
+        title: 'A',
+        request: {
+          fetch: respond(403, { message: 'You have exceeded a secondary rate limit' }, { 'retry-after': '90' })
+        }
+      })
+    ).rejects.toThrow('secondary rate limit');
+
+    expect(client.scheduler.getService('github:search')).toMatchObject({ remaining: 29, resetAt: 1700000000000 });
+    const core = client.scheduler.getService('github:core');
+    expect(core.pausedUntil - Date.now()).toBeGreaterThan(85000);
+    expect(core.remaining).toBeNull();
+  });
+});
@@ -0,0 +1,50 @@
+import { getParentKey, groupByDepth, upsertSubIssueList } from '../src/hierarchy.js';
+import { markdownUtils } from '../src/markdownUtils.js';
+
+const issue = (key, fields = {}) => ({ key, fields });
+
+describe('Issue hierarchy', () => {
+  test('should read the parent from `parent` or a legacy epic link field', () => {
+    expect(getParentKey(issue('A-2', { parent: { key: 'A-1' } }))).toBe('A-1');
+    expect(getParentKey(issue('A-3', { customfield_10014: 'A-1' }), 'customfield_10014')).toBe('A-1');
+    expect(getParentKey(issue('A-4'))).toBeNull();
+  });
+
+  test('should group issues by depth, keeping order within a level', () => {
+    const levels = groupByDepth([
+      issue('A-4', { parent: { key: 'A-2' } }),
+      issue('A-2', { parent: { key: 'A-1' } }),
+      issue('A-3', { parent: { key: 'OUTSIDE-1' } }),
+      issue('A-1'),
+      issue('A-5', { parent: { key: 'A-1' } })
+    ]);
+
+    expect(levels.map(level => level.map(item => item.key))).toEqual([
+      ['A-3', 'A-1'],
+      ['A-2', 'A-5'],
+      ['A-4']
+    ]);
+  });
+
+  test('should survive parent cycles', () => {
+    const levels = groupByDepth([
+      issue('A-1', { parent: { key: 'A-2' } }),
+      issue('A-2', { parent: { key: 'A-1' } })
+    ]);
+
+    expect(levels.flat()).toHaveLength(2);
+  });
+
+  test('should replace the sub-issue checklist instead of appending another', () => {
+    const once = upsertSubIssueList('Body', [{ githubNumber: 2, closed: false }]);
+    const twice = upsertSubIssueList(once, [
+      { githubNumber: 2, closed: false },
+      { githubNumber: 3, closed: true }
+    ]);
+
+    expect(twice).toBe(
+      'Body\n\n<!-- gitporter:sub-issues:start -->\n## Sub-issues\n\n- [ ] #2\n- [x] #3\n<!-- gitporter:sub-issues:end -->\n'
+    );
+    expect(markdownUtils.upsertSection(twice, 'sub-issues', '')).toBe('Body\n');
+  });
+});
@@ -0,0 +1,54 @@
+import { collectHistory, formatHistory } from '../src/history.js';
+
+const histories = [
+  {
+    created: '2024-01-03T10:00:00.000+0000',
+    author: { displayName: 'Bob' },
+    items: [
+      { field: 'resolution', fromString: null, toString: 'Done' },
+      { field: 'status', fromString: 'In Progress', toString: 'Done' }
+    ]
+  },
+  {
+    created: '2024-01-02T10:00:00.000+0000',
+    author: { displayName: 'Alice' },
+    items: [
+      { field: 'assignee', fromString: null, toString: 'Bob' },
+      { field: 'description', fromString: 'a', toString: 'b' },
+      { field: 'priority', fromString: 'Low' }
+    ]
+  }
+];
+
+describe('Jira history', () => {
+  test('should keep tracked fields, oldest first', () => {
+    expect(collectHistory(histories).map(change => [change.field, change.from, change.to])).toEqual([
+      ['assignee', null, 'Bob'],
+      ['priority', 'Low', null],
+      ['resolution', null, 'Done'],
+      ['status', 'In Progress', 'Done']
+    ]);
+  });
+
+  test('should render a collapsed timeline table', () => {
+    const markdown = formatHistory(collectHistory(histories).slice(0, 2), {
+      formatUser: user => user.displayName,
+      formatDate: date => date.slice(0, 10)
+    });
+
+    expect(markdown).toBe(
+      [
+        '<details>',
+        '<summary>History (2 changes in Jira)</summary>',
+        '',
+        '| Date | Author | Field | Change |',
+        '| --- | --- | --- | --- |',
+        '| 2024-01-02 | Alice | Assignee | *none* → Bob |',
+        '| 2024-01-02 | Alice | Priority | Low → *none* |',
+        '',
+        '</details>'
+      ].join('\n')
+    );
+    expect(formatHistory([], { formatUser: String, formatDate: String })).toBe('');
+  });
+});
@@ -0,0 +1,54 @@
+import {
+  collectIssueLinks,
+  getDuplicateOf,
+  getUnresolvedKeys,
+  upsertLinkedIssues
+} from '../src/issueLinks.js';
+
+const blocks = { name: 'Blocks', inward: 'is blocked by', outward: 'blocks' };
+const duplicate = { name: 'Duplicate', inward: 'is duplicated by', outward: 'duplicates' };
+
+const issue = issuelinks => ({ key: 'A-1', fields: { issuelinks } });
+
+describe('Issue links', () => {
+  test('should describe links from the point of view of the issue', () => {
+    const links = collectIssueLinks(
+      issue([
+        { type: blocks, outwardIssue: { key: 'A-2', fields: { summary: 'Second' } } },
+        { type: blocks, inwardIssue: { key: 'A-3' } },
+        { type: blocks }
+      ])
+    );
+
+    expect(links).toEqual([
+      { relation: 'blocks', key: 'A-2', summary: 'Second' },
+      { relation: 'is blocked by', key: 'A-3', summary: '' }
+    ]);
+  });
+
+  test('should only treat the outward side of a Duplicate link as a duplicate', () => {
+    expect(getDuplicateOf(issue([{ type: duplicate, outwardIssue: { key: 'A-2' } }]))).toBe('A-2');
+    expect(getDuplicateOf(issue([{ type: duplicate, inwardIssue: { key: 'A-2' } }]))).toBeNull();
+  });
+
+  test('should reference migrated targets by number and others by Jira URL', () => {
+    const links = [
+      { relation: 'blocks', key: 'A-2', summary: 'Second' },
+      { relation: 'relates to', key: 'A-3', summary: '' },
+      { relation: 'clones', key: 'A-4', summary: '' }
+    ];
+    const mapping = {
+      'A-2': { githubNumber: 7 },
+      'A-4': { githubNumber: 9, deleted: true }
+    };
+
+    expect(getUnresolvedKeys(links, mapping)).toEqual(['A-3', 'A-4']);
+    expect(upsertLinkedIssues('Body', links, mapping, 'https://jira.example.com')).toBe(
+      'Body\n\n<!-- gitporter:linked-issues:start -->\n## Linked Issues\n\n' +
+        '- blocks #7 (A-2) Second\n' +
+        '- relates to [A-3](https://jira.example.com/browse/A-3)\n' +
+        '- clones [A-4](https://jira.example.com/browse/A-4)\n' +
+        '<!-- gitporter:linked-issues:end -->\n'
+    );
+  });
+});
@@ -0,0 +1,108 @@
+import { jest } from '@jest/globals';
+import { JiraClient } from '../src/jiraClient.js';
+
+const issue = key => ({ key, fields: {} });
+
+const createClient = () => {
+  const client = new JiraClient({ url: 'https://test.atlassian.net', email: 'a@b.c', apiToken: 'token' });
+  client.api.post = jest.fn();
+  return client;
+};
+
+const collect = async iterable => {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item.key);
+  }
+  return items;
+};
+
+describe('Issue Search', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should page through /search/jql with nextPageToken', async () => {
+    const client = createClient();
+    client.api.post
+      .mockResolvedValueOnce({ data: { issues: [issue('APP-1'), issue('APP-2')], nextPageToken: 'page-2' } })
+      .mockResolvedValueOnce({ data: { issues: [issue('APP-3')], isLast: true } });
+
+    await expect(collect(client.iterateIssues('project = APP', { batchSize: 2, fields: ['customfield_1'] }))).resolves.toEqual([
+      'APP-1',
+      'APP-2',
+      'APP-3'
+    ]);
+
+    const [[url, first], [, second]] = client.api.post.mock.calls;
+    expect(url).toBe('/rest/api/3/search/jql');
+    expect(first).toMatchObject({ jql: 'project = APP', maxResults: 2, expand: 'renderedFields' });
+    expect(first.fields).toContain('customfield_1');
+    expect(first.nextPageToken).toBeUndefined();
+    expect(second.nextPageToken).toBe('page-2');
+  });
+
+  test('should fall back to the legacy offset search when /search/jql does not exist', async () => {
+    const client = createClient();
+    client.api.post
+      .mockRejectedValueOnce(Object.assign(new Error('Not Found'), { response: { status: 404 } }))
+      .mockResolvedValueOnce({ data: { issues: [issue('APP-1'), issue('APP-2')], startAt: 0, total: 3 } })
+      .mockResolvedValueOnce({ data: { issues: [issue('APP-3')], startAt: 2, total: 3 } });
+
+    await expect(client.getAllIssues('project = APP', { batchSize: 2 })).resolves.toHaveLength(3);
+
+    const calls = client.api.post.mock.calls.map(([url, payload]) => [url, payload.startAt]);
+    expect(calls).toEqual([
+      ['/rest/api/3/search/jql', undefined],
+      ['/rest/api/3/search', 0],
+      ['/rest/api/3/search', 2]
+    ]);
+    expect(client.searchApi).toBe('legacy');
+  });
+});
+
+describe('Jira Server / Data Center', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should use bearer token auth, REST API v2 and Server attachment URLs', async () => {
+    const client = new JiraClient({ url: 'https://jira.example.com/jira/', apiToken: 'pat', deployment: 'server' });
+    client.api.post = jest.fn().mockResolvedValue({
+      data: {
+        startAt: 0,
+        total: 1,
+        issues: [
+          {
+            key: 'OPS-1',
+            fields: {
+              description: 'h1. Wiki markup',
+              attachment: [{ id: '10', filename: 'crash log.txt', content: 'http://jira-internal:8080/secure/attachment/10/crash+log.txt' }]
+            }
+          }
+        ]
+      }
+    });
+    client.api.get = jest.fn().mockResolvedValue({ data: { changelog: { histories: [{ id: '1' }] } } });
+
+    expect(client.api.defaults.auth).toBeUndefined();
+    expect(client.api.defaults.headers.Authorization).toBe('Bearer pat');
+
+    const [issue] = await client.getAllIssues('project = OPS');
+    expect(client.api.post.mock.calls[0][0]).toBe('/rest/api/2/search');
+    expect(issue.fields.attachment[0].content).toBe('https://jira.example.com/jira/secure/attachment/10/crash%20log.txt');
+
+    await expect(client.getChangelog('OPS-1')).resolves.toEqual([{ id: '1' }]);
+    expect(client.api.get).toHaveBeenCalledWith('/rest/api/2/issue/OPS-1', {
+      params: { expand: 'changelog', fields: 'key' }
+    });
+  });
+});
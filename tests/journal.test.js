@@ -0,0 +1,112 @@
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createJournal, createRunId } from '../src/journal.js';
+import { GitHubClient } from '../src/githubClient.js';
+
+const readLines = async file =>
+  (await readFile(file, 'utf8'))
+    .trim()
+    .split('\n')
+    .map(line => JSON.parse(line));
+
+const jsonResponse = (status, data) => async () =>
+  new Response(JSON.stringify(data), {
+    status,
+    headers: { 'content-type': 'application/json' }
+  });
+
+describe('Journal', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'gitporter-journal-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('should create sortable run ids', () => {
+    expect(createRunId()).toMatch(/^\d{8}T\d{6}Z-[0-9a-f]{6}$/);
+  });
+
+  test('should record mutations with the Jira key of the current context', async () => {
+    const journal = createJournal({ journalDir: dir }, 'run-1');
+
+    await journal.withContext({ jiraKey: 'TEST-1' }, async () => {
+      await journal.recordRequest(
+        { method: 'POST', url: '/repos/{owner}/{repo}/issues', title: 'x' },
+        { status: 201, data: { id: 11, number: 7, html_url: 'https://github.com/o/r/issues/7' } }
+      );
+      await journal.recordRequest({ method: 'GET', url: '/repos/{owner}/{repo}/issues' }, {});
+      await journal.recordRequest({ method: 'POST', url: '/graphql', query: 'query { viewer { login } }' });
+    });
+    await journal.recordRequest(
+      { method: 'POST', url: '/repos/{owner}/{repo}/labels', name: 'bug' },
+      null,
+      Object.assign(new Error('Validation Failed'), { status: 422 })
+    );
+
+    const lines = await readLines(journal.filePath);
+    expect(journal.filePath).toBe(path.join(dir, 'run-1.jsonl'));
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({
+      runId: 'run-1',
+      jiraKey: 'TEST-1',
+      operation: 'POST /repos/{owner}/{repo}/issues',
+      resourceType: 'issue',
+      resource: { issueNumber: 7, id: 11, url: 'https://github.com/o/r/issues/7' },
+      status: 201,
+      result: 'success'
+    });
+    expect(lines[1]).toMatchObject({
+      jiraKey: null,
+      resourceType: 'label',
+      resource: { name: 'bug' },
+      status: 422,
+      result: 'error',
+      error: 'Validation Failed'
+    });
+  });
+
+  test('should journal writes made through the GitHub client', async () => {
+    const journal = createJournal({ journalDir: dir }, 'run-2');
+    const client = new GitHubClient({ token: 'token', repo: 'o/r' });
+    client.setJournal(journal);
+
+    await journal.withContext({ jiraKey: 'TEST-2' }, () =>
+      client.octokit.request('POST /repos/{owner}/{repo}/issues/{issue_number}/comments', {
+        owner: 'o',
+        repo: 'r',
+        issue_number: 3,
+        body: 'hello',
+        request: { fetch: jsonResponse(201, { id: 99 }) }
+      })
+    );
+    await client.octokit.request('GET /repos/{owner}/{repo}', {
+      owner: 'o',
+      repo: 'r',
+      request: { fetch: jsonResponse(200, { id: 1 }) }
+    });
+
+    const lines = await readLines(journal.filePath);
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({
+      runId: 'run-2',
+      jiraKey: 'TEST-2',
+      resourceType: 'comment',
+      resource: { issueNumber: 3, id: 99 },
+      result: 'success'
+    });
+  });
+
+  test('should not write anything when disabled', async () => {
+    const journal = createJournal({ journalDir: false });
+
+    await journal.recordRequest({ method: 'DELETE', url: '/repos/{owner}/{repo}/labels/{name}' });
+
+    expect(journal.filePath).toBeNull();
+    expect(journal.entries).toBe(0);
+  });
+});
@@ -0,0 +1,71 @@
+import { jest } from '@jest/globals';
+import { LabelRules } from '../src/labelRules.js';
+
+const fields = [{ id: 'customfield_10150', name: 'Team', schema: { type: 'option' } }];
+
+const issue = extra => ({
+  key: 'APP-1',
+  fields: {
+    issuetype: { name: 'Bug' },
+    priority: { name: 'Highest' },
+    components: [{ name: 'API' }, { name: 'Billing' }],
+    labels: ['customer', 'UI', 'needs-triage'],
+    status: { name: 'Blocked' },
+    customfield_10150: { value: 'Core' },
+    ...extra
+  }
+});
+
+const createRules = async config => {
+  const jiraClient = { getFields: jest.fn().mockResolvedValue(fields) };
+  const rules = new LabelRules(jiraClient, config);
+  await rules.load();
+  return rules;
+};
+
+describe('Label Rules', () => {
+  test('should add the labels of rules whose conditions all match', async () => {
+    const rules = await createRules({
+      rules: [
+        { match: { issueType: 'bug', priority: ['Highest', 'High'] }, labels: ['bug', 'urgent'] },
+        { match: { component: 'billing', label: 'customer' }, labels: ['customer-impact'] },
+        { match: { status: 'Blocked', fields: { Team: 'core' } }, labels: ['team:core'] },
+        { match: { issueType: 'Story' }, labels: ['enhancement'] },
+        { match: { fields: { Team: 'Payments' } }, labels: ['team:payments'] }
+      ]
+    });
+
+    expect(rules.getFieldIds()).toEqual(['customfield_10150']);
+    expect(rules.mapLabels(issue())).toEqual(['bug', 'urgent', 'customer-impact', 'team:core']);
+    expect(rules.mapLabels(issue({ priority: { name: 'Low' }, labels: [] }))).toEqual(['team:core']);
+  });
+
+  test('should carry over Jira labels with renames and exclusions', async () => {
+    const rules = await createRules({
+      jiraLabels: { rename: { ui: 'frontend', Customer: 'customer-impact' }, exclude: ['Needs-Triage'] },
+      rules: [{ match: { label: 'customer' }, labels: ['customer-impact'] }]
+    });
+
+    expect(rules.mapLabels(issue())).toEqual(['customer-impact', 'frontend']);
+    expect((await createRules({ jiraLabels: true })).mapLabels(issue())).toEqual(['customer', 'UI', 'needs-triage']);
+    expect((await createRules({})).mapLabels(issue())).toEqual([]);
+  });
+
+  test('should collect label colors and descriptions', async () => {
+    const rules = await createRules({
+      definitions: { bug: { color: '#D73A4A', description: 'Something is broken' } },
+      rules: [
+        {
+          match: { priority: 'Highest' },
+          labels: [{ name: 'urgent', color: 'b60205', description: 'Needs attention now' }, { name: 'bug', color: 'ee0701' }]
+        }
+      ]
+    });
+
+    expect(rules.definitions).toEqual({
+      bug: { color: 'ee0701', description: 'Something is broken' },
+      urgent: { color: 'b60205', description: 'Needs attention now' }
+    });
+    expect(rules.mapLabels(issue())).toEqual(['urgent', 'bug']);
+  });
+});
@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+import { MilestoneMapper, getProjectSettings, parseSprint } from '../src/milestones.js';
+
+const issue = (key, fields = {}) => ({ key, fields: { fixVersions: [], ...fields } });
+
+const createClients = () => ({
+  github: {
+    getMilestones: jest.fn().mockResolvedValue([{ number: 1, title: '1.0' }]),
+    createMilestone: jest.fn(async data => ({ number: 7, ...data }))
+  },
+  jira: {
+    getProjectVersions: jest.fn().mockResolvedValue([
+      { id: '10', name: '1.0', releaseDate: '2024-01-01', released: true },
+      { id: '11', name: '1.1', releaseDate: '2024-03-01', released: false, description: 'Spring' },
+      { id: '12', name: 'Someday', archived: true }
+    ])
+  }
+});
+
+describe('Milestones', () => {
+  test('should merge per-project settings over the defaults', () => {
+    const config = { sprints: true, projects: { OPS: { fixVersions: false } } };
+
+    expect(getProjectSettings(config, 'APP')).toEqual({ fixVersions: true, sprints: true });
+    expect(getProjectSettings(config, 'OPS')).toEqual({ fixVersions: false, sprints: true });
+    expect(getProjectSettings(true, 'APP')).toEqual({ fixVersions: true, sprints: false });
+  });
+
+  test('should parse Jira Cloud and Jira Server sprint values', () => {
+    expect(parseSprint({ id: 1, name: 'Sprint 1', state: 'active' })).toMatchObject({ name: 'Sprint 1' });
+    expect(
+      parseSprint(
+        'com.atlassian.greenhopper.service.sprint.Sprint@1a2b[id=3,rapidViewId=1,state=CLOSED,name=Sprint 3,endDate=2024-02-01T10:00:00.000Z,goal=<null>]'
+      )
+    ).toMatchObject({ id: '3', name: 'Sprint 3', state: 'closed', endDate: '2024-02-01T10:00:00.000Z', goal: null });
+    expect(parseSprint('garbage')).toBeNull();
+  });
+
+  test('should create the milestone of the earliest fix version with its release state', async () => {
+    const clients = createClients();
+    const mapper = new MilestoneMapper(clients.github, clients.jira);
+
+    const milestone = await mapper.resolve(
+      issue('APP-1', { fixVersions: [{ id: '12', name: 'Someday' }, { id: '11', name: '1.1' }] })
+    );
+
+    expect(milestone).toEqual({ number: 7, title: '1.1', created: true });
+    expect(clients.github.createMilestone).toHaveBeenCalledWith({
+      title: '1.1',
+      description: 'Spring',
+      due_on: '2024-03-01T00:00:00.000Z',
+      state: 'open'
+    });
+
+    // Existing milestones and project versions are looked up once
+    expect(await mapper.resolve(issue('APP-2', { fixVersions: [{ id: '10', name: '1.0' }] }))).toEqual({
+      number: 1,
+      title: '1.0',
+      created: false
+    });
+    expect(clients.github.getMilestones).toHaveBeenCalledTimes(1);
+    expect(clients.jira.getProjectVersions).toHaveBeenCalledTimes(1);
+  });
+
+  test('should fall back to the latest sprint where sprints are enabled', async () => {
+    const clients = createClients();
+    const mapper = new MilestoneMapper(
+      clients.github,
+      clients.jira,
+      { projects: { APP: { sprints: true } } },
+      'customfield_10020'
+    );
+    const sprints = [
+      { name: 'Sprint 1', state: 'closed' },
+      { name: 'Sprint 2', state: 'closed', endDate: '2024-02-14T17:00:00.000Z', goal: 'Ship it' }
+    ];
+
+    await mapper.resolve(issue('APP-3', { customfield_10020: sprints }));
+
+    expect(clients.github.createMilestone).toHaveBeenCalledWith({
+      title: 'Sprint 2',
+      description: 'Ship it',
+      due_on: '2024-02-14T17:00:00.000Z',
+      state: 'closed'
+    });
+    expect(await mapper.resolve(issue('OPS-1', { customfield_10020: sprints }))).toBeNull();
+  });
+});
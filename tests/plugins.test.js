@@ -0,0 +1,86 @@
+import { mkdtemp, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PluginManager } from '../src/plugins.js';
+
+const issue = (key, fields = {}) => ({ key, fields });
+
+describe('Plugins', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'gitporter-plugins-'));
+    await writeFile(
+      join(dir, 'internal.mjs'),
+      [
+        'export const name = "internal";',
+        'export const filterIssue = issue => !issue.fields.labels?.includes("internal");',
+        'export const beforeComment = (comment, draft) => (draft.body.startsWith("[internal]") ? false : undefined);',
+        'export function mapState(issue, state) { return issue.fields.status?.name === "Won\'t Do" ? "closed" : state; }'
+      ].join('\n')
+    );
+    await writeFile(
+      join(dir, 'redact.mjs'),
+      [
+        'export default ({ names }) => ({',
+        '  beforeIssue(issue, draft, context) {',
+        '    if (context.action === "update" && issue.fields.frozen) return null;',
+        '    draft.body = names.reduce((body, name) => body.replaceAll(name, "[redacted]"), draft.body);',
+        '  },',
+        '  mapLabels: (issue, labels) => [...labels, `team:${issue.fields.team}`]',
+        '});'
+      ].join('\n')
+    );
+    await writeFile(join(dir, 'empty.mjs'), 'export const version = 1;\n');
+  });
+
+  const load = async specs => {
+    const plugins = new PluginManager(specs, { migration: {} });
+    await plugins.load();
+    return plugins;
+  };
+
+  test('should load named exports and factories with their options', async () => {
+    const plugins = await load([
+      join(dir, 'internal.mjs'),
+      { path: join(dir, 'redact.mjs'), options: { names: ['ACME'] } },
+      join(dir, 'empty.mjs')
+    ]);
+
+    expect(plugins.plugins.map(plugin => plugin.name)).toEqual(['internal', join(dir, 'redact.mjs')]);
+    expect(plugins.has('beforeIssue')).toBe(true);
+    expect(plugins.has('afterIssue')).toBe(false);
+  });
+
+  test('should filter issues and comments', async () => {
+    const plugins = await load([join(dir, 'internal.mjs')]);
+
+    expect(await plugins.filterIssue(issue('APP-1', { labels: ['internal'] }))).toBe(false);
+    expect(await plugins.filterIssue(issue('APP-2', { labels: [] }))).toBe(true);
+    expect(await plugins.beforeComment({ id: '1' }, { body: '[internal] secret' }, {})).toBeNull();
+    expect(await plugins.beforeComment({ id: '2' }, { body: 'hello' }, {})).toEqual({ body: 'hello' });
+  });
+
+  test('should pass drafts, labels and states through the hooks in order', async () => {
+    const plugins = await load([
+      join(dir, 'internal.mjs'),
+      { path: join(dir, 'redact.mjs'), options: { names: ['ACME'] } }
+    ]);
+    const jiraIssue = issue('APP-3', { team: 'core', status: { name: 'Won\'t Do' }, frozen: true });
+
+    expect(await plugins.beforeIssue(jiraIssue, { body: 'ACME asked' }, { action: 'create' })).toEqual({
+      body: '[redacted] asked'
+    });
+    expect(await plugins.beforeIssue(jiraIssue, { body: 'ACME' }, { action: 'update' })).toBeNull();
+    expect(await plugins.mapLabels(jiraIssue, ['bug'])).toEqual(['bug', 'team:core']);
+    expect(await plugins.mapState(jiraIssue, 'open')).toBe('closed');
+  });
+
+  test('should name the plugin when a module or hook fails', async () => {
+    await expect(load([join(dir, 'missing.mjs')])).rejects.toThrow('Failed to load plugin');
+
+    const plugins = new PluginManager();
+    plugins.plugins.push({ name: 'broken', hooks: { mapState: () => { throw new Error('boom'); } } });
+    await expect(plugins.mapState(issue('APP-4'), 'open')).rejects.toThrow('Plugin broken failed in mapState: boom');
+  });
+});
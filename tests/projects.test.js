@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+import { ProjectMapper, createProjectMapper } from '../src/projects.js';
+
+const project = {
+  id: 'PVT_1',
+  title: 'Roadmap',
+  fields: [
+    { id: 'F_status', name: 'Status', dataType: 'SINGLE_SELECT', options: [{ id: 'o1', name: 'Todo' }, { id: 'o2', name: 'Done' }] },
+    { id: 'F_priority', name: 'Priority', dataType: 'SINGLE_SELECT', options: [{ id: 'p0', name: 'P0' }] },
+    { id: 'F_points', name: 'Estimate', dataType: 'NUMBER' },
+    {
+      id: 'F_iteration',
+      name: 'Iteration',
+      dataType: 'ITERATION',
+      configuration: { iterations: [{ id: 'i2', title: 'Sprint 2' }], completedIterations: [{ id: 'i1', title: 'Sprint 1' }] }
+    }
+  ]
+};
+
+const createClient = () => ({
+  getProject: jest.fn().mockResolvedValue(project),
+  addProjectItem: jest.fn().mockResolvedValue('PVTI_1'),
+  updateProjectItemField: jest.fn().mockResolvedValue()
+});
+
+const config = {
+  owner: 'acme',
+  number: 3,
+  fields: {
+    status: { name: 'Status', mapping: { 'To Do': 'Todo' } },
+    priority: { name: 'Priority', mapping: { Highest: 'P0' } },
+    storyPoints: { name: 'Estimate', jiraField: 'customfield_10016' },
+    sprint: { name: 'Iteration' }
+  }
+};
+
+const issue = fields => ({ key: 'APP-1', fields });
+
+describe('GitHub Projects', () => {
+  test('should add an issue and set its mapped fields', async () => {
+    const client = createClient();
+    const mapper = new ProjectMapper(client, config, { sprintField: 'customfield_10020' });
+
+    const itemId = await mapper.addIssue(
+      issue({
+        status: { name: 'To Do' },
+        priority: { name: 'Highest' },
+        customfield_10016: 5,
+        customfield_10020: [{ name: 'Sprint 1' }]
+      }),
+      'I_1'
+    );
+
+    expect(itemId).toBe('PVTI_1');
+    expect(client.getProject).toHaveBeenCalledWith('acme', 3);
+    expect(client.addProjectItem).toHaveBeenCalledWith('PVT_1', 'I_1');
+    expect(client.updateProjectItemField.mock.calls.map(call => call.slice(2))).toEqual([
+      ['F_status', { singleSelectOptionId: 'o1' }],
+      ['F_priority', { singleSelectOptionId: 'p0' }],
+      ['F_points', { number: 5 }],
+      ['F_iteration', { iterationId: 'i1' }]
+    ]);
+  });
+
+  test('should skip values without a matching option', async () => {
+    const client = createClient();
+    const mapper = new ProjectMapper(client, config);
+
+    await mapper.addIssue(issue({ status: { name: 'Blocked' }, priority: { name: 'Low' } }), 'I_2');
+
+    expect(client.addProjectItem).toHaveBeenCalled();
+    expect(client.updateProjectItemField).not.toHaveBeenCalled();
+  });
+
+  test('should set mapped custom fields by project field name', async () => {
+    const client = createClient();
+    const mapper = new ProjectMapper(client, { owner: 'acme', number: 3, fields: { status: null } });
+
+    await mapper.addIssue(issue({}), 'I_3', { Estimate: 8, Iteration: 'Sprint 2', Missing: 'x' });
+
+    expect(client.updateProjectItemField.mock.calls.map(call => call.slice(2))).toEqual([
+      ['F_points', { number: 8 }],
+      ['F_iteration', { iterationId: 'i2' }]
+    ]);
+  });
+
+  test('should send dates as calendar days', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const mapper = new ProjectMapper(createClient(), config);
+    const field = { id: 'F_due', name: 'Due', dataType: 'DATE' };
+
+    expect(mapper.toFieldValue(field, '2024-03-01')).toEqual({ date: '2024-03-01' });
+    expect(mapper.toFieldValue(field, '2024-03-01T23:30:00.000+0200')).toEqual({ date: '2024-03-01' });
+    expect(mapper.toFieldValue(field, 'next week')).toBeNull();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('cannot take the date "next week"'));
+    jest.restoreAllMocks();
+  });
+
+  test('should default the owner to the repository owner', () => {
+    const mapper = createProjectMapper(createClient(), {
+      github: { repo: 'acme/app' },
+      jira: {},
+      project: { number: 3 }
+    });
+
+    expect(mapper.config.owner).toBe('acme');
+    expect(mapper.fieldConfig.status.name).toBe('Status');
+    expect(createProjectMapper(createClient(), { github: { repo: 'acme/app' } })).toBeNull();
+  });
+});
@@ -0,0 +1,43 @@
+import { formatIssueReference, rewriteJiraReferences } from '../src/references.js';
+
+const jiraUrl = 'https://jira.example.com';
+const issues = {
+  'PROJ-1': { reference: '#10', url: 'https://github.com/o/r/issues/10' },
+  'OTHER-2': { reference: 'o/other#3', url: 'https://github.com/o/other/issues/3' }
+};
+const rewrite = text => rewriteJiraReferences(text, { jiraUrl, resolve: key => issues[key] || null });
+
+describe('Jira reference rewriting', () => {
+  test('should qualify references to issues in other repositories', () => {
+    expect(formatIssueReference('https://github.com/o/r/issues/10', 10, 'o/r')).toBe('#10');
+    expect(formatIssueReference('https://github.com/o/other/issues/3', 3, 'o/r')).toBe('o/other#3');
+    expect(formatIssueReference(undefined, 4, 'o/r')).toBe('#4');
+  });
+
+  test('should replace keys and browse URLs, reporting unresolved keys', () => {
+    const result = rewrite(
+      'See PROJ-1, OTHER-2 and PROJ-9. Details: https://jira.example.com/browse/PROJ-1?focusedCommentId=5 ' +
+        'and <https://jira.example.com/browse/PROJ-9>'
+    );
+
+    expect(result.text).toBe(
+      'See #10, o/other#3 and PROJ-9. Details: #10 and <https://jira.example.com/browse/PROJ-9>'
+    );
+    expect(result.unresolved).toEqual(['PROJ-9']);
+  });
+
+  test('should rewrite Jira links but keep custom labels', () => {
+    expect(
+      rewrite(
+        '[PROJ-1](https://jira.example.com/browse/PROJ-1) and [the login bug](https://jira.example.com/browse/PROJ-1)'
+      ).text
+    ).toBe('#10 and [the login bug](https://github.com/o/r/issues/10)');
+  });
+
+  test('should leave code, images, other URLs and look-alikes alone', () => {
+    const text =
+      '`PROJ-1` ```\nPROJ-1\n``` ![PROJ-1](https://x.com/PROJ-1.png) https://x.com/?id=PROJ-1 UTF-8 MYPROJ-1X';
+
+    expect(rewrite(text)).toEqual({ text, unresolved: ['UTF-8'] });
+  });
+});
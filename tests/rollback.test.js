@@ -0,0 +1,210 @@
+import { jest } from '@jest/globals';
+import { Rollback } from '../src/rollback.js';
+
+const RUN = '20240115T090000Z-aaaaaa';
+const OTHER_RUN = '20240101T090000Z-bbbbbb';
+
+const buildMapping = () => ({
+  'TEST-1': {
+    githubNumber: 1,
+    status: 'migrated',
+    runId: RUN,
+    migratedAt: '2024-01-15T09:01:00.000Z',
+    comments: {
+      10: { githubCommentId: 100, runId: RUN, migratedAt: '2024-01-15T09:01:00.000Z' }
+    },
+    attachments: {
+      500: {
+        filename: 'a.png',
+        source: 'github',
+        assetId: 50,
+        releaseId: 5,
+        releaseTag: 'attachments-test-1',
+        releaseCreated: true,
+        runId: RUN,
+        migratedAt: '2024-01-15T09:01:00.000Z'
+      },
+      501: {
+        filename: 'b.png',
+        source: 'github',
+        assetId: 51,
+        releaseId: 5,
+        releaseTag: 'attachments-test-1',
+        releaseCreated: false,
+        runId: RUN,
+        migratedAt: '2024-01-15T09:01:00.000Z'
+      }
+    },
+    createdLabels: [{ name: 'jira-status:to-do', runId: RUN, migratedAt: '2024-01-15T09:01:00.000Z' }],
+    createdMilestones: [{ number: 4, title: '1.0', runId: RUN, migratedAt: '2024-01-15T09:01:00.000Z' }]
+  },
+  'TEST-2': {
+    githubNumber: 2,
+    status: 'migrated',
+    runId: OTHER_RUN,
+    migratedAt: '2024-01-01T09:01:00.000Z',
+    comments: {
+      20: { githubCommentId: 200, runId: OTHER_RUN, migratedAt: '2024-01-01T09:01:00.000Z' },
+      21: { githubCommentId: 201, runId: RUN, migratedAt: '2024-01-15T09:02:00.000Z' }
+    }
+  },
+  'TEST-3': { githubNumber: 3, status: 'existing', migratedAt: '2024-01-15T09:03:00.000Z' }
+});
+
+const createClient = () => ({
+  getIssue: jest.fn(async number => ({ number, node_id: `I_${number}` })),
+  deleteIssue: jest.fn(),
+  updateIssue: jest.fn(),
+  lockIssue: jest.fn(),
+  deleteComment: jest.fn(),
+  deleteReleaseAsset: jest.fn(),
+  hasReleaseAssets: jest.fn().mockResolvedValue(false),
+  deleteRelease: jest.fn(),
+  deleteProjectItem: jest.fn(),
+  isLabelUsed: jest.fn().mockResolvedValue(false),
+  deleteLabel: jest.fn(),
+  isMilestoneUsed: jest.fn().mockResolvedValue(false),
+  deleteMilestone: jest.fn()
+});
+
+describe('Rollback', () => {
+  test('should require a run id or time window', async () => {
+    await expect(new Rollback(createClient()).run(buildMapping())).rejects.toThrow('run id');
+  });
+
+  test('should reject invalid dates', async () => {
+    const rollback = new Rollback(createClient());
+
+    await expect(rollback.run(buildMapping(), { since: 'yesterday' })).rejects.toThrow('Invalid since date');
+    await expect(rollback.run(buildMapping(), { until: '2024-13-45' })).rejects.toThrow('Invalid until date');
+  });
+
+  test('should save the mapping after every entry', async () => {
+    const client = createClient();
+    const mapping = buildMapping();
+    const statuses = [];
+    const save = jest.fn(async saved => statuses.push(saved['TEST-1'].status));
+
+    await new Rollback(client).run(mapping, { runId: RUN, removeLabels: true, save });
+
+    // One save per entry, then one after the labels are removed
+    expect(save).toHaveBeenCalledTimes(4);
+    expect(save).toHaveBeenCalledWith(mapping);
+    expect(statuses[0]).toBe('rolled-back');
+  });
+
+  test('should close issues and remove everything a run created', async () => {
+    const client = createClient();
+    const mapping = buildMapping();
+
+    const result = await new Rollback(client).run(mapping, {
+      runId: RUN,
+      removeLabels: true,
+      removeMilestones: true
+    });
+
+    expect(result).toMatchObject({
+      closed: 1,
+      deleted: 0,
+      comments: 2,
+      assets: 2,
+      releases: 1,
+      labels: 1,
+      milestones: 1,
+      errors: 0
+    });
+    expect(client.updateIssue).toHaveBeenCalledWith(1, {
+      state: 'closed',
+      state_reason: 'not_planned'
+    });
+    expect(client.lockIssue).toHaveBeenCalledWith(1);
+    expect(client.deleteComment.mock.calls).toEqual([[100], [201]]);
+    expect(client.deleteRelease).toHaveBeenCalledWith(5, 'attachments-test-1');
+    expect(client.isLabelUsed).toHaveBeenCalledWith('jira-status:to-do', [1]);
+    expect(client.isMilestoneUsed).toHaveBeenCalledWith(4, [1]);
+    expect(client.deleteMilestone).toHaveBeenCalledWith(4);
+    expect(mapping['TEST-1'].createdMilestones).toEqual([]);
+
+    expect(mapping['TEST-1'].status).toBe('rolled-back');
+    expect(mapping['TEST-1'].attachments).toEqual({});
+    expect(mapping['TEST-2'].status).toBe('migrated');
+    expect(Object.keys(mapping['TEST-2'].comments)).toEqual(['20']);
+    expect(client.updateIssue).toHaveBeenCalledTimes(1);
+  });
+
+  test('should delete issues when allowed and close them otherwise', async () => {
+    const client = createClient();
+    client.deleteIssue.mockRejectedValueOnce(new Error('Must have admin rights'));
+    const mapping = buildMapping();
+
+    const result = await new Rollback(client).run(mapping, {
+      since: '2024-01-01T00:00:00Z',
+      deleteIssues: true
+    });
+
+    expect(result).toMatchObject({ deleted: 1, closed: 1 });
+    expect(client.deleteIssue.mock.calls).toEqual([['I_1'], ['I_2']]);
+    expect(mapping['TEST-2'].deleted).toBe(true);
+    expect(mapping['TEST-3'].status).toBe('existing');
+  });
+
+  test('should keep shared releases and take issues off their project and parent task list', async () => {
+    const client = createClient();
+    client.getIssue.mockResolvedValue({
+      number: 1,
+      body: 'Parent\n\n<!-- gitporter:sub-issues:start -->\n## Sub-issues\n\n- [ ] #2\n- [x] #3\n<!-- gitporter:sub-issues:end -->\n'
+    });
+    client.hasReleaseAssets.mockResolvedValue(true);
+    const created = { runId: RUN, migratedAt: '2024-01-15T09:01:00.000Z' };
+    const mapping = {
+      'TEST-1': { githubNumber: 1, status: 'migrated', runId: OTHER_RUN, migratedAt: '2024-01-01T09:01:00.000Z' },
+      'TEST-2': {
+        ...created,
+        githubNumber: 2,
+        status: 'migrated',
+        parent: { jiraKey: 'TEST-1', githubNumber: 1, closed: false, linkedVia: 'tasklist' },
+        projectId: 'PVT_1',
+        projectItemId: 'PVTI_2',
+        attachments: {
+          600: { ...created, filename: 'c.png', assetId: 60, releaseId: 6, releaseTag: 'attachments-test-2', releaseCreated: true }
+        }
+      },
+      'TEST-3': {
+        githubNumber: 3,
+        status: 'migrated',
+        runId: OTHER_RUN,
+        migratedAt: '2024-01-01T09:02:00.000Z',
+        parent: { jiraKey: 'TEST-1', githubNumber: 1, closed: true, linkedVia: 'tasklist' }
+      }
+    };
+
+    const result = await new Rollback(client).run(mapping, { runId: RUN });
+
+    expect(result).toMatchObject({ closed: 1, assets: 1, releases: 0, errors: 0 });
+    expect(client.hasReleaseAssets).toHaveBeenCalledWith(6);
+    expect(client.deleteRelease).not.toHaveBeenCalled();
+    expect(client.deleteProjectItem).toHaveBeenCalledWith('PVT_1', 'PVTI_2');
+    expect(client.updateIssue).toHaveBeenCalledWith(1, {
+      body: 'Parent\n\n<!-- gitporter:sub-issues:start -->\n## Sub-issues\n\n- [x] #3\n<!-- gitporter:sub-issues:end -->\n'
+    });
+    expect(mapping['TEST-2'].parent).toBeUndefined();
+    expect(mapping['TEST-2'].projectItemId).toBeUndefined();
+  });
+
+  test('should change nothing in dry run mode', async () => {
+    const client = createClient();
+    const mapping = buildMapping();
+
+    const save = jest.fn();
+
+    await new Rollback(client).run(mapping, { runId: RUN, removeLabels: true, dryRun: true, save });
+
+    expect(save).not.toHaveBeenCalled();
+
+    expect(client.updateIssue).not.toHaveBeenCalled();
+    expect(client.deleteComment).not.toHaveBeenCalled();
+    expect(client.deleteReleaseAsset).not.toHaveBeenCalled();
+    expect(client.deleteLabel).not.toHaveBeenCalled();
+    expect(mapping).toEqual(buildMapping());
+  });
+});
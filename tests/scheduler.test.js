@@ -0,0 +1,140 @@
+import { jest } from '@jest/globals';
+import { Scheduler } from '../src/scheduler.js';
+import { parseRateLimitHeaders } from '../src/rateLimitHeaders.js';
+
+const NOW = Date.parse('2024-01-15T09:00:00Z');
+
+const createScheduler = () => {
+  let now = NOW;
+  const sleeps = [];
+  const scheduler = new Scheduler({
+    now: () => now,
+    sleep: async ms => {
+      sleeps.push(ms);
+      now += ms;
+    }
+  });
+  return { scheduler, sleeps, elapsed: () => now - NOW };
+};
+
+describe('Scheduler', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should parse GitHub, Jira and OpenAI rate limit headers', () => {
+    expect(
+      parseRateLimitHeaders({ 'x-ratelimit-remaining': '42', 'x-ratelimit-reset': String(NOW / 1000 + 60) }, NOW)
+    ).toEqual({ remaining: 42, resetAt: NOW + 60000, retryAt: null });
+
+    const jira = new Map([
+      ['retry-after', '5'],
+      ['x-ratelimit-remaining', '0'],
+      ['x-ratelimit-reset', '2024-01-15T09:01:00Z']
+    ]);
+    expect(parseRateLimitHeaders(jira, NOW)).toEqual({ remaining: 0, resetAt: NOW + 60000, retryAt: NOW + 5000 });
+
+    const openai = {
+      'x-ratelimit-remaining-requests': '499',
+      'x-ratelimit-reset-requests': '120ms',
+      'x-ratelimit-remaining-tokens': '12',
+      'x-ratelimit-reset-tokens': '1m30s',
+      'retry-after-ms': '250'
+    };
+    expect(parseRateLimitHeaders(openai, NOW)).toEqual({ remaining: 12, resetAt: NOW + 90000, retryAt: NOW + 250 });
+    expect(parseRateLimitHeaders(undefined, NOW)).toEqual({ remaining: null, resetAt: null, retryAt: null });
+  });
+
+  test('should compare request and token budgets by the share of their limit left', () => {
+    const budgets = (requests, tokens) => ({
+      'x-ratelimit-limit-requests': '500',
+      'x-ratelimit-remaining-requests': String(requests),
+      'x-ratelimit-reset-requests': '1m',
+      'x-ratelimit-limit-tokens': '200000',
+      'x-ratelimit-remaining-tokens': String(tokens),
+      'x-ratelimit-reset-tokens': '30s'
+    });
+
+    // 2% of the requests left outweighs 75% of the tokens
+    expect(parseRateLimitHeaders(budgets(10, 150000), NOW)).toMatchObject({ remaining: 10, resetAt: NOW + 60000 });
+    // 0.5% of the tokens left is reported as the same share of the requests
+    expect(parseRateLimitHeaders(budgets(400, 1000), NOW)).toMatchObject({ remaining: 2, resetAt: NOW + 30000 });
+  });
+
+  test('should hold every request to a rate-limited service until it may retry', async () => {
+    const { scheduler, elapsed } = createScheduler();
+
+    scheduler.update('jira', { 'retry-after': '30' }, { limited: true });
+    scheduler.update('github:core', {}, { limited: true });
+    await scheduler.acquire('jira');
+    expect(elapsed()).toBe(30000);
+
+    await scheduler.acquire('openai');
+    expect(elapsed()).toBe(30000);
+
+    // Secondary rate limits without Retry-After wait a minute
+    await scheduler.acquire('github:core');
+    expect(elapsed()).toBe(60000);
+  });
+
+  test('should spread the last requests until the budget resets', async () => {
+    const { scheduler, sleeps, elapsed } = createScheduler();
+
+    scheduler.update('github:core', { 'x-ratelimit-remaining': '4', 'x-ratelimit-reset': String(NOW / 1000 + 40) });
+    for (let i = 0; i < 4; i++) {
+      await scheduler.acquire('github:core');
+    }
+    expect(sleeps).toEqual([10000, 10000, 10000]);
+
+    // Out of requests: wait for the reset, then run freely
+    await scheduler.acquire('github:core');
+    expect(elapsed()).toBe(40000);
+    await scheduler.acquire('github:core');
+    expect(elapsed()).toBe(40000);
+  });
+
+  test('should run work in parallel up to the concurrency and keep results in order', async () => {
+    const scheduler = new Scheduler();
+    let running = 0;
+    let peak = 0;
+
+    const results = await scheduler.map([30, 10, 20, 5, 1], 2, async (delay, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running--;
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3, 4]);
+    expect(peak).toBe(2);
+  });
+
+  test('should run exclusive work one at a time per key', async () => {
+    const scheduler = new Scheduler();
+    const order = [];
+    const task = (name, delay) => async () => {
+      order.push(`start ${name}`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      order.push(`end ${name}`);
+      return name;
+    };
+
+    const failing = scheduler.exclusive('mapping', async () => {
+      throw new Error('disk full');
+    });
+    const results = await Promise.all([
+      scheduler.exclusive('mapping', task('a', 20)),
+      scheduler.exclusive('mapping', task('b', 1)),
+      failing.catch(error => error.message)
+    ]);
+
+    expect(results).toEqual(['a', 'b', 'disk full']);
+    expect(order).toEqual(['start a', 'end a', 'start b', 'end b']);
+    expect(scheduler.queues.size).toBe(0);
+  });
+});
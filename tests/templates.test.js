@@ -0,0 +1,49 @@
+import { mkdtemp, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TemplateRenderer, parseTemplate, renderTemplate } from '../src/templates.js';
+
+describe('Templates', () => {
+  test('should insert values, including dotted paths, without escaping', () => {
+    const context = { key: 'APP-1', assignee: { mention: 'Ada (@ada)' }, body: '**bold** <br>' };
+
+    expect(renderTemplate('[{{key}}] {{assignee.mention}}', context)).toBe('[APP-1] Ada (@ada)');
+    expect(renderTemplate('{{{body}}} {{&body}} {{missing}}', context)).toBe('**bold** <br> **bold** <br> ');
+  });
+
+  test('should render sections, lists and inverted sections', () => {
+    const template = [
+      '{{#assignee}}Assigned to {{displayName}} for {{key}}{{/assignee}}{{^assignee}}Unassigned{{/assignee}}',
+      '{{#labels}}',
+      '- {{.}}',
+      '{{/labels}}',
+      '{{! dropped }}',
+      'end'
+    ].join('\n');
+
+    expect(renderTemplate(template, { key: 'APP-1', assignee: { displayName: 'Ada' }, labels: ['bug', 'ui'] })).toBe(
+      'Assigned to Ada for APP-1\n- bug\n- ui\nend'
+    );
+    expect(renderTemplate(template, { key: 'APP-1', assignee: null, labels: [] })).toBe('Unassigned\nend');
+  });
+
+  test('should reject unbalanced sections', () => {
+    expect(() => parseTemplate('{{#a}}text')).toThrow('Unclosed {{#a}}');
+    expect(() => parseTemplate('{{#a}}text{{/b}}')).toThrow('Unexpected {{/b}}');
+  });
+
+  test('should load the configured template files', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'gitporter-templates-'));
+    await writeFile(join(dir, 'title.md'), '{{type}}: {{summary}}\n');
+    const renderer = new TemplateRenderer({ title: join(dir, 'title.md'), banner: 'x.md' });
+
+    expect(await renderer.load()).toEqual(['title']);
+    expect(renderer.has('title')).toBe(true);
+    expect(renderer.has('body')).toBe(false);
+    expect(renderer.render('title', { type: 'Bug', summary: 'Crash' })).toBe('Bug: Crash\n');
+
+    await expect(new TemplateRenderer({ body: join(dir, 'missing.md') }).load()).rejects.toThrow(
+      'Failed to load body template'
+    );
+  });
+});
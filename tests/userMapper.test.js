@@ -0,0 +1,71 @@
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { UserMapper } from '../src/userMapper.js';
+import { MarkdownConverter } from '../src/utils.js';
+
+describe('UserMapper', () => {
+  test('should resolve users by account id or email', () => {
+    const mapper = new UserMapper({
+      '5b10ac8d82e05b22cc7d4ef5': 'octocat',
+      'Jane@Example.com': '@jane-gh'
+    });
+
+    expect(mapper.resolve({ accountId: '5b10ac8d82e05b22cc7d4ef5' })).toBe('octocat');
+    expect(mapper.resolve({ accountId: 'other', emailAddress: 'jane@example.com' })).toBe(
+      'jane-gh'
+    );
+  });
+
+  test('should fall back to display names and report unmapped users', () => {
+    const mapper = new UserMapper({ abc: 'octocat' });
+
+    expect(mapper.formatUser({ accountId: 'abc', displayName: 'Octo Cat' })).toBe(
+      'Octo Cat (@octocat)'
+    );
+    expect(mapper.formatUser({ accountId: 'xyz', displayName: 'Jane Doe' })).toBe('Jane Doe');
+    expect(mapper.formatUser(null, 'Unassigned')).toBe('Unassigned');
+    expect(mapper.getUnmappedUsers()).toEqual([{ id: 'xyz', displayName: 'Jane Doe' }]);
+  });
+
+  test('should load mappings from a CSV file', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'gitporter-users-'));
+    const file = path.join(dir, 'users.csv');
+    await writeFile(
+      file,
+      'accountId,email,github\n5b10ac,"jane@example.com",jane-gh\nnobody,,\n'
+    );
+
+    try {
+      const mapper = new UserMapper();
+      const loaded = await mapper.loadCsv(file);
+
+      expect(loaded).toBe(1);
+      expect(mapper.resolve({ accountId: '5b10ac' })).toBe('jane-gh');
+      expect(mapper.resolve({ emailAddress: 'jane@example.com' })).toBe('jane-gh');
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should rewrite mapped mentions and keep unmapped ones inert', () => {
+    const mapper = new UserMapper({ '5b10ac': 'octocat' });
+    const converter = new MarkdownConverter({ resolveMention: user => mapper.resolve(user) });
+    const doc = {
+      type: 'doc',
+      content: [
+        {
+          type: 'paragraph',
+          content: [
+            { type: 'mention', attrs: { id: '5b10ac', text: '@Octo Cat' } },
+            { type: 'text', text: ' and ' },
+            { type: 'mention', attrs: { id: 'zzz', text: '@Jane Doe' } }
+          ]
+        }
+      ]
+    };
+
+    expect(converter.toMarkdown(doc)).toBe('@octocat and `@Jane Doe`');
+    expect(converter.toMarkdown('cc [~accountid:5b10ac] [~jdoe]')).toBe('cc @octocat `@jdoe`');
+  });
+});
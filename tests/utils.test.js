@@ -2,6 +2,8 @@ import { jest } from '@jest/globals';
 import {
   logger,
   RateLimiter,
+  createRateLimiter,
+  classifyError,
   MarkdownConverter,
   StatusMapper,
   LabelMapper,
@@ -65,7 +67,7 @@ describe('RateLimiter', () => {
 
   test('should fail after max retries', async () => {
     const rateLimiter = new RateLimiter(1, 10);
-    const mockFn = jest.fn().mockRejectedValue(new Error('persistent error'));
+    const mockFn = jest.fn().mockRejectedValue(Object.assign(new Error('persistent error'), { code: 'ETIMEDOUT' }));
 
     await expect(rateLimiter.executeWithRetry(mockFn, 'test operation')).rejects.toThrow(
       'persistent error'
@@ -73,6 +75,87 @@ describe('RateLimiter', () => {
 
     expect(mockFn).toHaveBeenCalledTimes(2); // Initial + 1 retry
   });
+
+  test('should not retry errors that are not API errors, nor creating requests that lost their connection', async () => {
+    const rateLimiter = new RateLimiter(3, 10);
+    const bug = jest.fn().mockRejectedValue(new TypeError('Cannot read properties of undefined'));
+    await expect(rateLimiter.executeWithRetry(bug, 'fetch project')).rejects.toThrow(TypeError);
+    expect(bug).toHaveBeenCalledTimes(1);
+
+    // Octokit reports a connection lost before the response as a 500 without a response
+    const lost = Object.assign(new Error('other side closed'), { name: 'HttpError', status: 500 });
+    expect(classifyError(lost)).toBe('network');
+    const create = jest.fn().mockRejectedValue(lost);
+    await expect(rateLimiter.executeWithRetry(create, 'create issue: A', { idempotent: false })).rejects.toThrow(
+      'other side closed'
+    );
+    expect(create).toHaveBeenCalledTimes(1);
+
+    const unavailable = Object.assign(new Error('Service Unavailable'), { status: 503 });
+    const retried = jest.fn().mockRejectedValueOnce(unavailable).mockResolvedValue({ number: 1 });
+    await expect(rateLimiter.executeWithRetry(retried, 'create issue: B', { idempotent: false })).resolves.toEqual({
+      number: 1
+    });
+  });
+
+  test('should wait as long as the rate limit headers ask and count retries per operation', async () => {
+    const sleeps = [];
+    const rateLimiter = new RateLimiter(3, 1000, { now: () => 1700000000000, sleep: async ms => sleeps.push(ms) });
+    const limited = Object.assign(new Error('API rate limit exceeded'), {
+      status: 403,
+      response: { headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1700000030' } }
+    });
+    const tooMany = Object.assign(new Error('Too Many Requests'), { response: { status: 429, headers: { 'retry-after': '7' } } });
+    const secondary = Object.assign(new Error('You have exceeded a secondary rate limit'), { status: 403 });
+
+    const mockFn = jest
+      .fn()
+      .mockRejectedValueOnce(limited)
+      .mockRejectedValueOnce(tooMany)
+      .mockRejectedValueOnce(secondary)
+      .mockResolvedValue('created');
+
+    await expect(rateLimiter.executeWithRetry(mockFn, 'create issue: [APP-1] Crash')).resolves.toBe('created');
+    expect(sleeps).toEqual([30000, 7000, 60000]);
+    expect(rateLimiter.metrics['create issue']).toEqual({
+      calls: 1,
+      retries: 3,
+      failures: 0,
+      waited: 97000,
+      errors: { 'rate-limit': 2, 'secondary-limit': 1 }
+    });
+  });
+
+  test('should retry network and server errors with jittered backoff but not client errors', async () => {
+    const sleeps = [];
+    const rateLimiter = createRateLimiter({ maxRetries: 2, baseDelay: 1000, maxDelay: 1500 });
+    rateLimiter.sleep = async ms => sleeps.push(ms);
+
+    const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    const unavailable = Object.assign(new Error('Service Unavailable'), { status: 503 });
+    const notFound = Object.assign(new Error('Not Found'), { status: 404 });
+    const mockFn = jest.fn().mockRejectedValueOnce(reset).mockRejectedValueOnce(unavailable).mockRejectedValue(notFound);
+
+    await expect(rateLimiter.executeWithRetry(mockFn, 'fetch issue #12')).rejects.toThrow('Not Found');
+    expect(mockFn).toHaveBeenCalledTimes(3);
+    expect(sleeps[0]).toBeGreaterThanOrEqual(500);
+    expect(sleeps[0]).toBeLessThanOrEqual(1000);
+    expect(sleeps[1]).toBeGreaterThanOrEqual(750);
+    expect(sleeps[1]).toBeLessThanOrEqual(1500);
+    expect(rateLimiter.metrics['fetch issue #*']).toMatchObject({
+      retries: 2,
+      failures: 1,
+      errors: { network: 1, server: 1, client: 1 }
+    });
+
+    // A rate limit that resets later than maxWait fails instead of stalling the migration
+    const patient = new RateLimiter(3, 10, { maxWait: 5000 });
+    const hourly = Object.assign(new Error('Too Many Requests'), { status: 429, headers: { 'retry-after': '3600' } });
+    await expect(patient.executeWithRetry(jest.fn().mockRejectedValue(hourly), 'search issues')).rejects.toThrow(
+      'Too Many Requests'
+    );
+    expect(classifyError(hourly)).toBe('rate-limit');
+  });
 });
 
 describe('MarkdownConverter', () => {
@@ -104,6 +187,36 @@ describe('MarkdownConverter', () => {
     expect(result).toContain('`inline code`');
   });
 
+  test('should embed resolved ADF media inline', () => {
+    const doc = {
+      type: 'doc',
+      content: [
+        {
+          type: 'mediaSingle',
+          content: [{ type: 'media', attrs: { id: 'a1b2', type: 'file', alt: 'screen.png' } }]
+        }
+      ]
+    };
+    const attachments = [
+      { id: '10001', filename: 'screen.png', mimeType: 'image/png', url: 'https://files/screen.png' }
+    ];
+
+    expect(converter.toMarkdown(doc, { attachments })).toBe(
+      '![screen.png](https://files/screen.png)'
+    );
+  });
+
+  test('should embed wiki images and link wiki attachments', () => {
+    const attachments = [
+      { id: '1', filename: 'shot.png', mimeType: 'image/png', url: 'https://files/shot.png' },
+      { id: '2', filename: 'log.txt', mimeType: 'text/plain', url: 'https://files/log.txt' }
+    ];
+
+    expect(converter.toMarkdown('!shot.png|thumbnail! and [^log.txt]', { attachments })).toBe(
+      '![shot.png](https://files/shot.png) and [log.txt](https://files/log.txt)'
+    );
+  });
+
   test('should handle empty content', () => {
     expect(converter.toMarkdown('')).toBe('');
     expect(converter.toMarkdown(null)).toBe('');
@@ -168,6 +281,24 @@ describe('LabelMapper', () => {
     const labels = mapper.mapLabels(jiraIssue);
     expect(labels).toContain('migrated-from-jira');
   });
+
+  test('should leave out disabled built-in labels', () => {
+    const jiraIssue = {
+      fields: {
+        issuetype: { name: 'Bug' },
+        priority: { name: 'High' },
+        components: [{ name: 'Frontend' }],
+        status: { name: 'Done' }
+      }
+    };
+
+    expect(new LabelMapper({ Bug: 'bug' }, { status: false, migrated: false }).mapLabels(jiraIssue)).toEqual([
+      'bug',
+      'priority:high',
+      'component:frontend'
+    ]);
+    expect(new LabelMapper({ Bug: 'bug' }, false).mapLabels(jiraIssue)).toEqual(['bug']);
+  });
 });
 
 describe('dateUtils', () => {
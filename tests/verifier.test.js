@@ -0,0 +1,78 @@
+import { jest } from '@jest/globals';
+import { Verifier } from '../src/verifier.js';
+import { summarizeMapping } from '../src/status.js';
+
+const notFound = () => Object.assign(new Error('Not Found'), { status: 404 });
+
+const mapping = {
+  'TEST-1': {
+    githubNumber: 1,
+    githubUrl: 'https://github.com/o/r/issues/1',
+    status: 'migrated',
+    migratedAt: '2024-01-01T10:00:00.000Z',
+    comments: { 10: {}, 11: {} }
+  },
+  'TEST-2': { githubNumber: 2, status: 'partial', migratedAt: '2024-01-02T10:00:00.000Z', comments: {} },
+  'TEST-3': { githubNumber: 3, status: 'existing', migratedAt: '2024-01-02T11:00:00.000Z' },
+  'TEST-4': { status: 'error', error: 'boom', migratedAt: '2024-01-03T10:00:00.000Z' }
+};
+
+describe('summarizeMapping', () => {
+  test('should count statuses and list issues needing attention', () => {
+    const summary = summarizeMapping(mapping);
+
+    expect(summary.total).toBe(4);
+    expect(summary.byStatus).toEqual({ migrated: 1, partial: 1, existing: 1, error: 1 });
+    expect(summary.comments).toBe(2);
+    expect(summary.partial.map(item => item.jiraKey)).toEqual(['TEST-2']);
+    expect(summary.errors).toEqual([{ jiraKey: 'TEST-4', error: 'boom' }]);
+    expect(summary.lastMigratedAt).toBe('2024-01-03T10:00:00.000Z');
+  });
+});
+
+describe('Verifier', () => {
+  test('should report issues that could not be fetched and check the rest', async () => {
+    const serverError = Object.assign(new Error('Internal Server Error'), { status: 500 });
+    const githubClient = {
+      getIssue: jest.fn(async number => {
+        if (number === 1) throw serverError;
+        return { title: `[TEST-${number}] ok` };
+      })
+    };
+
+    const result = await new Verifier(githubClient).verify(mapping);
+
+    expect(result.checked).toBe(3);
+    expect(result.ok).toBe(2);
+    expect(result.problems).toEqual([
+      { jiraKey: 'TEST-1', githubNumber: 1, problem: 'could not be checked: Internal Server Error' }
+    ]);
+  });
+
+  test('should report missing, moved and unrelated issues and skip rolled back ones', async () => {
+    const issues = {
+      1: { title: '[TEST-1] ok', html_url: 'https://github.com/o/r/issues/1' },
+      3: { title: 'Something else', body: 'no key here' }
+    };
+    const githubClient = {
+      getIssue: jest.fn(async number => {
+        if (!issues[number]) throw notFound();
+        return issues[number];
+      })
+    };
+
+    const result = await new Verifier(githubClient).verify({
+      ...mapping,
+      'TEST-5': { githubNumber: 5, status: 'rolled-back', deleted: true }
+    });
+
+    expect(result.checked).toBe(3);
+    expect(result.ok).toBe(1);
+    expect(result.rolledBack).toBe(1);
+    expect(githubClient.getIssue).not.toHaveBeenCalledWith(5);
+    expect(result.problems).toEqual([
+      { jiraKey: 'TEST-2', githubNumber: 2, problem: 'issue not found' },
+      { jiraKey: 'TEST-3', githubNumber: 3, problem: 'issue does not reference TEST-3' }
+    ]);
+  });
+});
@@ -0,0 +1,81 @@
+import { WikiMarkupParser, WikiMarkupRenderer } from '../src/wikiMarkup.js';
+
+const convert = text => new WikiMarkupRenderer().render(new WikiMarkupParser().parse(text));
+
+describe('Wiki markup inline formatting', () => {
+  test('should convert emphasis markers', () => {
+    expect(convert('*bold* _italic_ -struck- +under+ x^2^ H~2~O')).toBe(
+      '**bold** _italic_ ~~struck~~ <ins>under</ins> x<sup>2</sup> H<sub>2</sub>O'
+    );
+  });
+
+  test('should leave snake_case identifiers alone', () => {
+    expect(convert('call my_long_function_name now')).toBe('call my_long_function_name now');
+  });
+
+  test('should not apply markup inside monospace', () => {
+    expect(convert('use {{a * b * c}} here')).toBe('use `a * b * c` here');
+  });
+
+  test('should escape stray markers instead of emphasizing them', () => {
+    expect(convert('pass *args along')).toBe('pass \\*args along');
+  });
+
+  test('should convert links, mentions and attachments', () => {
+    expect(convert('[Docs|https://example.com/docs] [https://example.com]')).toBe(
+      '[Docs](https://example.com/docs) [https://example.com](https://example.com)'
+    );
+    expect(convert('ping [~accountid:5b10ac8d82e05b22cc7d4ef5]')).toBe(
+      'ping `@5b10ac8d82e05b22cc7d4ef5`'
+    );
+    expect(convert('see [^report.pdf]')).toBe('see \\[report.pdf\\]');
+  });
+
+  test('should recognise image embeds but not exclamations', () => {
+    expect(convert('!screen.png|thumbnail!')).toBe('\\[screen.png\\]');
+    expect(convert('Hello! World!')).toBe('Hello! World!');
+  });
+
+  test('should convert line breaks, dashes and emoticons', () => {
+    expect(convert('one\\\\two -- three (y)')).toBe('one<br>two – three 👍');
+  });
+
+  test('should drop color macros but keep their text', () => {
+    expect(convert('{color:red}alert{color}')).toBe('alert');
+  });
+});
+
+describe('Wiki markup blocks', () => {
+  test('should convert headings and rules', () => {
+    expect(convert('h2. Section\n----')).toBe('## Section\n\n---');
+  });
+
+  test('should keep code and noformat content verbatim', () => {
+    expect(convert('{code:python}\nx = a * b  # _not_ italic\n{code}')).toBe(
+      '```python\nx = a * b  # _not_ italic\n```'
+    );
+    expect(convert('{noformat}\n*raw*\n{noformat}')).toBe('```\n*raw*\n```');
+  });
+
+  test('should build nested and mixed lists', () => {
+    expect(convert('* one\n** nested\n*# numbered\n* two\n# first\n# second')).toBe(
+      '- one\n  - nested\n  1. numbered\n- two\n\n1. first\n2. second'
+    );
+  });
+
+  test('should convert tables with header rows', () => {
+    expect(convert('||Name||Link||\n|a|[x|https://x.com]|')).toBe(
+      '| Name | Link |\n| --- | --- |\n| a | [x](https://x.com) |'
+    );
+  });
+
+  test('should convert quotes and panels to blockquotes', () => {
+    expect(convert('{quote}\nquoted\n{quote}')).toBe('> quoted');
+    expect(convert('bq. short quote')).toBe('> short quote');
+    expect(convert('{panel:title=Note}\nbody\n{panel}')).toBe('> **Note**\n>\n> body');
+  });
+
+  test('should continue parsing after a single-line macro', () => {
+    expect(convert('{code}x{code} then *more*')).toBe('```\nx\n```\n\nthen **more**');
+  });
+});